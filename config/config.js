@@ -1,9 +1,45 @@
 // server/config/config.js
-require('dotenv').config();
+import crypto from 'crypto';
+import dotenv from 'dotenv';
 
-module.exports = {
-  nodeEnv: process.env.NODE_ENV || 'development',
+dotenv.config();
+
+const nodeEnv = process.env.NODE_ENV || 'development';
+
+// Login tokens and preview links are signed with this secret, so there is no
+// fixed fallback anyone could look up. In development a random secret is made
+// per process (tokens stop working on restart); elsewhere JWT_SECRET is
+// required and server.js refuses to start without it.
+const jwtSecret = process.env.JWT_SECRET ||
+  (nodeEnv === 'development' ? crypto.randomBytes(32).toString('hex') : undefined);
+
+const config = {
+  nodeEnv,
   port: process.env.PORT || 5000,
   mongoURI: process.env.MONGO_URI || 'mongodb://localhost:27017/tech-stack-roadmap',
-  jwtSecret: process.env.JWT_SECRET || 'your_jwt_secret'
-};
\ No newline at end of file
+  jwtSecret,
+  jwtExpiresIn: process.env.JWT_EXPIRES_IN || '7d',
+  trashRetentionDays: Number(process.env.TRASH_RETENTION_DAYS) || 30,
+  trashPurgeIntervalMinutes: Number(process.env.TRASH_PURGE_INTERVAL_MINUTES) || 60,
+  // Where roadmap pages are published unless a roadmap names another publisher
+  defaultPublisher: process.env.ROADMAP_PUBLISHER || 'github',
+  // Public address of this server, used for pages served by the local publisher
+  publicBaseUrl: process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 5000}`,
+  // Lifetime of links for previewing roadmap pages (drafts included)
+  previewTokenExpiresIn: process.env.PREVIEW_TOKEN_EXPIRES_IN || '7d',
+  // How long the list of published roadmaps is served from cache/roadmaps-cache.json
+  // before it is refreshed from GitHub in the background
+  publishedCacheTtlSeconds: Number(process.env.PUBLISHED_CACHE_TTL_SECONDS) || 300,
+  localPublishDir: process.env.LOCAL_PUBLISH_DIR || 'public/roadmaps',
+  // S3 or an S3-compatible store (MinIO, LocalStack...). Credentials come from
+  // the usual AWS_ACCESS_KEY_ID / AWS_SECRET_ACCESS_KEY variables.
+  s3: {
+    bucket: process.env.S3_BUCKET,
+    region: process.env.S3_REGION || process.env.AWS_REGION || 'us-east-1',
+    endpoint: process.env.S3_ENDPOINT,
+    prefix: process.env.S3_PREFIX || '',
+    publicUrl: process.env.S3_PUBLIC_URL
+  }
+};
+
+export default config;
\ No newline at end of file
@@ -0,0 +1,209 @@
+// server/controllers/authController.js
+import jwt from 'jsonwebtoken';
+import config from '../config/config.js';
+import User from '../models/User.js';
+
+// Sign a token for the given user
+const signToken = (user) => jwt.sign(
+  { id: user._id, role: user.role },
+  config.jwtSecret,
+  { expiresIn: config.jwtExpiresIn }
+);
+
+// Public view of a user (never includes the password hash)
+const toUserResponse = (user) => ({
+  _id: user._id,
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  createdAt: user.createdAt
+});
+
+// Register a new user. The very first account becomes an admin so the
+// system can be bootstrapped; after that only admins may create users.
+export const registerUser = async (req, res) => {
+  try {
+    const { name, email, password, role } = req.body;
+    const userCount = await User.countDocuments();
+    const isBootstrap = userCount === 0;
+
+    if (!isBootstrap && !(req.user && req.user.hasRole('admin'))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only admins can create users'
+      });
+    }
+
+    const user = await User.create({
+      name,
+      email,
+      password,
+      role: isBootstrap ? 'admin' : role,
+      ...(isBootstrap && { bootstrap: true })
+    });
+
+    res.status(201).json({
+      success: true,
+      token: signToken(user),
+      data: toUserResponse(user)
+    });
+  } catch (error) {
+    console.error('Error in registerUser:', error);
+    // Another first registration got there first
+    if (error.code === 11000 && error.keyPattern?.bootstrap) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only admins can create users'
+      });
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: 'A user with this email already exists'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({
+        success: false,
+        error: messages
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+};
+
+// Log in with email and password and receive a token
+export const loginUser = async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    if (typeof email !== 'string' || typeof password !== 'string' || !email || !password) {
+      return res.status(400).json({
+        success: false,
+        error: 'Email and password are required'
+      });
+    }
+
+    const user = await User.findOne({ email: email.toLowerCase() }).select('+password');
+
+    if (!user || !(await user.matchPassword(password))) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid email or password'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      token: signToken(user),
+      data: toUserResponse(user)
+    });
+  } catch (error) {
+    console.error('Error in loginUser:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+};
+
+// Get the currently logged in user
+export const getCurrentUser = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: toUserResponse(req.user)
+  });
+};
+
+// Get all users
+export const getAllUsers = async (req, res) => {
+  try {
+    const users = await User.find().sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: users.length,
+      data: users.map(toUserResponse)
+    });
+  } catch (error) {
+    console.error('Error in getAllUsers:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+};
+
+// Change a user's role
+export const updateUserRole = async (req, res) => {
+  try {
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { role: req.body.role },
+      { new: true, runValidators: true }
+    );
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: toUserResponse(user)
+    });
+  } catch (error) {
+    console.error('Error in updateUserRole:', error);
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({
+        success: false,
+        error: messages
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+};
+
+// Delete a user
+export const deleteUser = async (req, res) => {
+  try {
+    if (req.params.id === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        error: 'You cannot delete your own account'
+      });
+    }
+
+    const user = await User.findByIdAndDelete(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    console.error('Error in deleteUser:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+};
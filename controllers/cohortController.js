@@ -0,0 +1,469 @@
+// server/controllers/cohortController.js
+import mongoose from 'mongoose';
+import Cohort from '../models/Cohort.js';
+import Learner from '../models/Learner.js';
+import Roadmap from '../models/Roadmap.js';
+import { getRoadmapTechStackIds } from '../utils/techStackRefs.js';
+import {
+  getStackCompletion,
+  getTopicCompletion,
+  getSlowestTopics,
+  getLearnerStandings,
+  getExpectedPercentage
+} from '../utils/cohortAnalytics.js';
+
+const COHORT_POPULATE = [
+  { path: 'roadmap', select: 'companyName role isConsolidated' },
+  { path: 'learners', select: 'name email' }
+];
+
+/**
+ * Check that every learner id exists
+ * @param {Array<string>} learnerIds - Learner ids
+ * @returns {Promise<Array<string>>} - Ids that are invalid or unknown
+ */
+const findMissingLearners = async (learnerIds = []) => {
+  const invalid = learnerIds.filter(id => !mongoose.isValidObjectId(id));
+  const valid = learnerIds.filter(id => mongoose.isValidObjectId(id));
+  const found = await Learner.find({ _id: { $in: valid } }).distinct('_id');
+  const foundIds = new Set(found.map(String));
+
+  return [...invalid, ...valid.filter(id => !foundIds.has(id.toString()))];
+};
+
+/**
+ * Load a cohort with its roadmap for the dashboard endpoints
+ * @param {string} id - Cohort id
+ * @returns {Promise<{cohort: Object, techStackIds: Array<string>, topicSelections: Array<Object>}|null>}
+ *   - topicSelections limits template based roadmaps to their selected topics
+ */
+const loadCohortScope = async (id) => {
+  if (!mongoose.isValidObjectId(id)) return null;
+
+  const cohort = await Cohort.findById(id).populate('roadmap');
+  if (!cohort || !cohort.roadmap) return null;
+
+  return {
+    cohort,
+    techStackIds: getRoadmapTechStackIds(cohort.roadmap),
+    topicSelections: cohort.roadmap.toObject().topicSelections || []
+  };
+};
+
+// Summary of a cohort for dashboard responses
+const describeCohort = (cohort) => ({
+  _id: cohort._id,
+  name: cohort.name,
+  roadmap: {
+    _id: cohort.roadmap._id,
+    companyName: cohort.roadmap.companyName,
+    role: cohort.roadmap.role
+  },
+  learnerCount: cohort.learners.length,
+  startDate: cohort.startDate,
+  endDate: cohort.endDate
+});
+
+// Tolerance (percentage points) from ?tolerance=, default 15
+const parseTolerance = (value) => {
+  const tolerance = Number(value);
+  return value !== undefined && Number.isFinite(tolerance) && tolerance >= 0 ? tolerance : 15;
+};
+
+// Respond 404 for a missing cohort
+const cohortNotFound = (res) => res.status(404).json({
+  success: false,
+  error: 'Cohort not found'
+});
+
+// Get all cohorts (optionally for one roadmap via ?roadmap=)
+export const getAllCohorts = async (req, res) => {
+  try {
+    const filter = req.query.roadmap ? { roadmap: req.query.roadmap } : {};
+    const cohorts = await Cohort.find(filter).populate(COHORT_POPULATE).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: cohorts.length,
+      data: cohorts
+    });
+  } catch (error) {
+    console.error('Error in getAllCohorts:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+};
+
+// Get a specific cohort by ID
+export const getCohortById = async (req, res) => {
+  try {
+    const cohort = await Cohort.findById(req.params.id).populate(COHORT_POPULATE);
+
+    if (!cohort) return cohortNotFound(res);
+
+    res.status(200).json({
+      success: true,
+      data: cohort
+    });
+  } catch (error) {
+    console.error('Error in getCohortById:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+};
+
+// Create a new cohort for a roadmap
+export const createCohort = async (req, res) => {
+  try {
+    const { roadmap: roadmapId, learners = [] } = req.body;
+
+    if (!mongoose.isValidObjectId(roadmapId) || !(await Roadmap.exists({ _id: roadmapId }))) {
+      return res.status(400).json({
+        success: false,
+        error: 'A valid roadmap is required'
+      });
+    }
+
+    const missing = await findMissingLearners(learners);
+    if (missing.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Learners not found: ${missing.join(', ')}`
+      });
+    }
+
+    const cohort = await Cohort.create({ ...req.body, learners: [...new Set(learners.map(String))] });
+    await cohort.populate(COHORT_POPULATE);
+
+    res.status(201).json({
+      success: true,
+      data: cohort
+    });
+  } catch (error) {
+    console.error('Error in createCohort:', error);
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({
+        success: false,
+        error: messages
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+};
+
+// Update a cohort's name, roadmap or dates (learners have their own endpoints)
+export const updateCohort = async (req, res) => {
+  try {
+    const cohort = await Cohort.findById(req.params.id);
+
+    if (!cohort) return cohortNotFound(res);
+
+    const { name, roadmap, startDate, endDate } = req.body;
+
+    if (roadmap !== undefined && (!mongoose.isValidObjectId(roadmap) || !(await Roadmap.exists({ _id: roadmap })))) {
+      return res.status(400).json({
+        success: false,
+        error: 'A valid roadmap is required'
+      });
+    }
+
+    if (name !== undefined) cohort.name = name;
+    if (roadmap !== undefined) cohort.roadmap = roadmap;
+    if (startDate !== undefined) cohort.startDate = startDate;
+    if (endDate !== undefined) cohort.endDate = endDate;
+
+    await cohort.save();
+    await cohort.populate(COHORT_POPULATE);
+
+    res.status(200).json({
+      success: true,
+      data: cohort
+    });
+  } catch (error) {
+    console.error('Error in updateCohort:', error);
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({
+        success: false,
+        error: messages
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+};
+
+// Delete a cohort (learners and their progress are kept)
+export const deleteCohort = async (req, res) => {
+  try {
+    const cohort = await Cohort.findByIdAndDelete(req.params.id);
+
+    if (!cohort) return cohortNotFound(res);
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    console.error('Error in deleteCohort:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+};
+
+// Add learners to a cohort ({ learners: [ids] })
+export const addCohortLearners = async (req, res) => {
+  try {
+    const { learners } = req.body;
+
+    if (!Array.isArray(learners) || learners.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please provide an array of learner ids'
+      });
+    }
+
+    const missing = await findMissingLearners(learners);
+    if (missing.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Learners not found: ${missing.join(', ')}`
+      });
+    }
+
+    const cohort = await Cohort.findByIdAndUpdate(
+      req.params.id,
+      { $addToSet: { learners: { $each: learners } } },
+      { new: true }
+    ).populate(COHORT_POPULATE);
+
+    if (!cohort) return cohortNotFound(res);
+
+    res.status(200).json({
+      success: true,
+      data: cohort
+    });
+  } catch (error) {
+    console.error('Error in addCohortLearners:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+};
+
+// Remove a learner from a cohort
+export const removeCohortLearner = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.learnerId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Learner not found'
+      });
+    }
+
+    const cohort = await Cohort.findByIdAndUpdate(
+      req.params.id,
+      { $pull: { learners: req.params.learnerId } },
+      { new: true }
+    ).populate(COHORT_POPULATE);
+
+    if (!cohort) return cohortNotFound(res);
+
+    res.status(200).json({
+      success: true,
+      data: cohort
+    });
+  } catch (error) {
+    console.error('Error in removeCohortLearner:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+};
+
+// Completion per tech stack across the cohort
+export const getCohortTechStacks = async (req, res) => {
+  try {
+    const scope = await loadCohortScope(req.params.id);
+
+    if (!scope) return cohortNotFound(res);
+
+    const techStacks = await getStackCompletion(scope.techStackIds, scope.cohort.learners, {
+      topicSelections: scope.topicSelections
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        cohort: describeCohort(scope.cohort),
+        techStacks
+      }
+    });
+  } catch (error) {
+    console.error('Error in getCohortTechStacks:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+};
+
+// Completion per topic across the cohort (optionally one stack via ?techStack=)
+export const getCohortTopics = async (req, res) => {
+  try {
+    const scope = await loadCohortScope(req.params.id);
+
+    if (!scope) return cohortNotFound(res);
+
+    const techStackIds = req.query.techStack
+      ? scope.techStackIds.filter(id => id === req.query.techStack)
+      : scope.techStackIds;
+
+    if (req.query.techStack && techStackIds.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Tech stack is not part of this cohort\'s roadmap'
+      });
+    }
+
+    const topics = await getTopicCompletion(techStackIds, scope.cohort.learners, {
+      topicSelections: scope.topicSelections
+    });
+
+    res.status(200).json({
+      success: true,
+      count: topics.length,
+      data: {
+        cohort: describeCohort(scope.cohort),
+        topics
+      }
+    });
+  } catch (error) {
+    console.error('Error in getCohortTopics:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+};
+
+// Topics with the lowest completion across the cohort (?limit=, default 5)
+export const getCohortSlowestTopics = async (req, res) => {
+  try {
+    const scope = await loadCohortScope(req.params.id);
+
+    if (!scope) return cohortNotFound(res);
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 5, 1), 50);
+    const topics = await getSlowestTopics(scope.techStackIds, scope.cohort.learners, limit, {
+      topicSelections: scope.topicSelections
+    });
+
+    res.status(200).json({
+      success: true,
+      count: topics.length,
+      data: {
+        cohort: describeCohort(scope.cohort),
+        topics
+      }
+    });
+  } catch (error) {
+    console.error('Error in getCohortSlowestTopics:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+};
+
+// Learners falling behind the expected pace or the cohort average (?tolerance=, default 15)
+export const getCohortLearnersBehind = async (req, res) => {
+  try {
+    const scope = await loadCohortScope(req.params.id);
+
+    if (!scope) return cohortNotFound(res);
+
+    const standings = await getLearnerStandings(scope.techStackIds, scope.cohort.learners, {
+      expectedPercentage: getExpectedPercentage(scope.cohort),
+      tolerance: parseTolerance(req.query.tolerance),
+      topicSelections: scope.topicSelections
+    });
+    const behind = standings.learners.filter(learner => learner.behind);
+
+    res.status(200).json({
+      success: true,
+      count: behind.length,
+      data: {
+        cohort: describeCohort(scope.cohort),
+        average: standings.average,
+        expectedPercentage: standings.expectedPercentage,
+        totalItems: standings.totalItems,
+        learners: behind
+      }
+    });
+  } catch (error) {
+    console.error('Error in getCohortLearnersBehind:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+};
+
+// Everything a trainer needs in one call: stacks, slowest topics and learner standings
+export const getCohortDashboard = async (req, res) => {
+  try {
+    const scope = await loadCohortScope(req.params.id);
+
+    if (!scope) return cohortNotFound(res);
+
+    const { cohort, techStackIds, topicSelections } = scope;
+    const [techStacks, slowestTopics, standings] = await Promise.all([
+      getStackCompletion(techStackIds, cohort.learners, { topicSelections }),
+      getSlowestTopics(techStackIds, cohort.learners, 5, { topicSelections }),
+      getLearnerStandings(techStackIds, cohort.learners, {
+        expectedPercentage: getExpectedPercentage(cohort),
+        tolerance: parseTolerance(req.query.tolerance),
+        topicSelections
+      })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        cohort: describeCohort(cohort),
+        overall: {
+          average: standings.average,
+          expectedPercentage: standings.expectedPercentage,
+          totalItems: standings.totalItems
+        },
+        techStacks,
+        slowestTopics,
+        learners: standings.learners,
+        learnersBehind: standings.learners.filter(learner => learner.behind).length
+      }
+    });
+  } catch (error) {
+    console.error('Error in getCohortDashboard:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+};
@@ -0,0 +1,108 @@
+// server/controllers/duplicateController.js
+import mongoose from 'mongoose';
+import TechStack from '../models/TechStack.js';
+import { findDuplicateCandidates, DEFAULT_TOPIC_OVERLAP } from '../utils/duplicateHelpers.js';
+import { mergeRoadmapItems, mergeTechStackInto } from '../utils/techStackMerge.js';
+import { resolveTechStackIds, findRoadmapsUsingTechStacks } from '../utils/techStackRefs.js';
+import { diffTechStacks } from '../utils/diffHelpers.js';
+import { sendError } from '../utils/helpers.js';
+
+// Report likely duplicate tech stacks (?minOverlap=0..1, default 0.6)
+export const getDuplicateReport = async (req, res) => {
+  try {
+    const minOverlap = req.query.minOverlap !== undefined ? Number(req.query.minOverlap) : DEFAULT_TOPIC_OVERLAP;
+
+    if (!Number.isFinite(minOverlap) || minOverlap < 0 || minOverlap > 1) {
+      return res.status(400).json({
+        success: false,
+        error: 'minOverlap must be a number between 0 and 1'
+      });
+    }
+
+    const techStacks = await TechStack.find()
+      .select('name roadmapItems.topic')
+      .sort({ name: 1 })
+      .lean();
+    const candidates = findDuplicateCandidates(techStacks, { minTopicOverlap: minOverlap });
+
+    res.status(200).json({
+      success: true,
+      count: candidates.length,
+      data: candidates
+    });
+  } catch (error) {
+    console.error('Error in getDuplicateReport:', error);
+    sendError(res, error);
+  }
+};
+
+// Merge another tech stack ({ source: id or name }) into this one. With
+// dryRun=true nothing is saved and the response shows the resulting changes.
+export const mergeTechStacks = async (req, res) => {
+  try {
+    if (!req.body.source) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please provide the tech stack to merge as "source"'
+      });
+    }
+
+    // A source given by id may already be in the trash, so a merge that
+    // failed after moving it there can be run again
+    const [target, source] = await Promise.all([
+      mongoose.isValidObjectId(req.params.id) ? TechStack.findById(req.params.id) : null,
+      mongoose.isObjectIdOrHexString(req.body.source)
+        ? TechStack.findById(req.body.source).setOptions({ withDeleted: true })
+        : resolveTechStackIds([req.body.source]).then(([sourceId]) => TechStack.findById(sourceId))
+    ]);
+
+    if (!target || !source) {
+      return res.status(404).json({
+        success: false,
+        error: 'Tech stack not found'
+      });
+    }
+    if (target._id.equals(source._id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'A tech stack cannot be merged into itself'
+      });
+    }
+
+    const dryRun = req.query.dryRun === 'true' || req.body.dryRun === true || req.body.dryRun === 'true';
+
+    if (dryRun) {
+      const { roadmapItems, mergedTopics, addedTopics } = mergeRoadmapItems(target.roadmapItems, source.roadmapItems);
+      const roadmaps = await findRoadmapsUsingTechStacks([source._id]);
+
+      return res.status(200).json({
+        success: true,
+        dryRun: true,
+        data: {
+          target: { _id: target._id, name: target.name },
+          source: { _id: source._id, name: source.name },
+          mergedTopics,
+          addedTopics,
+          diff: diffTechStacks(target.toObject(), { ...target.toObject(), roadmapItems }),
+          affectedRoadmaps: roadmaps
+        }
+      });
+    }
+
+    const summary = await mergeTechStackInto(target, source, { userId: req.user?._id });
+    const { progressDropped } = summary;
+
+    res.status(200).json({
+      success: true,
+      message: `"${source.name}" merged into "${target.name}" and moved to the trash` +
+        (progressDropped.length > 0 ? `; ${progressDropped.length} progress entries stayed with it` : ''),
+      data: {
+        techStack: target,
+        ...summary
+      }
+    });
+  } catch (error) {
+    console.error('Error in mergeTechStacks:', error);
+    sendError(res, error);
+  }
+};
@@ -0,0 +1,101 @@
+// server/controllers/exportController.js
+import TechStack from '../models/TechStack.js';
+import { toCSV, toWorkbookBuffer, toJSONDump } from '../utils/techStackExport.js';
+
+const EXPORT_FORMATS = ['csv', 'xlsx', 'json'];
+
+// File name safe for a Content-Disposition header
+const toFilename = (name, extension) => `${name.replace(/[/\\?%*:|"<>]/g, '_')}.${extension}`;
+
+/**
+ * Send exported tech stacks in the requested format
+ * @param {Object} res - Express response
+ * @param {Array<Object>} techStacks - Tech stacks to export
+ * @param {string} format - csv, xlsx or json
+ * @param {string} baseName - File name without extension
+ */
+const sendExport = (res, techStacks, format, baseName) => {
+  if (format === 'csv') {
+    res.attachment(toFilename(baseName, 'csv'));
+    return res.type('text/csv').send(toCSV(techStacks[0]));
+  }
+
+  if (format === 'xlsx') {
+    res.attachment(toFilename(baseName, 'xlsx'));
+    return res
+      .type('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet')
+      .send(toWorkbookBuffer(techStacks));
+  }
+
+  res.attachment(toFilename(baseName, 'json'));
+  return res.type('application/json').send(JSON.stringify(toJSONDump(techStacks), null, 2));
+};
+
+// Export a single tech stack (?format=csv|xlsx|json, default csv)
+export const exportTechStack = async (req, res) => {
+  try {
+    const format = (req.query.format || 'csv').toLowerCase();
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unsupported format "${format}". Use one of: ${EXPORT_FORMATS.join(', ')}`
+      });
+    }
+
+    const techStack = await TechStack.findById(req.params.id).populate('prerequisites', 'name');
+
+    if (!techStack) {
+      return res.status(404).json({
+        success: false,
+        error: 'Tech stack not found'
+      });
+    }
+
+    sendExport(res, [techStack], format, techStack.name);
+  } catch (error) {
+    console.error('Error in exportTechStack:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export tech stack'
+    });
+  }
+};
+
+// Export all tech stacks, or those listed in ?ids= (?format=xlsx|json, default xlsx)
+export const exportTechStacks = async (req, res) => {
+  try {
+    const format = (req.query.format || 'xlsx').toLowerCase();
+
+    if (format === 'csv') {
+      return res.status(400).json({
+        success: false,
+        error: 'CSV holds a single tech stack. Export it from /:id/export or use xlsx or json'
+      });
+    }
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unsupported format "${format}". Use one of: xlsx, json`
+      });
+    }
+
+    const filter = req.query.ids ? { _id: { $in: req.query.ids.split(',') } } : {};
+    const techStacks = await TechStack.find(filter).populate('prerequisites', 'name').sort({ name: 1 });
+
+    if (techStacks.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'No tech stacks to export'
+      });
+    }
+
+    sendExport(res, techStacks, format, 'tech-stacks');
+  } catch (error) {
+    console.error('Error in exportTechStacks:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export tech stacks'
+    });
+  }
+};
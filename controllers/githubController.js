@@ -1,177 +1,211 @@
 // server/controllers/githubController.js
-import fetch from 'node-fetch';
-import dotenv from 'dotenv';
+import { getPublisher } from '../publishers/index.js';
+import { renderRoadmap } from '../utils/roadmapRenderer.js';
+import { getBranchHead, GITHUB_BRANCH } from '../utils/githubClient.js';
+import { getPublishedRoadmapList } from '../utils/publishedRoadmapsCache.js';
+import { ApiError, assertSafeFilename, sendError } from '../utils/helpers.js';
 
-dotenv.config();
+/**
+ * Files of a batch publish request, rendering roadmap entries on the server
+ * @param {Array<Object>} entries - `{ filename, content }` or `{ filename,
+ *   companyName, role, techStacks, roles, template }`
+ * @returns {Promise<Array<{filename: string, content: string}>>}
+ * @throws {ApiError} - 400 for empty batches, bad or repeated file names and
+ *   entries without content
+ */
+const buildBatchFiles = async (entries) => {
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new ApiError('Please provide the files to publish', 400);
+  }
+
+  const files = [];
+  for (const entry of entries) {
+    const filename = assertSafeFilename(entry?.filename);
+    if (files.some(file => file.filename === filename)) {
+      throw new ApiError(`"${filename}" is listed more than once`, 400);
+    }
+
+    let { content } = entry;
+    if (content === undefined && entry.companyName) {
+      const { companyName, role, techStacks, roles, template } = entry;
+      content = await renderRoadmap({ companyName, role, techStacks, roles, template });
+    }
+    if (typeof content !== 'string') {
+      throw new ApiError(`"${filename}" needs either content or companyName with tech stacks`, 400);
+    }
 
-// GitHub API configuration
-const GITHUB_API_URL = 'https://api.github.com';
-const GITHUB_TOKEN = process.env.GITHUB_TOKEN; // Get from environment variables
-const GITHUB_USERNAME = process.env.GITHUB_USERNAME || 'niat-web';
-const GITHUB_REPO = process.env.GITHUB_REPO || 'Roadmaps';
-const GITHUB_BRANCH = process.env.GITHUB_BRANCH || 'main';
+    files.push({ filename, content });
+  }
+  return files;
+};
 
-// Upload roadmap to GitHub
+// Upload roadmap to GitHub (or to another publisher given as `publisher`)
 export const uploadRoadmap = async (req, res) => {
   try {
-    const { filename, content, description } = req.body;
+    const { filename, description, companyName, role, techStacks, roles, template } = req.body;
+    const publisher = getPublisher(req.body.publisher || 'github');
+    let { content } = req.body;
+    
+    // Without client supplied HTML, render the page from the tech stacks on the server
+    if (!content && companyName) {
+      content = await renderRoadmap({ companyName, role, techStacks, roles, template });
+    }
     
     if (!filename || !content) {
       return res.status(400).json({
         success: false,
-        error: 'Filename and content are required'
+        error: 'Filename and either content or companyName with tech stacks are required'
       });
     }
+    
+    const { data, publishedUrl } = await publisher.publish({
+      filename: assertSafeFilename(filename),
+      content,
+      message: description
+    });
+    
+    res.status(201).json({
+      success: true,
+      publisher: publisher.name,
+      data,
+      html_url: publishedUrl
+    });
+  } catch (error) {
+    console.error('GitHub Upload Error:', error);
+    sendError(res, error, 'Failed to upload roadmap to GitHub');
+  }
+};
 
-    // Validate GitHub token exists
-    if (!GITHUB_TOKEN) {
-      console.error('GitHub token is missing');
-      return res.status(500).json({
-        success: false,
-        error: 'GitHub authentication token is missing. Please check your environment variables.'
-      });
-    }
+// Get all published roadmaps (?publisher=, GitHub by default). The GitHub
+// list comes from a cache that is refreshed in the background.
+export const getPublishedRoadmaps = async (req, res) => {
+  try {
+    const publisher = getPublisher(req.query.publisher || 'github');
     
-    // Headers for GitHub API requests with fresh token
-    const headers = {
-      'Authorization': `token ${GITHUB_TOKEN}`,
-      'Accept': 'application/vnd.github.v3+json',
-      'Content-Type': 'application/json'
-    };
-    
-    // Check if file already exists
-    let sha;
-    try {
-      const checkFileUrl = `${GITHUB_API_URL}/repos/${GITHUB_USERNAME}/${GITHUB_REPO}/contents/${filename}`;
-      console.log(`Checking if file exists at: ${checkFileUrl}`);
+    if (publisher.name === 'github') {
+      const { data, cachedAt, stale, error } = await getPublishedRoadmapList();
       
-      const response = await fetch(checkFileUrl, {
-        method: 'GET',
-        headers
+      return res.status(200).json({
+        success: true,
+        publisher: publisher.name,
+        cachedAt,
+        stale,
+        ...(error && { warning: `Showing cached data: ${error}` }),
+        data
       });
-      
-      if (response.status === 200) {
-        const data = await response.json();
-        sha = data.sha;
-        console.log(`File exists, got SHA: ${sha}`);
-      }
-    } catch (error) {
-      console.log('File does not exist yet, creating new file');
     }
     
-    // Base64 encode the content
-    const encodedContent = Buffer.from(content).toString('base64');
-    
-    // Create the request body
-    const requestBody = {
-      message: description || `Upload roadmap: ${filename}`,
-      content: encodedContent,
-      branch: GITHUB_BRANCH
-    };
-    
-    // If the file exists, include its SHA to update it
-    if (sha) {
-      requestBody.sha = sha;
-    }
+    const roadmaps = await publisher.list();
     
-    // Log upload attempt
-    const uploadUrl = `${GITHUB_API_URL}/repos/${GITHUB_USERNAME}/${GITHUB_REPO}/contents/${filename}`;
-    console.log(`Uploading to: ${uploadUrl}`);
-    
-    // Upload or update the file
-    const uploadResponse = await fetch(uploadUrl, {
-      method: 'PUT',
-      headers,
-      body: JSON.stringify(requestBody)
+    res.status(200).json({
+      success: true,
+      publisher: publisher.name,
+      data: roadmaps
     });
+  } catch (error) {
+    console.error('GitHub API Error:', error);
+    sendError(res, error, 'Failed to fetch published roadmaps');
+  }
+};
+
+// Refresh the cached list of roadmaps published on GitHub
+export const refreshPublishedRoadmaps = async (req, res) => {
+  try {
+    const { data, cachedAt, stale, error } = await getPublishedRoadmapList({ refresh: true });
     
-    // Handle response
-    if (uploadResponse.status !== 201 && uploadResponse.status !== 200) {
-      const errorData = await uploadResponse.json();
-      console.error('GitHub API error details:', errorData);
-      throw new Error(`Failed to upload file: ${errorData.message}`);
+    if (error) {
+      return res.status(502).json({
+        success: false,
+        error: `Could not refresh from GitHub: ${error}`,
+        cachedAt,
+        data
+      });
     }
     
-    const responseData = await uploadResponse.json();
-    console.log('Upload successful, got response:', responseData.content?.html_url);
-    
-    // Construct the published URL - use GitHub Pages URL structure
-    const publishedUrl = `https://${GITHUB_USERNAME}.github.io/${GITHUB_REPO}/${filename}`;
-    
-    res.status(201).json({
+    res.status(200).json({
       success: true,
-      data: responseData,
-      html_url: publishedUrl
+      cachedAt,
+      stale,
+      data
     });
   } catch (error) {
-    console.error('GitHub Upload Error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message || 'Failed to upload roadmap to GitHub'
-    });
+    console.error('GitHub API Error:', error);
+    sendError(res, error, 'Failed to refresh published roadmaps');
   }
 };
 
-// Get all published roadmaps
-export const getPublishedRoadmaps = async (req, res) => {
+// Delete a published file (DELETE /roadmaps/<filename>, ?publisher=, GitHub
+// by default). Roadmaps are better unpublished through /api/roadmaps/:id/unpublish,
+// which also marks them as drafts.
+export const unpublishFile = async (req, res) => {
   try {
-    // Validate GitHub token exists
-    if (!GITHUB_TOKEN) {
-      console.error('GitHub token is missing');
-      return res.status(500).json({
+    const publisher = getPublisher(req.query.publisher || 'github');
+    const filename = assertSafeFilename(req.params[0]);
+    
+    const { removed, data } = await publisher.remove({ filename });
+    
+    if (!removed) {
+      return res.status(404).json({
         success: false,
-        error: 'GitHub authentication token is missing. Please check your environment variables.'
+        error: `${filename} is not published`
       });
     }
     
-    // Headers for GitHub API requests with fresh token
-    const headers = {
-      'Authorization': `token ${GITHUB_TOKEN}`,
-      'Accept': 'application/vnd.github.v3+json',
-      'Content-Type': 'application/json'
-    };
-    
-    // Get the contents of the repository
-    const repoUrl = `${GITHUB_API_URL}/repos/${GITHUB_USERNAME}/${GITHUB_REPO}/contents/`;
-    console.log(`Fetching repository contents from: ${repoUrl}`);
-    
-    const response = await fetch(repoUrl, {
-      method: 'GET',
-      headers
+    res.status(200).json({
+      success: true,
+      publisher: publisher.name,
+      data
     });
+  } catch (error) {
+    console.error('GitHub Delete Error:', error);
+    sendError(res, error, 'Failed to delete the published file');
+  }
+};
+
+// Publish several files (roadmap pages, CSS, an index page...) in a single
+// commit: { files, message?, expectedHeadSha? }. With expectedHeadSha the
+// request fails with 409 if the branch has moved on since it was read.
+export const publishBatch = async (req, res) => {
+  try {
+    const publisher = getPublisher(req.body.publisher || 'github');
     
-    if (response.status !== 200) {
-      const errorData = await response.json();
-      console.error('GitHub API error details:', errorData);
-      throw new Error(`Failed to get repository contents: ${errorData.message}`);
+    if (typeof publisher.publishBatch !== 'function') {
+      return res.status(400).json({
+        success: false,
+        error: `The ${publisher.name} publisher cannot publish batches`
+      });
     }
     
-    const contents = await response.json();
-    
-    // Filter for HTML files
-    const htmlFiles = contents.filter(item => 
-      item.type === 'file' && item.name.endsWith('.html')
-    );
+    const files = await buildBatchFiles(req.body.files);
+    const data = await publisher.publishBatch({
+      files,
+      message: req.body.message,
+      expectedHeadSha: req.body.expectedHeadSha
+    });
     
-    // Construct published URLs
-    const roadmaps = htmlFiles.map(file => ({
-      name: file.name,
-      url: `https://${GITHUB_USERNAME}.github.io/${GITHUB_REPO}/${file.name}`,
-      size: file.size,
-      sha: file.sha,
-      download_url: file.download_url,
-      html_url: file.html_url
-    }));
+    res.status(201).json({
+      success: true,
+      publisher: publisher.name,
+      data
+    });
+  } catch (error) {
+    console.error('GitHub Batch Publish Error:', error);
+    sendError(res, error, 'Failed to publish files to GitHub');
+  }
+};
+
+// Get the commit at the head of the publishing branch, to pass back as
+// expectedHeadSha when publishing a batch
+export const getPublishHead = async (req, res) => {
+  try {
+    const sha = await getBranchHead();
     
     res.status(200).json({
       success: true,
-      data: roadmaps
+      data: { branch: GITHUB_BRANCH, sha }
     });
   } catch (error) {
     console.error('GitHub API Error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message || 'Failed to fetch published roadmaps'
-    });
+    sendError(res, error, 'Failed to read the publishing branch');
   }
 };
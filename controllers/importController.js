@@ -0,0 +1,168 @@
+// server/controllers/importController.js
+import path from 'path';
+import XLSX from 'xlsx';
+import {
+  parseCSVText,
+  parseWorkbook,
+  upsertTechStack,
+  previewTechStackImport,
+  setPrerequisitesByName,
+  describeNameMatch,
+  WORKBOOK_READ_OPTIONS
+} from '../utils/techStackImport.js';
+import { parseJSONDump } from '../utils/techStackExport.js';
+import { ApiError, sendError } from '../utils/helpers.js';
+
+/**
+ * Parse an uploaded file into one entry per tech stack (a CSV is a single
+ * stack, a workbook has one per sheet, a JSON export one per stack in it)
+ * @param {Object} file - Multer file
+ * @param {Object} body - Request body (optional name and description for CSV files)
+ * @returns {Array<Object>} - Parsed sheets with name and description
+ * @throws {ApiError} - 400 when the workbook can't be read
+ */
+const parseUpload = (file, body) => {
+  const extension = path.extname(file.originalname).toLowerCase();
+
+  if (extension === '.csv') {
+    const name = (body.name || path.basename(file.originalname, extension)).trim();
+    try {
+      return [{
+        sheet: name,
+        description: body.description || '',
+        skipped: false,
+        ...parseCSVText(file.buffer.toString('utf8'))
+      }];
+    } catch (error) {
+      return [{ sheet: name, skipped: true, reason: error.message }];
+    }
+  }
+
+  if (extension === '.json') {
+    try {
+      return parseJSONDump(file.buffer.toString('utf8')).map(techStack => ({
+        sheet: techStack.name,
+        description: techStack.description,
+        aliases: techStack.aliases,
+        prerequisites: techStack.prerequisites,
+        skipped: false,
+        headers: techStack.headers,
+        roadmapItems: techStack.roadmapItems || [],
+        rowCount: (techStack.roadmapItems || []).length,
+        skippedRows: []
+      }));
+    } catch (error) {
+      return [{ sheet: file.originalname, skipped: true, reason: error.message }];
+    }
+  }
+
+  let workbook;
+  try {
+    workbook = XLSX.read(file.buffer, { ...WORKBOOK_READ_OPTIONS, type: 'buffer' });
+  } catch (error) {
+    throw new ApiError(`Could not read ${file.originalname}: ${error.message}`, 400);
+  }
+  return parseWorkbook(workbook).map(sheet => ({
+    ...sheet,
+    description: `Imported from ${file.originalname}, sheet: ${sheet.sheet}`
+  }));
+};
+
+// Reason shown on sheets left out because their name only matches another stack
+const nameMatchReason = (action, hint) => (action === 'name-match' ? {
+  reason: `${describeNameMatch(hint)}; rename it or import with matchNames=true to update that stack`
+} : {});
+
+// Import tech stacks from an uploaded CSV, XLSX or JSON export file. With dryRun=true
+// nothing is saved; each sheet reports the changes the import would make.
+// Sheets whose name only matches a stack by normalized name or alias are
+// reported as "name-match" and left out unless matchNames=true.
+export const importTechStacks = async (req, res) => {
+  try {
+    const dryRun = req.query.dryRun === 'true' || req.body.dryRun === 'true';
+    const matchNames = req.query.matchNames === 'true' || req.body.matchNames === 'true';
+    const sheets = parseUpload(req.file, req.body);
+    const revision = {
+      source: 'import',
+      message: `Imported from ${req.file.originalname}`,
+      changedBy: req.user?._id
+    };
+
+    const report = [];
+    // Stacks from a JSON export whose prerequisites are linked once all are saved
+    const saved = [];
+    for (const sheet of sheets) {
+      const entry = {
+        sheet: sheet.sheet,
+        techStack: sheet.sheet,
+        rowCount: sheet.rowCount || 0,
+        topicCount: sheet.roadmapItems ? sheet.roadmapItems.length : 0,
+        skippedRows: sheet.skippedRows || [],
+        warnings: sheet.warnings || [],
+        headers: sheet.headerMapping
+      };
+
+      if (sheet.skipped) {
+        report.push({ ...entry, action: 'skipped', reason: sheet.reason });
+        continue;
+      }
+
+      const techStackData = {
+        name: sheet.sheet,
+        description: sheet.description,
+        ...(sheet.aliases !== undefined && { aliases: sheet.aliases }),
+        headers: sheet.headers,
+        roadmapItems: sheet.roadmapItems
+      };
+
+      try {
+        if (dryRun) {
+          const { action, diff, hint } = await previewTechStackImport(techStackData, { matchNames });
+          report.push({ ...entry, action, ...(hint && { redirect: hint }), ...nameMatchReason(action, hint), diff });
+          continue;
+        }
+
+        const { action, techStack, hint } = await upsertTechStack(techStackData, revision, { matchNames });
+        if (!techStack) {
+          report.push({ ...entry, action, redirect: hint, ...nameMatchReason(action, hint) });
+          continue;
+        }
+        report.push({ ...entry, action, techStackId: techStack._id, ...(hint && { redirect: hint }) });
+        if (sheet.prerequisites) saved.push({ entry: report[report.length - 1], techStack, names: sheet.prerequisites });
+      } catch (error) {
+        console.error(`Error importing sheet "${sheet.sheet}":`, error);
+        report.push({ ...entry, action: 'failed', reason: error.message });
+      }
+    }
+
+    for (const { entry, techStack, names } of saved) {
+      try {
+        entry.warnings.push(...await setPrerequisitesByName(techStack, names));
+      } catch (error) {
+        console.error(`Error linking prerequisites of "${techStack.name}":`, error);
+        entry.warnings.push(`Prerequisites not set: ${error.message}`);
+      }
+    }
+
+    const actions = dryRun
+      ? ['create', 'update', 'restore', 'name-match', 'skipped', 'failed']
+      : ['created', 'updated', 'restored', 'name-match', 'skipped', 'failed'];
+    const summary = actions.reduce((counts, action) => ({
+      ...counts,
+      [action]: report.filter(entry => entry.action === action).length
+    }), {});
+
+    res.status(200).json({
+      success: true,
+      data: {
+        file: req.file.originalname,
+        dryRun,
+        summary,
+        sheets: report
+      }
+    });
+  } catch (error) {
+    console.error('Error in importTechStacks:', error);
+    sendError(res, error, 'Failed to import tech stacks');
+  }
+};
@@ -0,0 +1,139 @@
+// server/controllers/learnerController.js
+import Learner from '../models/Learner.js';
+import LearnerProgress from '../models/LearnerProgress.js';
+import Cohort from '../models/Cohort.js';
+
+// Get all learners
+export const getAllLearners = async (req, res) => {
+  try {
+    const learners = await Learner.find().sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: learners.length,
+      data: learners
+    });
+  } catch (error) {
+    console.error('Error in getAllLearners:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+};
+
+// Get a specific learner by ID
+export const getLearnerById = async (req, res) => {
+  try {
+    const learner = await Learner.findById(req.params.id);
+
+    if (!learner) {
+      return res.status(404).json({
+        success: false,
+        error: 'Learner not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: learner
+    });
+  } catch (error) {
+    console.error('Error in getLearnerById:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+};
+
+// Create a new learner
+export const createLearner = async (req, res) => {
+  try {
+    const learner = await Learner.create(req.body);
+
+    res.status(201).json({
+      success: true,
+      data: learner
+    });
+  } catch (error) {
+    console.error('Error in createLearner:', error);
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: 'A learner with this email already exists'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({
+        success: false,
+        error: messages
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+};
+
+// Update a learner
+export const updateLearner = async (req, res) => {
+  try {
+    const learner = await Learner.findByIdAndUpdate(
+      req.params.id,
+      req.body,
+      { new: true, runValidators: true }
+    );
+
+    if (!learner) {
+      return res.status(404).json({
+        success: false,
+        error: 'Learner not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: learner
+    });
+  } catch (error) {
+    console.error('Error in updateLearner:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+};
+
+// Delete a learner along with their progress and cohort memberships
+export const deleteLearner = async (req, res) => {
+  try {
+    const learner = await Learner.findByIdAndDelete(req.params.id);
+
+    if (!learner) {
+      return res.status(404).json({
+        success: false,
+        error: 'Learner not found'
+      });
+    }
+
+    await Promise.all([
+      LearnerProgress.deleteMany({ learner: learner._id }),
+      Cohort.updateMany({ learners: learner._id }, { $pull: { learners: learner._id } })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    console.error('Error in deleteLearner:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+};
\ No newline at end of file
@@ -0,0 +1,69 @@
+// server/controllers/pageController.js
+import Roadmap from '../models/Roadmap.js';
+import {
+  findHostedRoadmap,
+  getPageValidators,
+  renderStoredRoadmap,
+  verifyPreviewToken
+} from '../utils/roadmapPages.js';
+import { sendError } from '../utils/helpers.js';
+
+/**
+ * Send a roadmap page, or 304 when the client's copy is still current
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} roadmap - Roadmap document
+ * @param {Object} options
+ * @param {string} [options.role] - Role title when only one role is shown
+ * @param {boolean} [options.preview] - Private preview (drafts included)
+ */
+const sendRoadmapPage = async (req, res, roadmap, { role, preview = false } = {}) => {
+  const { etag, lastModified } = await getPageValidators(roadmap, { role });
+
+  res.set({
+    'ETag': etag,
+    'Last-Modified': lastModified.toUTCString(),
+    // Always revalidate; the validators make that cheap
+    'Cache-Control': preview ? 'private, no-cache' : 'public, no-cache'
+  });
+  if (preview) res.set('X-Robots-Tag', 'noindex');
+
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+
+  const html = await renderStoredRoadmap(roadmap, { role, generatedAt: lastModified });
+  res.status(200).type('html').send(html);
+};
+
+// Serve a published roadmap page (/r/:company or /r/:company/:role)
+export const getRoadmapPage = async (req, res) => {
+  try {
+    const found = await findHostedRoadmap(req.params.company, req.params.role);
+
+    if (!found) {
+      return res.status(404).type('text').send('Roadmap not found');
+    }
+
+    await sendRoadmapPage(req, res, found.roadmap, { role: found.role });
+  } catch (error) {
+    console.error('Error in getRoadmapPage:', error);
+    sendError(res, error);
+  }
+};
+
+// Serve any roadmap, drafts included, from a preview link
+export const getRoadmapPreviewPage = async (req, res) => {
+  try {
+    const roadmap = await Roadmap.findById(verifyPreviewToken(req.params.token));
+
+    if (!roadmap) {
+      return res.status(404).type('text').send('Roadmap not found');
+    }
+
+    await sendRoadmapPage(req, res, roadmap, { preview: true });
+  } catch (error) {
+    console.error('Error in getRoadmapPreviewPage:', error);
+    sendError(res, error);
+  }
+};
@@ -0,0 +1,258 @@
+// server/controllers/progressController.js
+import mongoose from 'mongoose';
+import Learner from '../models/Learner.js';
+import LearnerProgress from '../models/LearnerProgress.js';
+import TechStack, { COMPLETION_STATUSES } from '../models/TechStack.js';
+import Roadmap from '../models/Roadmap.js';
+import { getRoadmapTechStackIds } from '../utils/techStackRefs.js';
+import { computeStackProgress, summarizeProgress, deriveStatus } from '../utils/progressHelpers.js';
+import { applyTopicSelections } from '../utils/topicSelections.js';
+
+/**
+ * Progress of a learner on each of the given tech stacks, in order
+ * @param {ObjectId} learnerId - Learner id
+ * @param {Array<string>} techStackIds - Tech stack ids
+ * @param {Array<Object>} [topicSelections] - Topic subsets of a roadmap; only
+ *   the selected topics count
+ * @returns {Promise<Array<Object>>} - computeStackProgress results
+ */
+const getProgressForStacks = async (learnerId, techStackIds, topicSelections = []) => {
+  const [techStacks, entries] = await Promise.all([
+    TechStack.find({ _id: { $in: techStackIds } }).select('name roadmapItems').lean(),
+    LearnerProgress.find({ learner: learnerId, techStack: { $in: techStackIds } }).lean()
+  ]);
+
+  const stacksById = new Map(applyTopicSelections(techStacks, topicSelections)
+    .map(techStack => [techStack._id.toString(), techStack]));
+
+  return techStackIds
+    .filter(id => stacksById.has(id.toString()))
+    .map(id => computeStackProgress(
+      stacksById.get(id.toString()),
+      entries.filter(entry => entry.techStack.toString() === id.toString())
+    ));
+};
+
+// Update a learner's progress on one roadmap item. Editors can update anyone;
+// a learner linked to the logged in user can update their own progress.
+export const updateItemProgress = async (req, res) => {
+  try {
+    const learner = await Learner.findById(req.params.id);
+
+    if (!learner) {
+      return res.status(404).json({
+        success: false,
+        error: 'Learner not found'
+      });
+    }
+
+    const isSelf = learner.user && learner.user.equals(req.user._id);
+    if (!isSelf && !req.user.hasRole('editor')) {
+      return res.status(403).json({
+        success: false,
+        error: 'You can only update your own progress'
+      });
+    }
+
+    const techStack = await TechStack.findById(req.params.techStackId);
+
+    if (!techStack) {
+      return res.status(404).json({
+        success: false,
+        error: 'Tech stack not found'
+      });
+    }
+
+    const item = techStack.roadmapItems.id(req.params.itemId);
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        error: 'Roadmap item not found'
+      });
+    }
+
+    const { status, completedSubTopics, completedProjects } = req.body;
+
+    if (status !== undefined && !COMPLETION_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Status must be one of: ${COMPLETION_STATUSES.join(', ')}`
+      });
+    }
+
+    const lists = { completedSubTopics, completedProjects };
+    const notArrays = Object.keys(lists).filter(field => lists[field] !== undefined && !Array.isArray(lists[field]));
+    if (notArrays.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `${notArrays.join(' and ')} must be arrays of ids`
+      });
+    }
+
+    // Completed subtopics/projects are kept once each and must belong to this item
+    const uniqueIds = ids => (ids === undefined ? undefined : [...new Set(ids.map(String))]);
+    const subTopicIds = uniqueIds(completedSubTopics);
+    const projectIds = uniqueIds(completedProjects);
+    const belongsTo = (list, id) => mongoose.isObjectIdOrHexString(id) && Boolean(list.id(id));
+    const invalidIds = [
+      ...(subTopicIds || []).filter(id => !belongsTo(item.subTopics, id)),
+      ...(projectIds || []).filter(id => !belongsTo(item.projects, id))
+    ];
+    if (invalidIds.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Not part of this roadmap item: ${invalidIds.join(', ')}`
+      });
+    }
+
+    const progress = await LearnerProgress.findOne({
+      learner: learner._id,
+      techStack: techStack._id,
+      roadmapItem: item._id
+    }) || new LearnerProgress({
+      learner: learner._id,
+      techStack: techStack._id,
+      roadmapItem: item._id
+    });
+
+    if (subTopicIds !== undefined) progress.completedSubTopics = subTopicIds;
+    if (projectIds !== undefined) progress.completedProjects = projectIds;
+
+    // Without an explicit status, derive it from the finished subtopics/projects
+    progress.status = status !== undefined
+      ? status
+      : deriveStatus(item, progress.completedSubTopics, progress.completedProjects);
+
+    await progress.save();
+
+    res.status(200).json({
+      success: true,
+      data: progress
+    });
+  } catch (error) {
+    console.error('Error in updateItemProgress:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+};
+
+// Get a learner's progress on every tech stack they have started
+export const getLearnerProgress = async (req, res) => {
+  try {
+    const learner = await Learner.findById(req.params.id);
+
+    if (!learner) {
+      return res.status(404).json({
+        success: false,
+        error: 'Learner not found'
+      });
+    }
+
+    const techStackIds = await LearnerProgress.distinct('techStack', { learner: learner._id });
+    const techStacks = await getProgressForStacks(learner._id, techStackIds.map(String));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        learner: { _id: learner._id, name: learner.name },
+        overall: summarizeProgress(techStacks),
+        techStacks
+      }
+    });
+  } catch (error) {
+    console.error('Error in getLearnerProgress:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+};
+
+// Get a learner's progress on one tech stack
+export const getStackProgress = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.techStackId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Tech stack not found'
+      });
+    }
+
+    const learner = await Learner.findById(req.params.id);
+
+    if (!learner) {
+      return res.status(404).json({
+        success: false,
+        error: 'Learner not found'
+      });
+    }
+
+    const [progress] = await getProgressForStacks(learner._id, [req.params.techStackId]);
+
+    if (!progress) {
+      return res.status(404).json({
+        success: false,
+        error: 'Tech stack not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: progress
+    });
+  } catch (error) {
+    console.error('Error in getStackProgress:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+};
+
+// Get a learner's progress on a published roadmap, per tech stack and overall
+export const getRoadmapProgress = async (req, res) => {
+  try {
+    const [learner, roadmap] = await Promise.all([
+      Learner.findById(req.params.id),
+      Roadmap.findById(req.params.roadmapId)
+    ]);
+
+    if (!learner) {
+      return res.status(404).json({
+        success: false,
+        error: 'Learner not found'
+      });
+    }
+    if (!roadmap) {
+      return res.status(404).json({
+        success: false,
+        error: 'Roadmap not found'
+      });
+    }
+
+    const techStacks = await getProgressForStacks(
+      learner._id,
+      getRoadmapTechStackIds(roadmap),
+      roadmap.toObject().topicSelections
+    );
+
+    res.status(200).json({
+      success: true,
+      data: {
+        learner: { _id: learner._id, name: learner.name },
+        roadmap: { _id: roadmap._id, companyName: roadmap.companyName, role: roadmap.role },
+        overall: summarizeProgress(techStacks),
+        techStacks
+      }
+    });
+  } catch (error) {
+    console.error('Error in getRoadmapProgress:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+};
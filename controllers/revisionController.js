@@ -0,0 +1,160 @@
+// server/controllers/revisionController.js
+import TechStack from '../models/TechStack.js';
+import TechStackRevision from '../models/TechStackRevision.js';
+import { diffTechStacks } from '../utils/diffHelpers.js';
+
+// List the revisions of a tech stack (newest first, without snapshots)
+export const getRevisions = async (req, res) => {
+  try {
+    const techStack = await TechStack.findById(req.params.id).select('_id');
+
+    if (!techStack) {
+      return res.status(404).json({
+        success: false,
+        error: 'Tech stack not found'
+      });
+    }
+
+    const revisions = await TechStackRevision.find({ techStack: techStack._id })
+      .sort({ revision: -1 })
+      .select('-snapshot')
+      .populate('changedBy', 'name email');
+
+    res.status(200).json({
+      success: true,
+      count: revisions.length,
+      data: revisions
+    });
+  } catch (error) {
+    console.error('Error in getRevisions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+};
+
+// Get a single revision including its snapshot
+export const getRevision = async (req, res) => {
+  try {
+    const revision = await TechStackRevision.findOne({
+      techStack: req.params.id,
+      revision: Number(req.params.revision)
+    }).populate('changedBy', 'name email');
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        error: 'Revision not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: revision
+    });
+  } catch (error) {
+    console.error('Error in getRevision:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+};
+
+// Diff two revisions topic-by-topic. `to` defaults to the latest revision
+// and `from` to the one before it.
+export const diffRevisions = async (req, res) => {
+  try {
+    const latest = await TechStackRevision.findOne({ techStack: req.params.id })
+      .sort({ revision: -1 })
+      .select('revision');
+
+    if (!latest) {
+      return res.status(404).json({
+        success: false,
+        error: 'No revisions found for this tech stack'
+      });
+    }
+
+    const to = req.query.to ? Number(req.query.to) : latest.revision;
+    const from = req.query.from ? Number(req.query.from) : to - 1;
+
+    const [fromRevision, toRevision] = await Promise.all([
+      TechStackRevision.findOne({ techStack: req.params.id, revision: from }),
+      TechStackRevision.findOne({ techStack: req.params.id, revision: to })
+    ]);
+
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json({
+        success: false,
+        error: `Revision ${!fromRevision ? from : to} not found`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        from,
+        to,
+        ...diffTechStacks(fromRevision.snapshot, toRevision.snapshot)
+      }
+    });
+  } catch (error) {
+    console.error('Error in diffRevisions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+};
+
+// Restore a tech stack's curriculum to an older revision. The restore itself
+// is saved as a new revision, so it can be undone the same way.
+export const restoreRevision = async (req, res) => {
+  try {
+    const techStack = await TechStack.findById(req.params.id);
+
+    if (!techStack) {
+      return res.status(404).json({
+        success: false,
+        error: 'Tech stack not found'
+      });
+    }
+
+    const revision = await TechStackRevision.findOne({
+      techStack: techStack._id,
+      revision: Number(req.params.revision)
+    });
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        error: 'Revision not found'
+      });
+    }
+
+    const { description, headers, roadmapItems } = revision.snapshot;
+    techStack.description = description;
+    techStack.headers = headers;
+    techStack.roadmapItems = roadmapItems;
+    techStack.$locals.revision = {
+      source: 'restore',
+      message: `Restored revision ${revision.revision}`,
+      changedBy: req.user?._id
+    };
+
+    await techStack.save();
+
+    res.status(200).json({
+      success: true,
+      data: techStack
+    });
+  } catch (error) {
+    console.error('Error in restoreRevision:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+};
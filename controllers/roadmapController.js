@@ -1,29 +1,83 @@
 // server/controllers/roadmapController.js
+import mongoose from 'mongoose';
 import Roadmap from '../models/Roadmap.js';
+import { renderRoadmap, getTemplateNames } from '../utils/roadmapRenderer.js';
+import {
+  createRoadmapFromData,
+  resolveRoadmapRefs,
+  publishStoredRoadmap,
+  unpublishStoredRoadmap,
+  renameStoredRoadmap
+} from '../utils/roadmapBuilder.js';
+import { createPreviewToken, getRoadmapPagePath } from '../utils/roadmapPages.js';
+import { getPublisherNames } from '../publishers/index.js';
+import config from '../config/config.js';
+import { sendError, pickFields } from '../utils/helpers.js';
+import { parseListQuery, applyListQuery, buildPagination } from '../utils/queryHelpers.js';
+
+// Fields of the referenced tech stacks returned with a roadmap
+const TECH_STACK_FIELDS = 'name';
+
+// Populate the tech stack references of a roadmap query or document
+const populateTechStacks = (target) => target.populate([
+  { path: 'techStacks', select: TECH_STACK_FIELDS },
+  { path: 'roles.techStacks', select: TECH_STACK_FIELDS }
+]);
+
+// Fields an update may change. Status, page location and publisher go
+// through publish, unpublish and rename; the trash through delete and restore.
+const EDITABLE_ROADMAP_FIELDS = ['companyName', 'role', 'techStacks', 'isConsolidated', 'roles', 'topicSelections', 'pageTemplate'];
+
+// Sorting and projection allowed on roadmap list endpoints
+const ROADMAP_LIST_OPTIONS = {
+  sortFields: ['createdDate', 'updatedAt', 'companyName', 'role', 'filename'],
+  selectFields: ['companyName', 'role', 'status', 'techStacks', 'publishedUrl', 'filename', 'publisher', 'pageTemplate', 'isConsolidated', 'roles', 'topicSelections', 'roadmapTemplate', 'createdDate', 'updatedAt'],
+  defaultSort: '-createdDate'
+};
+
+/**
+ * Find one page of roadmaps matching a filter, with the total count
+ * @param {Object} filter - Mongo filter
+ * @param {Object} query - req.query (page, limit, sort, fields, includeDeleted)
+ * @returns {Promise<{roadmaps: Array, total: number, pagination: Object}>}
+ */
+const findRoadmapPage = async (filter, query) => {
+  const listOptions = parseListQuery(query, ROADMAP_LIST_OPTIONS);
+  const withDeleted = query.includeDeleted === 'true';
+  
+  const [roadmaps, total] = await Promise.all([
+    applyListQuery(populateTechStacks(Roadmap.find(filter)), listOptions).setOptions({ withDeleted }),
+    Roadmap.countDocuments(filter).setOptions({ withDeleted })
+  ]);
+  
+  return { roadmaps, total, pagination: buildPagination(listOptions, total) };
+};
 
 // Get all roadmaps
 export const getAllRoadmaps = async (req, res) => {
   try {
-    const roadmaps = await Roadmap.find().sort({ createdDate: -1 });
+    // ?status=draft|published
+    const filter = req.query.status ? { status: req.query.status } : {};
+    const { roadmaps, total, pagination } = await findRoadmapPage(filter, req.query);
     
     res.status(200).json({
       success: true,
       count: roadmaps.length,
+      total,
+      pagination,
       data: roadmaps
     });
   } catch (error) {
     console.error('Error in getAllRoadmaps:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Server Error'
-    });
+    sendError(res, error);
   }
 };
 
 // Get a specific roadmap by ID
 export const getRoadmapById = async (req, res) => {
   try {
-    const roadmap = await Roadmap.findById(req.params.id);
+    const roadmap = await populateTechStacks(Roadmap.findById(req.params.id))
+      .setOptions({ withDeleted: req.query.includeDeleted === 'true' });
     
     if (!roadmap) {
       return res.status(404).json({
@@ -48,35 +102,43 @@ export const getRoadmapById = async (req, res) => {
 // Create a new roadmap
 export const createRoadmap = async (req, res) => {
   try {
+    let roadmapData;
+    
     // Check if it's a consolidated roadmap with multiple roles
     if (req.body.isConsolidated && req.body.roles && req.body.roles.length > 0) {
       // For consolidated roadmaps, use a generic role name and include the roles array
-      const roadmapData = {
+      roadmapData = {
         companyName: req.body.companyName,
         role: req.body.role || 'Consolidated',
         techStacks: req.body.techStacks,
         publishedUrl: req.body.publishedUrl,
         filename: req.body.filename,
+        publisher: req.body.publisher,
         isConsolidated: true,
         roles: req.body.roles,
+        topicSelections: req.body.topicSelections,
         createdDate: req.body.createdDate || new Date()
       };
-      
-      const roadmap = await Roadmap.create(roadmapData);
-      
-      res.status(201).json({
-        success: true,
-        data: roadmap
-      });
     } else {
       // For regular single-role roadmaps
-      const roadmap = await Roadmap.create(req.body);
-      
-      res.status(201).json({
-        success: true,
-        data: roadmap
-      });
+      roadmapData = { ...req.body };
     }
+    
+    delete roadmapData.publish;
+    delete roadmapData.template;
+    
+    const { roadmap, warnings, redirects } = await createRoadmapFromData(roadmapData, {
+      publish: req.body.publish,
+      template: req.body.template
+    });
+    await populateTechStacks(roadmap);
+    
+    res.status(201).json({
+      success: true,
+      ...(warnings.length > 0 && { warnings }),
+      ...(redirects.length > 0 && { redirects }),
+      data: roadmap
+    });
   } catch (error) {
     console.error('Error in createRoadmap:', error);
     if (error.name === 'ValidationError') {
@@ -87,21 +149,181 @@ export const createRoadmap = async (req, res) => {
       });
     }
     
-    res.status(500).json({
-      success: false,
-      error: 'Server Error'
+    sendError(res, error);
+  }
+};
+
+// Render a roadmap page without saving or publishing it
+export const previewRoadmap = async (req, res) => {
+  try {
+    const html = await renderRoadmap({
+      companyName: req.body.companyName,
+      role: req.body.role,
+      techStacks: req.body.techStacks,
+      roles: req.body.isConsolidated ? req.body.roles : undefined,
+      topicSelections: req.body.topicSelections,
+      template: req.body.template
+    });
+    
+    res.status(200).type('html').send(html);
+  } catch (error) {
+    console.error('Error in previewRoadmap:', error);
+    sendError(res, error);
+  }
+};
+
+// Get the names of the available page templates
+export const getRoadmapTemplates = async (req, res) => {
+  const templates = getTemplateNames();
+  
+  res.status(200).json({
+    success: true,
+    count: templates.length,
+    data: templates
+  });
+};
+
+// Publish a roadmap: render its page and push it through its publisher
+// ({ publisher?, template? }), or with { push: false } only serve it from
+// this server at /r/:company/:role
+export const publishRoadmap = async (req, res) => {
+  try {
+    const roadmap = mongoose.isValidObjectId(req.params.id) && await Roadmap.findById(req.params.id);
+    
+    if (!roadmap) {
+      return res.status(404).json({
+        success: false,
+        error: 'Roadmap not found'
+      });
+    }
+    
+    await publishStoredRoadmap(roadmap, {
+      publisher: req.body.publisher,
+      template: req.body.template,
+      push: req.body.push !== false
+    });
+    await populateTechStacks(roadmap);
+    
+    res.status(200).json({
+      success: true,
+      pagePath: getRoadmapPagePath(roadmap),
+      data: roadmap
     });
+  } catch (error) {
+    console.error('Error in publishRoadmap:', error);
+    sendError(res, error);
   }
 };
 
+// Unpublish a roadmap: delete its page from the publisher and make it a draft
+export const unpublishRoadmap = async (req, res) => {
+  try {
+    const roadmap = mongoose.isValidObjectId(req.params.id) && await Roadmap.findById(req.params.id);
+    
+    if (!roadmap) {
+      return res.status(404).json({
+        success: false,
+        error: 'Roadmap not found'
+      });
+    }
+    
+    const { removed } = await unpublishStoredRoadmap(roadmap);
+    await populateTechStacks(roadmap);
+    
+    res.status(200).json({
+      success: true,
+      removed,
+      data: roadmap
+    });
+  } catch (error) {
+    console.error('Error in unpublishRoadmap:', error);
+    sendError(res, error);
+  }
+};
+
+// Move a roadmap's page to a new file name ({ filename, redirect? }). Unless
+// redirect is false a stub at the old path forwards visitors to the new page.
+export const renameRoadmap = async (req, res) => {
+  try {
+    const roadmap = mongoose.isValidObjectId(req.params.id) && await Roadmap.findById(req.params.id);
+    
+    if (!roadmap) {
+      return res.status(404).json({
+        success: false,
+        error: 'Roadmap not found'
+      });
+    }
+    
+    if (!req.body.filename) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please provide the new file name'
+      });
+    }
+    
+    const { previousFilename, moved } = await renameStoredRoadmap(roadmap, req.body.filename, {
+      redirect: req.body.redirect !== false
+    });
+    await populateTechStacks(roadmap);
+    
+    res.status(200).json({
+      success: true,
+      previousFilename,
+      moved,
+      data: roadmap
+    });
+  } catch (error) {
+    console.error('Error in renameRoadmap:', error);
+    sendError(res, error);
+  }
+};
+
+// Create a link for previewing a roadmap page, drafts included. The page is
+// rendered by this server and never pushed to a publisher.
+export const createRoadmapPreviewLink = async (req, res) => {
+  try {
+    const roadmap = mongoose.isValidObjectId(req.params.id) && await Roadmap.findById(req.params.id);
+    
+    if (!roadmap) {
+      return res.status(404).json({
+        success: false,
+        error: 'Roadmap not found'
+      });
+    }
+    
+    res.status(201).json({
+      success: true,
+      data: createPreviewToken(roadmap)
+    });
+  } catch (error) {
+    console.error('Error in createRoadmapPreviewLink:', error);
+    sendError(res, error);
+  }
+};
+
+// Get the names of the available publishers and the default one
+export const getRoadmapPublishers = async (req, res) => {
+  const publishers = getPublisherNames();
+  
+  res.status(200).json({
+    success: true,
+    count: publishers.length,
+    default: config.defaultPublisher,
+    data: publishers
+  });
+};
+
 // Update a roadmap
 export const updateRoadmap = async (req, res) => {
   try {
-    const roadmap = await Roadmap.findByIdAndUpdate(
+    const updates = pickFields(req.body, EDITABLE_ROADMAP_FIELDS);
+    const redirects = await resolveRoadmapRefs(updates);
+    
+    const roadmap = await populateTechStacks(Roadmap.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      updates,
       { new: true, runValidators: true }
-    );
+    ));
     
     if (!roadmap) {
       return res.status(404).json({
@@ -112,10 +334,62 @@ export const updateRoadmap = async (req, res) => {
     
     res.status(200).json({
       success: true,
+      ...(redirects.length > 0 && { redirects }),
       data: roadmap
     });
   } catch (error) {
     console.error('Error in updateRoadmap:', error);
+    sendError(res, error);
+  }
+};
+
+// Delete a roadmap (moves it to the trash)
+export const deleteRoadmap = async (req, res) => {
+  try {
+    const roadmap = await Roadmap.findById(req.params.id);
+    
+    if (!roadmap) {
+      return res.status(404).json({
+        success: false,
+        error: 'Roadmap not found'
+      });
+    }
+    
+    // ?unpublish=true also takes the page down; the roadmap is only trashed
+    // once that worked
+    let unpublished;
+    if (req.query.unpublish === 'true') {
+      ({ removed: unpublished } = await unpublishStoredRoadmap(roadmap));
+    }
+    
+    await roadmap.softDelete(req.user?._id);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Roadmap moved to the trash',
+      ...(unpublished !== undefined && { unpublished }),
+      data: {}
+    });
+  } catch (error) {
+    console.error('Error in deleteRoadmap:', error);
+    sendError(res, error);
+  }
+};
+
+// Get the roadmaps in the trash
+export const getTrashedRoadmaps = async (req, res) => {
+  try {
+    const roadmaps = await Roadmap.findDeleted()
+      .populate('deletedBy', 'name email')
+      .sort({ deletedAt: -1 });
+    
+    res.status(200).json({
+      success: true,
+      count: roadmaps.length,
+      data: roadmaps
+    });
+  } catch (error) {
+    console.error('Error in getTrashedRoadmaps:', error);
     res.status(500).json({
       success: false,
       error: 'Server Error'
@@ -123,15 +397,45 @@ export const updateRoadmap = async (req, res) => {
   }
 };
 
-// Delete a roadmap
-export const deleteRoadmap = async (req, res) => {
+// Restore a roadmap from the trash
+export const restoreRoadmap = async (req, res) => {
   try {
-    const roadmap = await Roadmap.findByIdAndDelete(req.params.id);
+    const [roadmap] = await Roadmap.findDeleted({ _id: req.params.id });
     
     if (!roadmap) {
       return res.status(404).json({
         success: false,
-        error: 'Roadmap not found'
+        error: 'Roadmap not found in the trash'
+      });
+    }
+    
+    await roadmap.restore();
+    
+    res.status(200).json({
+      success: true,
+      data: roadmap
+    });
+  } catch (error) {
+    console.error('Error in restoreRoadmap:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+};
+
+// Permanently delete a roadmap from the trash
+export const purgeRoadmap = async (req, res) => {
+  try {
+    const roadmap = await Roadmap.findOneAndDelete({
+      _id: req.params.id,
+      deletedAt: { $ne: null }
+    });
+    
+    if (!roadmap) {
+      return res.status(404).json({
+        success: false,
+        error: 'Roadmap not found in the trash'
       });
     }
     
@@ -140,7 +444,7 @@ export const deleteRoadmap = async (req, res) => {
       data: {}
     });
   } catch (error) {
-    console.error('Error in deleteRoadmap:', error);
+    console.error('Error in purgeRoadmap:', error);
     res.status(500).json({
       success: false,
       error: 'Server Error'
@@ -151,21 +455,20 @@ export const deleteRoadmap = async (req, res) => {
 // Get roadmaps by company name
 export const getRoadmapsByCompany = async (req, res) => {
   try {
-    const roadmaps = await Roadmap.find({ 
+    const { roadmaps, total, pagination } = await findRoadmapPage({ 
       companyName: { $regex: req.params.companyName, $options: 'i' } 
-    }).sort({ createdDate: -1 });
+    }, req.query);
     
     res.status(200).json({
       success: true,
       count: roadmaps.length,
+      total,
+      pagination,
       data: roadmaps
     });
   } catch (error) {
     console.error('Error in getRoadmapsByCompany:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Server Error'
-    });
+    sendError(res, error);
   }
 };
 
@@ -173,31 +476,30 @@ export const getRoadmapsByCompany = async (req, res) => {
 export const getRoadmapsByRole = async (req, res) => {
   try {
     // Search both in the role field and in the roles array for consolidated roadmaps
-    const roadmaps = await Roadmap.find({ 
+    const { roadmaps, total, pagination } = await findRoadmapPage({ 
       $or: [
         { role: { $regex: req.params.role, $options: 'i' } },
         { 'roles.title': { $regex: req.params.role, $options: 'i' } }
       ]
-    }).sort({ createdDate: -1 });
+    }, req.query);
     
     res.status(200).json({
       success: true,
       count: roadmaps.length,
+      total,
+      pagination,
       data: roadmaps
     });
   } catch (error) {
     console.error('Error in getRoadmapsByRole:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Server Error'
-    });
+    sendError(res, error);
   }
 };
 
 // Get consolidated roadmaps
 export const getConsolidatedRoadmaps = async (req, res) => {
   try {
-    const roadmaps = await Roadmap.find({ isConsolidated: true }).sort({ createdDate: -1 });
+    const roadmaps = await populateTechStacks(Roadmap.find({ isConsolidated: true })).sort({ createdDate: -1 });
     
     res.status(200).json({
       success: true,
@@ -0,0 +1,160 @@
+// server/controllers/roadmapEntryController.js
+import TechStack from '../models/TechStack.js';
+import { ApiError, sendError } from '../utils/helpers.js';
+import { insertAt, findIndexById, reorderByIds } from '../utils/orderHelpers.js';
+
+// Subtopics and projects share the same `{ name }` shape inside a roadmap item
+const ENTRY_LISTS = {
+  subTopics: { label: 'Subtopic', plural: 'subtopics' },
+  projects: { label: 'Project', plural: 'projects' }
+};
+
+/**
+ * Load a tech stack and one of its roadmap items
+ * @param {string} id - Tech stack id
+ * @param {string} itemId - Roadmap item id
+ * @returns {Promise<{techStack: Object, item: Object}>}
+ */
+const loadRoadmapItem = async (id, itemId) => {
+  const techStack = await TechStack.findById(id);
+
+  if (!techStack) {
+    throw new ApiError('Tech stack not found', 404);
+  }
+
+  const item = techStack.roadmapItems.id(itemId);
+
+  if (!item) {
+    throw new ApiError('Roadmap item not found', 404);
+  }
+
+  return { techStack, item };
+};
+
+/**
+ * Validate an entry name, rejecting names already used in the same list
+ * (diffs and imports match entries by name)
+ * @param {*} name - Requested name
+ * @param {Array} list - Entries of the item
+ * @param {string} field - subTopics or projects
+ * @param {string} [ignoreId] - Entry being renamed
+ * @returns {string} - Trimmed name
+ */
+const validateEntryName = (name, list, field, ignoreId) => {
+  const { label } = ENTRY_LISTS[field];
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+
+  if (!trimmed) {
+    throw new ApiError(`${label} name is required`, 400);
+  }
+
+  const duplicate = list.find(entry =>
+    entry.name.toLowerCase() === trimmed.toLowerCase() && entry._id.toString() !== ignoreId
+  );
+  if (duplicate) {
+    throw new ApiError(`This topic already has a ${label.toLowerCase()} named "${duplicate.name}"`, 400);
+  }
+
+  return trimmed;
+};
+
+/**
+ * Save a changed roadmap item and send it back with its entry ids
+ * @param {Object} res - Express response
+ * @param {Object} options
+ * @param {Object} options.techStack - Tech stack document
+ * @param {Object} options.item - Changed roadmap item
+ * @param {Object} options.req - Express request (for the revision author)
+ * @param {string} options.message - Revision message
+ * @param {number} [options.status] - Response status
+ */
+const saveAndRespond = async (res, { techStack, item, req, message, status = 200 }) => {
+  techStack.$locals.revision = { source: 'api', message, changedBy: req.user?._id };
+  await techStack.save();
+
+  res.status(status).json({
+    success: true,
+    data: techStack.roadmapItems.id(item._id)
+  });
+};
+
+// Add a subtopic/project to a roadmap item, at the end or at `position`
+const addEntry = (field) => async (req, res) => {
+  try {
+    const { techStack, item } = await loadRoadmapItem(req.params.id, req.params.itemId);
+    const name = validateEntryName(req.body.name, item[field], field);
+
+    item[field] = insertAt(item[field], { name }, req.body.position);
+
+    await saveAndRespond(res, {
+      techStack, item, req, status: 201,
+      message: `Added ${ENTRY_LISTS[field].label.toLowerCase()} "${name}" to ${item.topic}`
+    });
+  } catch (error) {
+    console.error(`Error adding ${ENTRY_LISTS[field].label.toLowerCase()}:`, error);
+    sendError(res, error);
+  }
+};
+
+// Rename a subtopic/project
+const updateEntry = (field) => async (req, res) => {
+  try {
+    const { techStack, item } = await loadRoadmapItem(req.params.id, req.params.itemId);
+    const index = findIndexById(item[field], req.params.entryId, ENTRY_LISTS[field].label);
+    const name = validateEntryName(req.body.name, item[field], field, req.params.entryId);
+
+    item[field][index].name = name;
+
+    await saveAndRespond(res, {
+      techStack, item, req,
+      message: `Renamed ${ENTRY_LISTS[field].label.toLowerCase()} in ${item.topic}`
+    });
+  } catch (error) {
+    console.error(`Error updating ${ENTRY_LISTS[field].label.toLowerCase()}:`, error);
+    sendError(res, error);
+  }
+};
+
+// Remove a subtopic/project
+const deleteEntry = (field) => async (req, res) => {
+  try {
+    const { techStack, item } = await loadRoadmapItem(req.params.id, req.params.itemId);
+    const index = findIndexById(item[field], req.params.entryId, ENTRY_LISTS[field].label);
+    const [removed] = item[field].splice(index, 1);
+
+    await saveAndRespond(res, {
+      techStack, item, req,
+      message: `Removed ${ENTRY_LISTS[field].label.toLowerCase()} "${removed.name}" from ${item.topic}`
+    });
+  } catch (error) {
+    console.error(`Error deleting ${ENTRY_LISTS[field].label.toLowerCase()}:`, error);
+    sendError(res, error);
+  }
+};
+
+// Reorder the subtopics/projects of a roadmap item ({ order: [ids] })
+const reorderEntries = (field) => async (req, res) => {
+  try {
+    const { techStack, item } = await loadRoadmapItem(req.params.id, req.params.itemId);
+
+    item[field] = reorderByIds(item[field], req.body.order, ENTRY_LISTS[field].label);
+
+    await saveAndRespond(res, {
+      techStack, item, req,
+      message: `Reordered ${ENTRY_LISTS[field].plural} of ${item.topic}`
+    });
+  } catch (error) {
+    console.error(`Error reordering ${ENTRY_LISTS[field].plural}:`, error);
+    sendError(res, error);
+  }
+};
+
+export const addSubTopic = addEntry('subTopics');
+export const updateSubTopic = updateEntry('subTopics');
+export const deleteSubTopic = deleteEntry('subTopics');
+export const reorderSubTopics = reorderEntries('subTopics');
+
+export const addProject = addEntry('projects');
+export const updateProject = updateEntry('projects');
+export const deleteProject = deleteEntry('projects');
+export const reorderProjects = reorderEntries('projects');
@@ -0,0 +1,252 @@
+// server/controllers/roadmapTemplateController.js
+import mongoose from 'mongoose';
+import RoadmapTemplate from '../models/RoadmapTemplate.js';
+import Roadmap from '../models/Roadmap.js';
+import TechStack from '../models/TechStack.js';
+import { resolveTopicSelections } from '../utils/topicSelections.js';
+import { createRoadmapFromData } from '../utils/roadmapBuilder.js';
+import { sendError } from '../utils/helpers.js';
+
+// Respond 404 for a missing template
+const templateNotFound = (res) => res.status(404).json({
+  success: false,
+  error: 'Roadmap template not found'
+});
+
+// Load a template by id, or null for unknown and malformed ids
+const findTemplate = (id) => (mongoose.isValidObjectId(id) ? RoadmapTemplate.findById(id) : null);
+
+/**
+ * Template as returned by the API: stack names and the titles of the
+ * selected topics next to their ids
+ * @param {Object} template - RoadmapTemplate document
+ * @returns {Promise<Object>}
+ */
+const describeTemplate = async (template) => {
+  const plain = template.toObject();
+  const techStacks = await TechStack.find({ _id: { $in: plain.techStacks.map(entry => entry.techStack) } })
+    .select('name roadmapItems._id roadmapItems.topic')
+    .setOptions({ withDeleted: true })
+    .lean();
+  const stacksById = new Map(techStacks.map(techStack => [techStack._id.toString(), techStack]));
+
+  return {
+    ...plain,
+    techStacks: plain.techStacks.map(entry => {
+      const techStack = stacksById.get(entry.techStack.toString());
+      const topicsById = new Map((techStack?.roadmapItems || []).map(item => [item._id.toString(), item.topic]));
+
+      return {
+        techStack: entry.techStack,
+        name: techStack ? techStack.name : null,
+        roadmapItems: entry.roadmapItems,
+        topics: entry.roadmapItems.map(id => topicsById.get(id.toString())).filter(Boolean)
+      };
+    })
+  };
+};
+
+/**
+ * Drop selected topics that no longer exist in their stack (e.g. after a
+ * re-import replaced the curriculum)
+ * @param {Array<Object>} selections - Template tech stack entries
+ * @returns {Promise<{selections: Array<Object>, warnings: Array<string>}>}
+ */
+const pruneStaleTopics = async (selections) => {
+  const techStacks = await TechStack.find({ _id: { $in: selections.map(entry => entry.techStack) } })
+    .select('name roadmapItems._id')
+    .lean();
+  const stacksById = new Map(techStacks.map(techStack => [techStack._id.toString(), techStack]));
+  const warnings = [];
+
+  const pruned = selections.map(entry => {
+    const techStack = stacksById.get(entry.techStack.toString());
+    if (!techStack || entry.roadmapItems.length === 0) return entry;
+
+    const itemIds = new Set(techStack.roadmapItems.map(item => item._id.toString()));
+    const roadmapItems = entry.roadmapItems.filter(id => itemIds.has(id.toString()));
+    if (roadmapItems.length < entry.roadmapItems.length) {
+      warnings.push(roadmapItems.length === 0
+        ? `None of the selected topics of "${techStack.name}" exist any more; every topic is included`
+        : `${entry.roadmapItems.length - roadmapItems.length} selected topic(s) of "${techStack.name}" no longer exist`);
+    }
+
+    return { techStack: entry.techStack, roadmapItems };
+  });
+
+  return { selections: pruned, warnings };
+};
+
+// Get all roadmap templates
+export const getAllRoadmapTemplates = async (req, res) => {
+  try {
+    const templates = await RoadmapTemplate.find()
+      .populate('techStacks.techStack', 'name')
+      .sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: templates.length,
+      data: templates
+    });
+  } catch (error) {
+    console.error('Error in getAllRoadmapTemplates:', error);
+    sendError(res, error);
+  }
+};
+
+// Get a roadmap template with its stacks and selected topics
+export const getRoadmapTemplateById = async (req, res) => {
+  try {
+    const template = await findTemplate(req.params.id);
+
+    if (!template) return templateNotFound(res);
+
+    res.status(200).json({
+      success: true,
+      data: await describeTemplate(template)
+    });
+  } catch (error) {
+    console.error('Error in getRoadmapTemplateById:', error);
+    sendError(res, error);
+  }
+};
+
+// Create a roadmap template. `techStacks` lists stack ids/names in order, or
+// `{ techStack, topics }` to include only some topics (by name or item id).
+export const createRoadmapTemplate = async (req, res) => {
+  try {
+    const { selections, hints } = await resolveTopicSelections(req.body.techStacks);
+
+    const template = await RoadmapTemplate.create({
+      name: req.body.name,
+      role: req.body.role,
+      description: req.body.description,
+      techStacks: selections,
+      createdBy: req.user?._id
+    });
+
+    res.status(201).json({
+      success: true,
+      ...(hints.length > 0 && { redirects: hints }),
+      data: await describeTemplate(template)
+    });
+  } catch (error) {
+    console.error('Error in createRoadmapTemplate:', error);
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: 'A roadmap template with this name already exists'
+      });
+    }
+
+    sendError(res, error);
+  }
+};
+
+// Update a roadmap template (name, role, description, techStacks)
+export const updateRoadmapTemplate = async (req, res) => {
+  try {
+    const template = await findTemplate(req.params.id);
+
+    if (!template) return templateNotFound(res);
+
+    let hints = [];
+    if (req.body.techStacks !== undefined) {
+      const resolved = await resolveTopicSelections(req.body.techStacks);
+      template.techStacks = resolved.selections;
+      hints = resolved.hints;
+    }
+    ['name', 'role', 'description']
+      .filter(field => req.body[field] !== undefined)
+      .forEach(field => template.set(field, req.body[field]));
+
+    await template.save();
+
+    res.status(200).json({
+      success: true,
+      ...(hints.length > 0 && { redirects: hints }),
+      data: await describeTemplate(template)
+    });
+  } catch (error) {
+    console.error('Error in updateRoadmapTemplate:', error);
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: 'A roadmap template with this name already exists'
+      });
+    }
+
+    sendError(res, error);
+  }
+};
+
+// Delete a roadmap template. Roadmaps created from it are kept.
+export const deleteRoadmapTemplate = async (req, res) => {
+  try {
+    const template = mongoose.isValidObjectId(req.params.id) &&
+      await RoadmapTemplate.findByIdAndDelete(req.params.id);
+
+    if (!template) return templateNotFound(res);
+
+    await Roadmap.updateMany(
+      { roadmapTemplate: template._id },
+      { $unset: { roadmapTemplate: 1 } }
+    ).setOptions({ withDeleted: true });
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    console.error('Error in deleteRoadmapTemplate:', error);
+    sendError(res, error);
+  }
+};
+
+// Create a roadmap for a company from a template ({ companyName, role?,
+// filename?, publisher?, template? }). The page is published unless publish
+// is false, in which case the roadmap is saved as a draft (or as published
+// when the client already published it and sends publishedUrl).
+export const instantiateRoadmapTemplate = async (req, res) => {
+  try {
+    const template = await findTemplate(req.params.id);
+
+    if (!template) return templateNotFound(res);
+
+    if (!req.body.companyName) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please provide the company name'
+      });
+    }
+
+    const { selections, warnings: templateWarnings } = await pruneStaleTopics(template.techStacks);
+
+    const { roadmap, warnings } = await createRoadmapFromData({
+      companyName: req.body.companyName,
+      role: req.body.role || template.role || template.name,
+      techStacks: selections.map(entry => entry.techStack),
+      topicSelections: selections.filter(entry => entry.roadmapItems.length > 0),
+      roadmapTemplate: template._id,
+      publishedUrl: req.body.publishedUrl,
+      filename: req.body.filename,
+      publisher: req.body.publisher,
+      createdDate: req.body.createdDate || new Date()
+    }, {
+      publish: req.body.publish !== false,
+      template: req.body.template
+    });
+    await roadmap.populate('techStacks', 'name');
+
+    const allWarnings = [...templateWarnings, ...warnings];
+    res.status(201).json({
+      success: true,
+      ...(allWarnings.length > 0 && { warnings: allWarnings }),
+      data: roadmap
+    });
+  } catch (error) {
+    console.error('Error in instantiateRoadmapTemplate:', error);
+    sendError(res, error);
+  }
+};
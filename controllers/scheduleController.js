@@ -0,0 +1,125 @@
+// server/controllers/scheduleController.js
+import mongoose from 'mongoose';
+import Roadmap from '../models/Roadmap.js';
+import TechStack from '../models/TechStack.js';
+import { getRoadmapTechStackIds } from '../utils/techStackRefs.js';
+import { buildSchedule, parseDay, formatDay } from '../utils/scheduleHelpers.js';
+import { toICS } from '../utils/icsHelpers.js';
+import { applyTopicSelections } from '../utils/topicSelections.js';
+import { ApiError, sendError } from '../utils/helpers.js';
+
+const SCHEDULE_DEFAULTS = {
+  hoursPerWeek: 10,
+  defaultHours: 4
+};
+
+/**
+ * Read a positive number from the query string
+ * @param {*} value - Query value
+ * @param {number} fallback - Value when missing
+ * @param {string} label - Name used in the error message
+ * @param {number} max - Largest allowed value
+ * @returns {number}
+ */
+const parseHours = (value, fallback, label, max) => {
+  if (value === undefined || value === '') return fallback;
+
+  const hours = Number(value);
+  if (!Number.isFinite(hours) || hours < 0 || hours > max) {
+    throw new ApiError(`${label} must be a number between 0 and ${max}`, 400);
+  }
+
+  return hours;
+};
+
+/**
+ * Schedule options from the query string
+ * @param {Object} query - req.query
+ * @returns {Object} - Options for buildSchedule
+ */
+const parseScheduleOptions = (query) => {
+  const hoursPerWeek = parseHours(query.hoursPerWeek, SCHEDULE_DEFAULTS.hoursPerWeek, 'hoursPerWeek', 168);
+  if (hoursPerWeek === 0) {
+    throw new ApiError('hoursPerWeek must be greater than 0', 400);
+  }
+
+  const holidays = query.holidays
+    ? String(query.holidays).split(',').filter(Boolean).map(day => parseDay(day, 'Holidays'))
+    : [];
+
+  return {
+    startDate: query.startDate ? parseDay(query.startDate, 'startDate') : parseDay(formatDay(new Date())),
+    hoursPerWeek,
+    defaultHours: parseHours(query.defaultHours, SCHEDULE_DEFAULTS.defaultHours, 'defaultHours', 1000),
+    holidays
+  };
+};
+
+// Lay out a roadmap week by week from its items' estimated hours
+// (?startDate=YYYY-MM-DD&hoursPerWeek=&defaultHours=&holidays=YYYY-MM-DD,...&role=&format=json|ics)
+export const getRoadmapSchedule = async (req, res) => {
+  try {
+    const format = (req.query.format || 'json').toLowerCase();
+
+    if (!['json', 'ics'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unsupported format "${format}". Use one of: json, ics`
+      });
+    }
+
+    const options = parseScheduleOptions(req.query);
+
+    const roadmap = mongoose.isValidObjectId(req.params.id) && await Roadmap.findById(req.params.id);
+
+    if (!roadmap) {
+      return res.status(404).json({
+        success: false,
+        error: 'Roadmap not found'
+      });
+    }
+
+    // Consolidated roadmaps can be scheduled for one role
+    let techStackIds = getRoadmapTechStackIds(roadmap);
+    if (req.query.role) {
+      const role = roadmap.roles.find(r => r.title.toLowerCase() === req.query.role.toLowerCase());
+      if (!role) {
+        return res.status(404).json({
+          success: false,
+          error: `Role "${req.query.role}" is not part of this roadmap`
+        });
+      }
+      techStackIds = role.techStacks.map(String);
+    }
+
+    const techStacks = await TechStack.find({ _id: { $in: techStackIds } })
+      .select('name roadmapItems')
+      .lean();
+    const stacksById = new Map(techStacks.map(techStack => [techStack._id.toString(), techStack]));
+    const orderedStacks = techStackIds.filter(id => stacksById.has(id)).map(id => stacksById.get(id));
+
+    // Roadmaps created from a template may only cover some topics of a stack
+    const schedule = buildSchedule(applyTopicSelections(orderedStacks, roadmap.topicSelections), options);
+    const title = req.query.role || roadmap.isConsolidated
+      ? `${roadmap.companyName} - ${req.query.role || 'All roles'}`
+      : `${roadmap.companyName} - ${roadmap.role}`;
+
+    if (format === 'ics') {
+      res.attachment(`${title.replace(/[/\\?%*:|"<>]/g, '_')} schedule.ics`);
+      return res
+        .type('text/calendar')
+        .send(toICS(schedule, { name: `${title} roadmap`, uidPrefix: roadmap._id.toString() }));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        roadmap: { _id: roadmap._id, companyName: roadmap.companyName, role: roadmap.role },
+        ...schedule
+      }
+    });
+  } catch (error) {
+    console.error('Error in getRoadmapSchedule:', error);
+    sendError(res, error);
+  }
+};
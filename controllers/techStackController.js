@@ -1,28 +1,169 @@
 // server/controllers/techStackController.js
 import TechStack from '../models/TechStack.js';
+import TechStackRevision from '../models/TechStackRevision.js';
+import {
+  findRoadmapsUsingTechStacks,
+  findTechStackByName,
+  removeTechStackRefs,
+  resolveTechStackIds,
+  loadPrerequisiteGraph,
+  orderTechStacksByPrerequisites
+} from '../utils/techStackRefs.js';
+import { parseListQuery, applyListQuery, buildPagination } from '../utils/queryHelpers.js';
+import { matchRoadmapItems, tokenize } from '../utils/searchHelpers.js';
+import { sendError, pickFields } from '../utils/helpers.js';
+import { insertAt, moveEntry, reorderByIds } from '../utils/orderHelpers.js';
+import { removeTopicsFromSelections, removeTechStacksFromSelections } from '../utils/topicSelections.js';
 
-// Get all tech stacks (names only for dropdown)
+// Sorting and projection allowed on the tech stack list. Only names are
+// returned by default since the list feeds dropdowns.
+const TECH_STACK_LIST_OPTIONS = {
+  sortFields: ['name', 'createdAt', 'updatedAt'],
+  selectFields: ['name', 'slug', 'aliases', 'description', 'headers', 'roadmapItems', 'prerequisites', 'createdAt', 'updatedAt'],
+  defaultSort: 'name',
+  defaultFields: 'name'
+};
+
+// Fields an update may change; the trash, slugs and timestamps are kept in
+// step by their own endpoints and hooks
+const EDITABLE_TECH_STACK_FIELDS = ['name', 'description', 'headers', 'roadmapItems', 'aliases', 'prerequisites'];
+
+// Get all tech stacks (names only for dropdown unless `fields` is given)
 export const getAllTechStacks = async (req, res) => {
   try {
-    const techStacks = await TechStack.find({}, 'name');
+    const listOptions = parseListQuery(req.query, TECH_STACK_LIST_OPTIONS);
+    const withDeleted = req.query.includeDeleted === 'true';
+    
+    const [techStacks, total] = await Promise.all([
+      applyListQuery(TechStack.find(), listOptions).setOptions({ withDeleted }),
+      TechStack.countDocuments().setOptions({ withDeleted })
+    ]);
+    
     res.status(200).json({
       success: true,
       count: techStacks.length,
+      total,
+      pagination: buildPagination(listOptions, total),
       data: techStacks
     });
   } catch (error) {
     console.error('Error in getAllTechStacks:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Server Error'
+    sendError(res, error);
+  }
+};
+
+// Search tech stacks and their roadmap items by text in topics, subtopics and projects
+export const searchTechStacks = async (req, res) => {
+  try {
+    const search = (req.query.q || '').trim();
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    
+    if (tokenize(search).length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Search text (q) is required'
+      });
+    }
+    
+    // Use the text index first; fall back to a partial match so searches like
+    // "auth" still find "Authentication"
+    let techStacks = await TechStack.find({ $text: { $search: search } })
+      .select('name roadmapItems')
+      .lean();
+    
+    if (techStacks.length === 0) {
+      const pattern = tokenize(search)
+        .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+        .join('|');
+      const regex = { $regex: pattern, $options: 'i' };
+      
+      techStacks = await TechStack.find({
+        $or: [
+          { name: regex },
+          { aliases: regex },
+          { 'roadmapItems.topic': regex },
+          { 'roadmapItems.subTopics.name': regex },
+          { 'roadmapItems.projects.name': regex }
+        ]
+      })
+        .select('name roadmapItems')
+        .lean();
+    }
+    
+    const terms = tokenize(search);
+    const results = techStacks
+      .map(techStack => {
+        const hits = matchRoadmapItems(techStack.roadmapItems, search);
+        const nameMatches = terms.filter(term => techStack.name.toLowerCase().includes(term)).length;
+        
+        return {
+          techStack: { _id: techStack._id, name: techStack.name },
+          score: nameMatches * 10 + hits.reduce((sum, hit) => sum + hit.score, 0),
+          nameMatch: nameMatches > 0,
+          hitCount: hits.length,
+          hits
+        };
+      })
+      .filter(result => result.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+    
+    res.status(200).json({
+      success: true,
+      count: results.length,
+      data: results
     });
+  } catch (error) {
+    console.error('Error in searchTechStacks:', error);
+    sendError(res, error);
+  }
+};
+
+// Get the prerequisite graph of all tech stacks, or of those in ?ids= and
+// everything they depend on. `order` lists the stacks prerequisites first.
+export const getTechStackGraph = async (req, res) => {
+  try {
+    const { stacksById, getPrerequisites } = await loadPrerequisiteGraph();
+    
+    let ids = [...stacksById.keys()];
+    if (req.query.ids) {
+      const requested = (await resolveTechStackIds(req.query.ids.split(','))).map(String);
+      const included = new Set(requested);
+      const pending = [...requested];
+      while (pending.length > 0) {
+        getPrerequisites(pending.pop()).forEach(id => {
+          if (!included.has(id)) {
+            included.add(id);
+            pending.push(id);
+          }
+        });
+      }
+      ids = ids.filter(id => included.has(id));
+    }
+    
+    const { ids: order } = await orderTechStacksByPrerequisites(ids);
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        nodes: ids.map(id => ({ _id: id, name: stacksById.get(id).name })),
+        edges: ids.flatMap(id => getPrerequisites(id)
+          .filter(prerequisite => ids.includes(prerequisite))
+          .map(prerequisite => ({ from: prerequisite, to: id }))),
+        order
+      }
+    });
+  } catch (error) {
+    console.error('Error in getTechStackGraph:', error);
+    sendError(res, error);
   }
 };
 
 // Get a specific tech stack by ID
 export const getTechStackById = async (req, res) => {
   try {
-    const techStack = await TechStack.findById(req.params.id);
+    const techStack = await TechStack.findById(req.params.id)
+      .setOptions({ withDeleted: req.query.includeDeleted === 'true' });
     
     if (!techStack) {
       return res.status(404).json({
@@ -44,35 +185,48 @@ export const getTechStackById = async (req, res) => {
   }
 };
 
-// Get a specific tech stack by name
+// Get a specific tech stack by name, normalized name or alias
 export const getTechStackByName = async (req, res) => {
   try {
-    const techStack = await TechStack.findOne({ name: req.params.name });
+    const found = await findTechStackByName(req.params.name, {
+      withDeleted: req.query.includeDeleted === 'true'
+    });
     
-    if (!techStack) {
+    if (!found) {
       return res.status(404).json({
         success: false,
         error: 'Tech stack not found'
       });
     }
     
+    // Looked up by a normalized name or alias: point the client at the stack's real name
+    const { techStack, hint } = found;
+    if (hint) {
+      res.set('Content-Location', `${req.baseUrl}/name/${encodeURIComponent(techStack.name)}`);
+    }
+    
     res.status(200).json({
       success: true,
+      ...(hint && { redirect: hint }),
       data: techStack
     });
   } catch (error) {
     console.error('Error in getTechStackByName:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Server Error'
-    });
+    sendError(res, error);
   }
 };
 
 // Create a new tech stack
 export const createTechStack = async (req, res) => {
   try {
-    const techStack = await TechStack.create(req.body);
+    // Prerequisites can be given as tech stack ids or names
+    if (Array.isArray(req.body.prerequisites)) {
+      req.body.prerequisites = await resolveTechStackIds(req.body.prerequisites);
+    }
+    
+    const techStack = new TechStack(req.body);
+    techStack.$locals.revision = { source: 'api', message: 'Created', changedBy: req.user?._id };
+    await techStack.save();
     
     res.status(201).json({
       success: true,
@@ -81,27 +235,25 @@ export const createTechStack = async (req, res) => {
   } catch (error) {
     console.error('Error in createTechStack:', error);
     if (error.code === 11000) {
+      const trashed = await TechStack.findDeleted({ name: req.body.name }).select('_id');
       return res.status(400).json({
         success: false,
-        error: 'Tech stack with this name already exists'
+        error: trashed.length > 0
+          ? 'A tech stack with this name is in the trash. Restore or purge it first'
+          : 'Tech stack with this name already exists'
       });
     }
     
-    res.status(500).json({
-      success: false,
-      error: 'Server Error'
-    });
+    sendError(res, error);
   }
 };
 
 // Update a tech stack
 export const updateTechStack = async (req, res) => {
   try {
-    const techStack = await TechStack.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true, runValidators: true }
-    );
+    // Load and save the document (rather than findByIdAndUpdate) so the
+    // change is recorded as a revision
+    const techStack = await TechStack.findById(req.params.id);
     
     if (!techStack) {
       return res.status(404).json({
@@ -110,23 +262,31 @@ export const updateTechStack = async (req, res) => {
       });
     }
     
+    const updates = pickFields(req.body, EDITABLE_TECH_STACK_FIELDS);
+    
+    // Prerequisites can be given as tech stack ids or names
+    if (Array.isArray(updates.prerequisites)) {
+      updates.prerequisites = await resolveTechStackIds(updates.prerequisites);
+    }
+    
+    techStack.set(updates);
+    techStack.$locals.revision = { source: 'api', changedBy: req.user?._id };
+    await techStack.save();
+    
     res.status(200).json({
       success: true,
       data: techStack
     });
   } catch (error) {
     console.error('Error in updateTechStack:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Server Error'
-    });
+    sendError(res, error);
   }
 };
 
-// Delete a tech stack
+// Delete a tech stack (moves it to the trash)
 export const deleteTechStack = async (req, res) => {
   try {
-    const techStack = await TechStack.findByIdAndDelete(req.params.id);
+    const techStack = await TechStack.findById(req.params.id);
     
     if (!techStack) {
       return res.status(404).json({
@@ -135,8 +295,27 @@ export const deleteTechStack = async (req, res) => {
       });
     }
     
+    // Refuse to delete a stack that roadmaps still use unless ?force=true
+    const affectedRoadmaps = await findRoadmapsUsingTechStacks([techStack._id]);
+    const force = req.query.force === 'true';
+    
+    if (affectedRoadmaps.length > 0 && !force) {
+      return res.status(409).json({
+        success: false,
+        error: `Tech stack is used by ${affectedRoadmaps.length} roadmap(s), those in the trash included. Pass force=true to delete it anyway`,
+        affectedRoadmaps
+      });
+    }
+    
+    await techStack.softDelete(req.user?._id);
+    
     res.status(200).json({
       success: true,
+      message: 'Tech stack moved to the trash',
+      ...(affectedRoadmaps.length > 0 && {
+        warning: `${affectedRoadmaps.length} roadmap(s) still reference this tech stack`,
+        affectedRoadmaps
+      }),
       data: {}
     });
   } catch (error) {
@@ -148,15 +327,29 @@ export const deleteTechStack = async (req, res) => {
   }
 };
 
-// Delete all tech stacks
+// Delete all tech stacks (moves them to the trash)
 export const deleteAllTechStacks = async (req, res) => {
   try {
-    // Delete all tech stacks from the database
-    await TechStack.deleteMany({});
+    // Refuse while any roadmap references a tech stack unless ?force=true
+    const techStackIds = await TechStack.distinct('_id');
+    const affectedRoadmaps = await findRoadmapsUsingTechStacks(techStackIds);
+    
+    if (affectedRoadmaps.length > 0 && req.query.force !== 'true') {
+      return res.status(409).json({
+        success: false,
+        error: `${affectedRoadmaps.length} roadmap(s) still use these tech stacks. Pass force=true to delete them anyway`,
+        affectedRoadmaps
+      });
+    }
+    
+    const { modifiedCount } = await TechStack.updateMany(
+      {},
+      { deletedAt: new Date(), deletedBy: req.user?._id }
+    );
     
     res.status(200).json({
       success: true,
-      message: 'All tech stacks have been deleted successfully',
+      message: `${modifiedCount} tech stacks have been moved to the trash`,
       data: {}
     });
   } catch (error) {
@@ -168,7 +361,96 @@ export const deleteAllTechStacks = async (req, res) => {
   }
 };
 
-// Add a roadmap item to a tech stack
+// Get the tech stacks in the trash
+export const getTrashedTechStacks = async (req, res) => {
+  try {
+    const techStacks = await TechStack.findDeleted()
+      .select('name deletedAt deletedBy')
+      .populate('deletedBy', 'name email')
+      .sort({ deletedAt: -1 });
+    
+    res.status(200).json({
+      success: true,
+      count: techStacks.length,
+      data: techStacks
+    });
+  } catch (error) {
+    console.error('Error in getTrashedTechStacks:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+};
+
+// Restore a tech stack from the trash
+export const restoreTechStack = async (req, res) => {
+  try {
+    const [techStack] = await TechStack.findDeleted({ _id: req.params.id });
+    
+    if (!techStack) {
+      return res.status(404).json({
+        success: false,
+        error: 'Tech stack not found in the trash'
+      });
+    }
+    
+    await techStack.restore();
+    
+    res.status(200).json({
+      success: true,
+      data: techStack
+    });
+  } catch (error) {
+    console.error('Error in restoreTechStack:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+};
+
+// Permanently delete a tech stack from the trash
+export const purgeTechStack = async (req, res) => {
+  try {
+    const techStack = await TechStack.findOneAndDelete({
+      _id: req.params.id,
+      deletedAt: { $ne: null }
+    });
+    
+    if (!techStack) {
+      return res.status(404).json({
+        success: false,
+        error: 'Tech stack not found in the trash'
+      });
+    }
+    
+    await Promise.all([
+      TechStackRevision.deleteMany({ techStack: techStack._id }),
+      // Other stacks (trashed ones included) no longer depend on it
+      TechStack.updateMany(
+        { prerequisites: techStack._id },
+        { $pull: { prerequisites: techStack._id } }
+      ).setOptions({ withDeleted: true }),
+      removeTechStacksFromSelections([techStack._id]),
+      // Roadmaps that kept it after a forced delete
+      removeTechStackRefs([techStack._id])
+    ]);
+    
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    console.error('Error in purgeTechStack:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+};
+
+// Add a roadmap item to a tech stack, at the end or at `position`
 export const addRoadmapItem = async (req, res) => {
   try {
     const techStack = await TechStack.findById(req.params.id);
@@ -180,7 +462,9 @@ export const addRoadmapItem = async (req, res) => {
       });
     }
     
-    techStack.roadmapItems.push(req.body);
+    const { position, ...item } = req.body;
+    techStack.roadmapItems = insertAt(techStack.roadmapItems, item, position);
+    techStack.$locals.revision = { source: 'api', changedBy: req.user?._id };
     await techStack.save();
     
     res.status(200).json({
@@ -189,10 +473,59 @@ export const addRoadmapItem = async (req, res) => {
     });
   } catch (error) {
     console.error('Error in addRoadmapItem:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Server Error'
+    sendError(res, error);
+  }
+};
+
+// Move a roadmap item to `position`, or one step in `direction` ("up"/"down")
+export const moveRoadmapItem = async (req, res) => {
+  try {
+    const techStack = await TechStack.findById(req.params.id);
+    
+    if (!techStack) {
+      return res.status(404).json({
+        success: false,
+        error: 'Tech stack not found'
+      });
+    }
+    
+    techStack.roadmapItems = moveEntry(techStack.roadmapItems, req.params.itemId, req.body, 'Roadmap item');
+    techStack.$locals.revision = { source: 'api', message: 'Moved topic', changedBy: req.user?._id };
+    await techStack.save();
+    
+    res.status(200).json({
+      success: true,
+      data: techStack
     });
+  } catch (error) {
+    console.error('Error in moveRoadmapItem:', error);
+    sendError(res, error);
+  }
+};
+
+// Reorder all roadmap items of a tech stack ({ order: [itemIds] })
+export const reorderRoadmapItems = async (req, res) => {
+  try {
+    const techStack = await TechStack.findById(req.params.id);
+    
+    if (!techStack) {
+      return res.status(404).json({
+        success: false,
+        error: 'Tech stack not found'
+      });
+    }
+    
+    techStack.roadmapItems = reorderByIds(techStack.roadmapItems, req.body.order, 'Roadmap item');
+    techStack.$locals.revision = { source: 'api', message: 'Reordered topics', changedBy: req.user?._id };
+    await techStack.save();
+    
+    res.status(200).json({
+      success: true,
+      data: techStack
+    });
+  } catch (error) {
+    console.error('Error in reorderRoadmapItems:', error);
+    sendError(res, error);
   }
 };
 
@@ -224,6 +557,7 @@ export const updateRoadmapItem = async (req, res) => {
       ...req.body
     };
     
+    techStack.$locals.revision = { source: 'api', changedBy: req.user?._id };
     await techStack.save();
     
     res.status(200).json({
@@ -232,10 +566,7 @@ export const updateRoadmapItem = async (req, res) => {
     });
   } catch (error) {
     console.error('Error in updateRoadmapItem:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Server Error'
-    });
+    sendError(res, error);
   }
 };
 
@@ -254,8 +585,14 @@ export const deleteRoadmapItem = async (req, res) => {
     techStack.roadmapItems = techStack.roadmapItems.filter(
       item => item._id.toString() !== req.params.itemId
     );
+    // Topics that required the removed one no longer do
+    techStack.roadmapItems.forEach(item => {
+      item.prerequisites = item.prerequisites.filter(id => id.toString() !== req.params.itemId);
+    });
     
+    techStack.$locals.revision = { source: 'api', changedBy: req.user?._id };
     await techStack.save();
+    await removeTopicsFromSelections([req.params.itemId]);
     
     res.status(200).json({
       success: true,
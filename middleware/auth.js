@@ -0,0 +1,67 @@
+// server/middleware/auth.js
+import jwt from 'jsonwebtoken';
+import config from '../config/config.js';
+import User from '../models/User.js';
+
+// Require a valid bearer token and attach the user to the request
+export const protect = async (req, res, next) => {
+  const authHeader = req.headers.authorization || '';
+  const token = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : null;
+
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      error: 'Not authorized, no token provided'
+    });
+  }
+
+  try {
+    const decoded = jwt.verify(token, config.jwtSecret);
+    const user = await User.findById(decoded.id);
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Not authorized, user no longer exists'
+      });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      error: 'Not authorized, invalid or expired token'
+    });
+  }
+};
+
+// Require the authenticated user to have at least the given role
+// (viewer < editor < admin). Must run after `protect`.
+export const authorize = (role) => (req, res, next) => {
+  if (!req.user || !req.user.hasRole(role)) {
+    return res.status(403).json({
+      success: false,
+      error: `This action requires the ${role} role`
+    });
+  }
+
+  next();
+};
+
+// Attach the user when a valid token is sent, but let anonymous requests through
+export const identify = async (req, res, next) => {
+  const authHeader = req.headers.authorization || '';
+  const token = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : null;
+
+  if (token) {
+    try {
+      const decoded = jwt.verify(token, config.jwtSecret);
+      req.user = await User.findById(decoded.id);
+    } catch (error) {
+      req.user = null;
+    }
+  }
+
+  next();
+};
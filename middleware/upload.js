@@ -0,0 +1,40 @@
+// server/middleware/upload.js
+import path from 'path';
+import multer from 'multer';
+
+// Spreadsheet and JSON export extensions accepted by the import endpoint
+const ALLOWED_EXTENSIONS = ['.csv', '.xlsx', '.xls', '.json'];
+
+// Keep uploads in memory; the parsers work on buffers and nothing is written to disk
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    const extension = path.extname(file.originalname).toLowerCase();
+    if (!ALLOWED_EXTENSIONS.includes(extension)) {
+      return cb(new Error(`Unsupported file type "${extension}". Allowed: ${ALLOWED_EXTENSIONS.join(', ')}`));
+    }
+    cb(null, true);
+  }
+});
+
+// Accept a single file in the given field and answer upload errors with a 400
+export const uploadSingle = (field) => (req, res, next) => {
+  upload.single(field)(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({
+        success: false,
+        error: err.message
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: `A file is required in the "${field}" field`
+      });
+    }
+
+    next();
+  });
+};
\ No newline at end of file
@@ -0,0 +1,39 @@
+// server/models/Cohort.js
+import mongoose from 'mongoose';
+
+// A batch of learners following the same company roadmap
+const CohortSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  roadmap: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Roadmap',
+    required: true
+  },
+  learners: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Learner'
+  }],
+  // Optional training window, used to judge whether learners are on pace
+  startDate: {
+    type: Date
+  },
+  endDate: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+CohortSchema.path('endDate').validate(function(endDate) {
+  return !endDate || !this.startDate || endDate > this.startDate;
+}, 'End date must be after the start date');
+
+const Cohort = mongoose.model('Cohort', CohortSchema);
+
+export default Cohort;
\ No newline at end of file
@@ -0,0 +1,32 @@
+// server/models/Learner.js
+import mongoose from 'mongoose';
+
+// Schema for a learner following one or more roadmaps
+const LearnerSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email address']
+  },
+  // Optional login account, lets learners update their own progress
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const Learner = mongoose.model('Learner', LearnerSchema);
+
+export default Learner;
\ No newline at end of file
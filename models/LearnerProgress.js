@@ -0,0 +1,56 @@
+// server/models/LearnerProgress.js
+import mongoose from 'mongoose';
+import { COMPLETION_STATUSES } from './TechStack.js';
+
+// One learner's progress on one roadmap item of a tech stack
+const LearnerProgressSchema = new mongoose.Schema({
+  learner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Learner',
+    required: true
+  },
+  techStack: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TechStack',
+    required: true
+  },
+  // _id of the item inside TechStack.roadmapItems
+  roadmapItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: COMPLETION_STATUSES,
+    default: 'Yet to Start'
+  },
+  // _ids of the item's subTopics / projects the learner has finished
+  completedSubTopics: [{
+    type: mongoose.Schema.Types.ObjectId
+  }],
+  completedProjects: [{
+    type: mongoose.Schema.Types.ObjectId
+  }],
+  completedAt: {
+    type: Date
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+LearnerProgressSchema.index({ learner: 1, techStack: 1, roadmapItem: 1 }, { unique: true });
+
+// Keep the timestamps in step with the status
+LearnerProgressSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  if (this.isModified('status')) {
+    this.completedAt = this.status === 'Completed' ? Date.now() : undefined;
+  }
+  next();
+});
+
+const LearnerProgress = mongoose.model('LearnerProgress', LearnerProgressSchema);
+
+export default LearnerProgress;
\ No newline at end of file
@@ -1,5 +1,11 @@
 // server/models/Roadmap.js
 import mongoose from 'mongoose';
+import softDelete from './plugins/softDelete.js';
+
+// publishedUrl and filename are only required once a roadmap is published
+function isPublished() {
+  return this.status !== 'draft';
+}
 
 // Schema for individual role data within a consolidated roadmap
 const RoleSchema = new mongoose.Schema({
@@ -9,12 +15,29 @@ const RoleSchema = new mongoose.Schema({
     trim: true
   },
   techStacks: [{
-    type: String,
-    required: true,
-    trim: true
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TechStack',
+    required: true
   }]
 });
 
+// Topics of one tech stack to include; used when a roadmap (e.g. one created
+// from a RoadmapTemplate) only covers part of a stack
+export const TopicSelectionSchema = new mongoose.Schema({
+  techStack: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TechStack',
+    required: true
+  },
+  // Ids of the stack's roadmap items; empty means every topic
+  roadmapItems: [{
+    type: mongoose.Schema.Types.ObjectId
+  }]
+}, { _id: false });
+
+// Drafts can be previewed but are not served at their public route
+export const ROADMAP_STATUSES = ['draft', 'published'];
+
 // Main Roadmap Schema
 const RoadmapSchema = new mongoose.Schema({
   companyName: {
@@ -28,18 +51,37 @@ const RoadmapSchema = new mongoose.Schema({
     trim: true
   },
   techStacks: [{
-    type: String,
-    required: true,
-    trim: true
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TechStack',
+    required: true
   }],
+  // Roadmaps saved before drafts existed were all published
+  status: {
+    type: String,
+    enum: ROADMAP_STATUSES,
+    default: 'published'
+  },
+  // Where the page can be viewed; drafts don't have one yet
   publishedUrl: {
     type: String,
-    required: true,
+    required: isPublished,
     trim: true
   },
+  // Publisher the page went out through (see publishers/); roadmaps saved
+  // before publishers existed were all on GitHub Pages
+  publisher: {
+    type: String,
+    trim: true,
+    default: 'github'
+  },
   filename: {
     type: String,
-    required: true,
+    required: isPublished,
+    trim: true
+  },
+  // Page template used when the page is rendered (see roadmapRenderer)
+  pageTemplate: {
+    type: String,
     trim: true
   },
   isConsolidated: {
@@ -47,12 +89,36 @@ const RoadmapSchema = new mongoose.Schema({
     default: false
   },
   roles: [RoleSchema],
+  topicSelections: [TopicSelectionSchema],
+  // Role template the roadmap was created from, if any
+  roadmapTemplate: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RoadmapTemplate'
+  },
   createdDate: {
     type: Date,
     default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
   }
 });
 
+// Update the timestamp when a document is updated
+RoadmapSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+RoadmapSchema.pre('findOneAndUpdate', function(next) {
+  this.set({ updatedAt: Date.now() });
+  next();
+});
+
+// Deleting moves documents to the trash; see plugins/softDelete.js
+RoadmapSchema.plugin(softDelete);
+
 const Roadmap = mongoose.model('Roadmap', RoadmapSchema);
 
 export default Roadmap;
\ No newline at end of file
@@ -0,0 +1,50 @@
+// server/models/RoadmapTemplate.js
+import mongoose from 'mongoose';
+import { TopicSelectionSchema } from './Roadmap.js';
+
+// A reusable role definition ("MERN Developer"): the tech stacks a role
+// needs, in order, optionally limited to some of each stack's topics.
+// Roadmaps for a company are created from it instead of picking stacks by hand.
+const RoadmapTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  // Role title used on roadmaps created from the template (defaults to the name)
+  role: {
+    type: String,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  techStacks: {
+    type: [TopicSelectionSchema],
+    validate: [techStacks => techStacks.length > 0, 'A template needs at least one tech stack']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the timestamp when a document is updated
+RoadmapTemplateSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+const RoadmapTemplate = mongoose.model('RoadmapTemplate', RoadmapTemplateSchema);
+
+export default RoadmapTemplate;
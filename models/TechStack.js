@@ -1,5 +1,37 @@
 // server/models/TechStack.js
 import mongoose from 'mongoose';
+import softDelete from './plugins/softDelete.js';
+import TechStackRevision from './TechStackRevision.js';
+import { findCycle } from '../utils/graphHelpers.js';
+import { normalizeStackName } from '../utils/stackNameHelpers.js';
+
+// Statuses a roadmap item (or a learner's progress on it) can have
+export const COMPLETION_STATUSES = ['Yet to Start', 'In Progress', 'Completed'];
+
+// Optional difficulty of a roadmap item
+export const DIFFICULTY_LEVELS = ['Beginner', 'Intermediate', 'Advanced'];
+
+// Kinds of learning resources linked from a roadmap item
+export const RESOURCE_TYPES = ['video', 'doc', 'course'];
+
+// Schema for a learning resource link
+const ResourceSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    trim: true
+  },
+  url: {
+    type: String,
+    required: true,
+    trim: true,
+    match: [/^https?:\/\/\S+$/i, 'Resource URL must start with http:// or https://']
+  },
+  type: {
+    type: String,
+    enum: RESOURCE_TYPES,
+    default: 'doc'
+  }
+});
 
 // Schema for the roadmap items (topics, subtopics, projects, status)
 const RoadmapItemSchema = new mongoose.Schema({
@@ -22,11 +54,26 @@ const RoadmapItemSchema = new mongoose.Schema({
       trim: true
     }
   }],
+  // Status column of the source spreadsheet. Learners' own progress is
+  // tracked per learner in LearnerProgress.
   completionStatus: {
     type: String,
-    enum: ['Yet to Start', 'In Progress', 'Completed'],
+    enum: COMPLETION_STATUSES,
     default: 'Yet to Start'
-  }
+  },
+  estimatedHours: {
+    type: Number,
+    min: [0, 'Estimated hours cannot be negative']
+  },
+  difficulty: {
+    type: String,
+    enum: DIFFICULTY_LEVELS
+  },
+  resources: [ResourceSchema],
+  // _ids of other items of the same tech stack to finish first
+  prerequisites: [{
+    type: mongoose.Schema.Types.ObjectId
+  }]
 });
 
 // Schema for the tech stack
@@ -37,6 +84,22 @@ const TechStackSchema = new mongoose.Schema({
     unique: true,
     trim: true
   },
+  // Normalized name ("React JS" -> "react") used for lookups. Not unique:
+  // existing stacks such as "React" and "React JS" share one.
+  slug: {
+    type: String,
+    index: true
+  },
+  // Other names the stack is known by (e.g. "ReactJS"); lookups by an alias
+  // resolve to this stack
+  aliases: [{
+    type: String,
+    trim: true
+  }],
+  aliasSlugs: {
+    type: [String],
+    index: true
+  },
   description: {
     type: String,
     trim: true
@@ -61,6 +124,11 @@ const TechStackSchema = new mongoose.Schema({
     }
   },
   roadmapItems: [RoadmapItemSchema],
+  // Tech stacks to learn before this one (e.g. Javascript before React JS)
+  prerequisites: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TechStack'
+  }],
   createdAt: {
     type: Date,
     default: Date.now
@@ -71,12 +139,170 @@ const TechStackSchema = new mongoose.Schema({
   }
 });
 
+// Full-text index used by the search endpoint; matches in the stack name and
+// topics rank above matches in subtopics and projects
+TechStackSchema.index(
+  {
+    name: 'text',
+    'roadmapItems.topic': 'text',
+    'roadmapItems.subTopics.name': 'text',
+    'roadmapItems.projects.name': 'text'
+  },
+  {
+    name: 'TechStackTextIndex',
+    weights: {
+      name: 10,
+      'roadmapItems.topic': 5,
+      'roadmapItems.subTopics.name': 3,
+      'roadmapItems.projects.name': 2
+    }
+  }
+);
+
+// Keep the slugs in step with the name and aliases; aliases that only
+// repeat the name or another alias are dropped
+TechStackSchema.pre('validate', function(next) {
+  this.slug = normalizeStackName(this.name);
+
+  const seen = new Set([this.slug]);
+  this.aliases = this.aliases.filter(alias => {
+    const slug = normalizeStackName(alias);
+    if (!slug || seen.has(slug)) return false;
+    seen.add(slug);
+    return true;
+  });
+  this.aliasSlugs = this.aliases.map(normalizeStackName);
+
+  next();
+});
+
+// An alias must not point at a different stack's name or alias
+TechStackSchema.pre('validate', async function() {
+  if (!this.isModified('aliases') || this.aliasSlugs.length === 0) return;
+
+  const others = await this.constructor.find({
+    _id: { $ne: this._id },
+    $or: [{ slug: { $in: this.aliasSlugs } }, { aliasSlugs: { $in: this.aliasSlugs } }]
+  }).select('name slug aliasSlugs').lean();
+
+  const taken = this.aliases.filter((alias, index) => others.some(other =>
+    other.slug === this.aliasSlugs[index] || (other.aliasSlugs || []).includes(this.aliasSlugs[index])
+  ));
+  if (taken.length > 0) {
+    const owners = others.map(other => other.name).join(', ');
+    this.invalidate('aliases', `Aliases ${taken.join(', ')} already refer to ${owners}`, taken);
+  }
+});
+
+// Prerequisites must point at other items of this stack, without cycles
+TechStackSchema.pre('validate', function(next) {
+  const itemIds = new Set(this.roadmapItems.map(item => item._id.toString()));
+
+  this.roadmapItems.forEach((item, index) => {
+    const invalid = item.prerequisites.filter(id =>
+      !itemIds.has(id.toString()) || id.equals(item._id)
+    );
+    if (invalid.length > 0) {
+      this.invalidate(
+        `roadmapItems.${index}.prerequisites`,
+        `Prerequisites of "${item.topic}" must be other topics of this tech stack`,
+        invalid.map(String)
+      );
+    }
+  });
+
+  const prerequisitesById = new Map(this.roadmapItems.map(item => [
+    item._id.toString(),
+    item.prerequisites.map(String).filter(id => itemIds.has(id) && id !== item._id.toString())
+  ]));
+  const cycle = findCycle([...prerequisitesById.keys()], id => prerequisitesById.get(id));
+
+  if (cycle) {
+    const topics = cycle.map(id => this.roadmapItems.id(id).topic);
+    this.invalidate('roadmapItems', `Prerequisites form a cycle: ${topics.join(' -> ')}`);
+  }
+
+  next();
+});
+
+// Stack prerequisites must be other existing stacks and must not make the
+// dependency graph cyclic
+TechStackSchema.pre('validate', async function() {
+  if (!this.isModified('prerequisites') || this.prerequisites.length === 0) return;
+
+  const ownId = this._id.toString();
+  const others = await this.constructor.find({ _id: { $ne: this._id } }).select('name prerequisites').lean();
+  const stacksById = new Map(others.map(stack => [stack._id.toString(), stack]));
+
+  const invalid = this.prerequisites.map(String).filter(id => id === ownId || !stacksById.has(id));
+  if (invalid.length > 0) {
+    this.invalidate('prerequisites', 'Prerequisites must be other existing tech stacks', invalid);
+    return;
+  }
+
+  const prerequisitesById = new Map(others.map(stack => [stack._id.toString(), (stack.prerequisites || []).map(String)]));
+  prerequisitesById.set(ownId, this.prerequisites.map(String));
+
+  const cycle = findCycle([ownId], id => prerequisitesById.get(id));
+  if (cycle) {
+    const names = cycle.map(id => (id === ownId ? this.name : stacksById.get(id).name));
+    this.invalidate('prerequisites', `Tech stack prerequisites form a cycle: ${names.join(' -> ')}`);
+  }
+});
+
 // Update the timestamp when a document is updated
 TechStackSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
+  // Remember whether the curriculum changed so a revision is recorded after saving
+  this.$locals.curriculumChanged = this.isNew ||
+    ['name', 'description', 'headers', 'roadmapItems'].some(path => this.isModified(path));
   next();
 });
 
+// Times a revision is numbered again when a concurrent save took its number
+const REVISION_ATTEMPTS = 5;
+
+// Save a snapshot of every change. Callers can describe the change by setting
+// `techStack.$locals.revision = { source, message, changedBy }` before saving.
+TechStackSchema.post('save', async function(doc) {
+  if (!doc.$locals.curriculumChanged) return;
+
+  const { source = 'api', message, changedBy } = doc.$locals.revision || {};
+  const { headers, roadmapItems } = doc.toObject();
+
+  // Numbers are latest + 1 under a unique index, so two saves at once can
+  // pick the same one; the loser takes the next number
+  for (let attempt = 1; ; attempt++) {
+    const latest = await TechStackRevision.findOne({ techStack: doc._id })
+      .sort({ revision: -1 })
+      .select('revision');
+
+    try {
+      await TechStackRevision.create({
+        techStack: doc._id,
+        revision: latest ? latest.revision + 1 : 1,
+        source,
+        message,
+        changedBy,
+        snapshot: {
+          name: doc.name,
+          description: doc.description,
+          headers,
+          roadmapItems
+        }
+      });
+      break;
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= REVISION_ATTEMPTS) throw error;
+    }
+  }
+
+  doc.$locals.curriculumChanged = false;
+});
+
+// Deleting moves documents to the trash; see plugins/softDelete.js
+TechStackSchema.plugin(softDelete);
+
 const TechStack = mongoose.model('TechStack', TechStackSchema);
 
 export default TechStack;
\ No newline at end of file
@@ -0,0 +1,46 @@
+// server/models/TechStackRevision.js
+import mongoose from 'mongoose';
+
+// Snapshot of a tech stack's curriculum, saved every time the stack changes
+const TechStackRevisionSchema = new mongoose.Schema({
+  techStack: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TechStack',
+    required: true,
+    index: true
+  },
+  revision: {
+    type: Number,
+    required: true
+  },
+  // Where the change came from: api, restore, bulkUpload, excelImport...
+  source: {
+    type: String,
+    default: 'api',
+    trim: true
+  },
+  message: {
+    type: String,
+    trim: true
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  snapshot: {
+    name: String,
+    description: String,
+    headers: mongoose.Schema.Types.Mixed,
+    roadmapItems: [mongoose.Schema.Types.Mixed]
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+TechStackRevisionSchema.index({ techStack: 1, revision: -1 }, { unique: true });
+
+const TechStackRevision = mongoose.model('TechStackRevision', TechStackRevisionSchema);
+
+export default TechStackRevision;
@@ -0,0 +1,68 @@
+// server/models/User.js
+import mongoose from 'mongoose';
+import bcrypt from 'bcryptjs';
+
+// Roles in increasing order of privilege
+export const USER_ROLES = ['viewer', 'editor', 'admin'];
+
+// Schema for the accounts allowed to use the API
+const UserSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email address']
+  },
+  password: {
+    type: String,
+    required: true,
+    minlength: [8, 'Password must be at least 8 characters'],
+    select: false
+  },
+  role: {
+    type: String,
+    enum: USER_ROLES,
+    default: 'viewer'
+  },
+  // Set on the first account (made an admin on registration). The unique
+  // index lets only one registration claim it when several race.
+  bootstrap: {
+    type: Boolean,
+    unique: true,
+    sparse: true,
+    select: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Hash the password whenever it is set or changed
+UserSchema.pre('save', async function(next) {
+  if (!this.isModified('password')) return next();
+
+  this.password = await bcrypt.hash(this.password, 10);
+  next();
+});
+
+// Compare a plain text password with the stored hash
+UserSchema.methods.matchPassword = function(password) {
+  return bcrypt.compare(password, this.password);
+};
+
+// Check whether the user's role is at least the given role
+UserSchema.methods.hasRole = function(role) {
+  return USER_ROLES.indexOf(this.role) >= USER_ROLES.indexOf(role);
+};
+
+const User = mongoose.model('User', UserSchema);
+
+export default User;
@@ -0,0 +1,73 @@
+// server/models/plugins/softDelete.js
+import mongoose from 'mongoose';
+
+const QUERY_HOOKS = [
+  'countDocuments',
+  'distinct',
+  'find',
+  'findOne',
+  'findOneAndUpdate',
+  'updateOne',
+  'updateMany'
+];
+
+/**
+ * Soft delete plugin: documents get a `deletedAt` timestamp instead of being
+ * removed, and are hidden from queries unless the query filters on `deletedAt`
+ * itself or is run with `.setOptions({ withDeleted: true })`.
+ * @param {mongoose.Schema} schema - Schema to extend
+ */
+const softDelete = (schema) => {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null,
+      index: true
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  });
+
+  // Hide trashed documents from regular queries
+  schema.pre(QUERY_HOOKS, function(next) {
+    const filter = this.getFilter();
+    if (!this.getOptions().withDeleted && !('deletedAt' in filter)) {
+      this.where({ deletedAt: null });
+    }
+    next();
+  });
+
+  // Same for aggregations; a leading $text/$geoNear stage has to stay first
+  schema.pre('aggregate', function(next) {
+    if (this.options.withDeleted) return next();
+
+    const pipeline = this.pipeline();
+    const first = pipeline[0];
+    const mustStayFirst = first && (first.$geoNear || (first.$match && first.$match.$text));
+    pipeline.splice(mustStayFirst ? 1 : 0, 0, { $match: { deletedAt: null } });
+    next();
+  });
+
+  // Move the document to the trash
+  schema.methods.softDelete = function(userId) {
+    this.deletedAt = new Date();
+    this.deletedBy = userId;
+    return this.save();
+  };
+
+  // Take the document out of the trash
+  schema.methods.restore = function() {
+    this.deletedAt = null;
+    this.deletedBy = undefined;
+    return this.save();
+  };
+
+  // Query only trashed documents
+  schema.statics.findDeleted = function(filter = {}) {
+    return this.find({ ...filter, deletedAt: { $ne: null } });
+  };
+};
+
+export default softDelete;
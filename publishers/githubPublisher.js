@@ -0,0 +1,56 @@
+// server/publishers/githubPublisher.js
+import { uploadFile, uploadFiles, deleteFile } from '../utils/githubClient.js';
+import { getPublishedRoadmapList, invalidatePublishedRoadmaps } from '../utils/publishedRoadmapsCache.js';
+
+// Run a change to the repository, then mark the cached listing as outdated
+const invalidatingCache = (action) => async (...args) => {
+  try {
+    return await action(...args);
+  } finally {
+    invalidatePublishedRoadmaps();
+  }
+};
+
+/**
+ * Publishes pages to the roadmaps repository through the GitHub Contents API
+ * (single files) or the Git Data API (batches in one commit); GitHub Pages
+ * serves them
+ */
+const githubPublisher = {
+  name: 'github',
+
+  /**
+   * @param {Object} page
+   * @param {string} page.filename - File path inside the repository
+   * @param {string} page.content - Page HTML
+   * @param {string} [page.message] - Commit message
+   * @returns {Promise<{publishedUrl: string, data: Object}>}
+   */
+  publish: invalidatingCache(({ filename, content, message }) => uploadFile({ filename, content, message })),
+
+  /**
+   * Publish several files in one commit
+   * @param {Object} batch
+   * @param {Array<{filename: string, content: string}>} batch.files - Files to write
+   * @param {string} [batch.message] - Commit message
+   * @param {string} [batch.expectedHeadSha] - Fail with 409 unless the branch is still here
+   * @returns {Promise<{commitSha: string, parentSha: string, files: Array<Object>}>}
+   */
+  publishBatch: invalidatingCache(({ files, message, expectedHeadSha }) => uploadFiles({ files, message, expectedHeadSha })),
+
+  /**
+   * @param {Object} page
+   * @param {string} page.filename - File path inside the repository
+   * @param {string} [page.message] - Commit message
+   * @returns {Promise<{removed: boolean, data: Object|null}>}
+   */
+  remove: invalidatingCache(({ filename, message }) => deleteFile({ filename, message })),
+
+  /**
+   * @returns {Promise<Array<Object>>} - Published HTML pages with the date
+   *   each was first committed (cached, see utils/publishedRoadmapsCache.js)
+   */
+  list: async () => (await getPublishedRoadmapList()).data
+};
+
+export default githubPublisher;
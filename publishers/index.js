@@ -0,0 +1,50 @@
+// server/publishers/index.js
+import config from '../config/config.js';
+import { ApiError } from '../utils/helpers.js';
+import githubPublisher from './githubPublisher.js';
+import localPublisher from './localPublisher.js';
+import s3Publisher from './s3Publisher.js';
+
+// Registered publishing targets, keyed by the name stored on Roadmap.publisher.
+// A publisher has `publish({ filename, content, message })` resolving to
+// `{ publishedUrl, data }`, `remove({ filename, message })` resolving to
+// `{ removed, data }` and `list()` resolving to the published pages.
+// Publishers that can write several files atomically also have
+// `publishBatch({ files, message, expectedHeadSha })`.
+const publishers = new Map([
+  [githubPublisher.name, githubPublisher],
+  [localPublisher.name, localPublisher],
+  [s3Publisher.name, s3Publisher]
+]);
+
+/**
+ * Register (or replace) a publisher
+ * @param {Object} publisher - Object with `name`, `publish`, `remove` and `list`
+ */
+export const registerPublisher = (publisher) => {
+  if (!publisher || !publisher.name ||
+      ['publish', 'remove', 'list'].some(method => typeof publisher[method] !== 'function')) {
+    throw new Error('A publisher needs a name and publish(), remove() and list() functions');
+  }
+  publishers.set(publisher.name, publisher);
+};
+
+/**
+ * List the names of all registered publishers
+ * @returns {Array<string>} - Publisher names
+ */
+export const getPublisherNames = () => Array.from(publishers.keys());
+
+/**
+ * Look up a publisher by name
+ * @param {string} [name] - Publisher name (defaults to ROADMAP_PUBLISHER, then "github")
+ * @returns {Object} - Publisher
+ * @throws {ApiError} - 400 for unknown names
+ */
+export const getPublisher = (name = config.defaultPublisher) => {
+  const publisher = publishers.get(name || config.defaultPublisher);
+  if (!publisher) {
+    throw new ApiError(`Unknown publisher "${name}". Available: ${getPublisherNames().join(', ')}`, 400);
+  }
+  return publisher;
+};
@@ -0,0 +1,90 @@
+// server/publishers/localPublisher.js
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import config from '../config/config.js';
+import { assertSafeFilename } from '../utils/helpers.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// URL path under which server.js serves the local publish directory
+export const LOCAL_PUBLISH_PATH = '/published';
+
+/**
+ * Directory pages are written to (relative paths are relative to the server folder)
+ * @returns {string} - Absolute path
+ */
+export const getLocalPublishDir = () => path.resolve(__dirname, '..', config.localPublishDir);
+
+// Public URL of a page served from the publish directory
+const getLocalUrl = (filename) => `${config.publicBaseUrl.replace(/\/+$/, '')}${LOCAL_PUBLISH_PATH}/${
+  filename.split('/').map(encodeURIComponent).join('/')
+}`;
+
+/**
+ * Writes pages to a directory on this server, which Express serves as static
+ * files. Useful for local development and self-hosted setups.
+ */
+const localPublisher = {
+  name: 'local',
+
+  /**
+   * @param {Object} page
+   * @param {string} page.filename - File name, optionally inside folders
+   * @param {string} page.content - Page HTML
+   * @returns {Promise<{publishedUrl: string, data: Object}>}
+   */
+  publish: async ({ filename, content }) => {
+    assertSafeFilename(filename);
+    const filePath = path.join(getLocalPublishDir(), filename);
+
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, content, 'utf8');
+
+    return {
+      publishedUrl: getLocalUrl(filename),
+      data: { path: filePath, size: Buffer.byteLength(content) }
+    };
+  },
+
+  /**
+   * @param {Object} page
+   * @param {string} page.filename - File name, optionally inside folders
+   * @returns {Promise<{removed: boolean, data: Object}>}
+   */
+  remove: async ({ filename }) => {
+    assertSafeFilename(filename);
+    const filePath = path.join(getLocalPublishDir(), filename);
+
+    const removed = await fs.unlink(filePath).then(() => true, error => {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    });
+
+    return { removed, data: { path: filePath } };
+  },
+
+  /**
+   * @returns {Promise<Array<Object>>} - Published HTML pages (top level only)
+   */
+  list: async () => {
+    const dir = getLocalPublishDir();
+    const entries = await fs.readdir(dir, { withFileTypes: true }).catch(error => {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    });
+
+    const pages = entries.filter(entry => entry.isFile() && entry.name.endsWith('.html'));
+    return Promise.all(pages.map(async entry => {
+      const stats = await fs.stat(path.join(dir, entry.name));
+      return {
+        name: entry.name,
+        url: getLocalUrl(entry.name),
+        size: stats.size,
+        updatedAt: stats.mtime
+      };
+    }));
+  }
+};
+
+export default localPublisher;
@@ -0,0 +1,132 @@
+// server/publishers/s3Publisher.js
+import {
+  S3Client,
+  PutObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command
+} from '@aws-sdk/client-s3';
+import config from '../config/config.js';
+import { ApiError, assertSafeFilename } from '../utils/helpers.js';
+
+let client;
+
+/**
+ * S3 client for the configured store. A custom endpoint (MinIO, LocalStack...)
+ * switches to path-style addressing, which those stand-ins expect.
+ * @returns {S3Client}
+ */
+const getClient = () => {
+  if (!config.s3.bucket) {
+    throw new ApiError('S3 publishing is not configured. Set S3_BUCKET (and S3_ENDPOINT for S3-compatible stores).', 500);
+  }
+
+  if (!client) {
+    client = new S3Client({
+      region: config.s3.region,
+      ...(config.s3.endpoint && { endpoint: config.s3.endpoint, forcePathStyle: true })
+    });
+  }
+  return client;
+};
+
+// Object key of a page, under the configured prefix
+const getKey = (filename) => `${config.s3.prefix.replace(/^\/+|\/+$/g, '')}/${filename}`.replace(/^\/+/, '');
+
+/**
+ * Public URL of an object: S3_PUBLIC_URL (e.g. a CDN or website endpoint)
+ * when set, otherwise the bucket URL of the store
+ * @param {string} key - Object key
+ * @returns {string}
+ */
+const getObjectUrl = (key) => {
+  const { bucket, region, endpoint, publicUrl } = config.s3;
+  const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+
+  if (publicUrl) return `${publicUrl.replace(/\/+$/, '')}/${encodedKey}`;
+  if (endpoint) return `${endpoint.replace(/\/+$/, '')}/${bucket}/${encodedKey}`;
+  return `https://${bucket}.s3.${region}.amazonaws.com/${encodedKey}`;
+};
+
+/**
+ * Uploads pages to an S3 bucket or an S3-compatible store
+ */
+const s3Publisher = {
+  name: 's3',
+
+  /**
+   * @param {Object} page
+   * @param {string} page.filename - File name, optionally inside folders
+   * @param {string} page.content - Page HTML
+   * @returns {Promise<{publishedUrl: string, data: Object}>}
+   */
+  publish: async ({ filename, content }) => {
+    assertSafeFilename(filename);
+    const key = getKey(filename);
+
+    const data = await getClient().send(new PutObjectCommand({
+      Bucket: config.s3.bucket,
+      Key: key,
+      Body: content,
+      ContentType: 'text/html; charset=utf-8'
+    }));
+
+    return {
+      publishedUrl: getObjectUrl(key),
+      data: { bucket: config.s3.bucket, key, etag: data.ETag }
+    };
+  },
+
+  /**
+   * @param {Object} page
+   * @param {string} page.filename - File name, optionally inside folders
+   * @returns {Promise<{removed: boolean, data: Object}>}
+   */
+  remove: async ({ filename }) => {
+    assertSafeFilename(filename);
+    const key = getKey(filename);
+    const target = { Bucket: config.s3.bucket, Key: key };
+
+    // DeleteObject succeeds for missing keys too, so check first
+    const exists = await getClient().send(new HeadObjectCommand(target)).then(() => true, error => {
+      if (error.$metadata?.httpStatusCode === 404) return false;
+      throw error;
+    });
+    if (exists) {
+      await getClient().send(new DeleteObjectCommand(target));
+    }
+
+    return { removed: exists, data: { bucket: config.s3.bucket, key } };
+  },
+
+  /**
+   * @returns {Promise<Array<Object>>} - Published HTML pages under the prefix
+   */
+  list: async () => {
+    const prefix = getKey('');
+    const pages = [];
+    let ContinuationToken;
+
+    do {
+      const response = await getClient().send(new ListObjectsV2Command({
+        Bucket: config.s3.bucket,
+        Prefix: prefix,
+        ContinuationToken
+      }));
+
+      (response.Contents || [])
+        .filter(object => object.Key.endsWith('.html'))
+        .forEach(object => pages.push({
+          name: object.Key.slice(prefix.length),
+          url: getObjectUrl(object.Key),
+          size: object.Size,
+          updatedAt: object.LastModified
+        }));
+      ContinuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+    } while (ContinuationToken);
+
+    return pages;
+  }
+};
+
+export default s3Publisher;
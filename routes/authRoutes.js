@@ -0,0 +1,32 @@
+// server/routes/authRoutes.js
+import express from 'express';
+import {
+  registerUser,
+  loginUser,
+  getCurrentUser,
+  getAllUsers,
+  updateUserRole,
+  deleteUser
+} from '../controllers/authController.js';
+import { protect, authorize, identify } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Register a user (open only while no users exist, admin-only afterwards)
+router.post('/register', identify, registerUser);
+
+// Log in and receive a token
+router.post('/login', loginUser);
+
+// Get the logged in user
+router.get('/me', protect, getCurrentUser);
+
+// Manage users
+router.get('/users', protect, authorize('admin'), getAllUsers);
+
+router
+  .route('/users/:id')
+  .put(protect, authorize('admin'), updateUserRole)
+  .delete(protect, authorize('admin'), deleteUser);
+
+export default router;
\ No newline at end of file
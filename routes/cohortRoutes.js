@@ -0,0 +1,58 @@
+// server/routes/cohortRoutes.js
+import express from 'express';
+import {
+  getAllCohorts,
+  getCohortById,
+  createCohort,
+  updateCohort,
+  deleteCohort,
+  addCohortLearners,
+  removeCohortLearner,
+  getCohortTechStacks,
+  getCohortTopics,
+  getCohortSlowestTopics,
+  getCohortLearnersBehind,
+  getCohortDashboard
+} from '../controllers/cohortController.js';
+import { protect, authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Every cohort route requires a logged in user (viewer or above)
+router.use(protect);
+
+// Get all cohorts and create a new cohort
+router
+  .route('/')
+  .get(getAllCohorts)
+  .post(authorize('editor'), createCohort);
+
+// Get, update, and delete a cohort by ID
+router
+  .route('/:id')
+  .get(getCohortById)
+  .put(authorize('editor'), updateCohort)
+  .delete(authorize('admin'), deleteCohort);
+
+// Add learners to a cohort
+router.route('/:id/learners').post(authorize('editor'), addCohortLearners);
+
+// Remove a learner from a cohort
+router.route('/:id/learners/:learnerId').delete(authorize('editor'), removeCohortLearner);
+
+// Dashboard: stacks, slowest topics and learner standings together
+router.route('/:id/dashboard').get(getCohortDashboard);
+
+// Completion per tech stack
+router.route('/:id/dashboard/tech-stacks').get(getCohortTechStacks);
+
+// Completion per topic
+router.route('/:id/dashboard/topics').get(getCohortTopics);
+
+// Topics with the lowest completion
+router.route('/:id/dashboard/slowest-topics').get(getCohortSlowestTopics);
+
+// Learners falling behind
+router.route('/:id/dashboard/learners-behind').get(getCohortLearnersBehind);
+
+export default router;
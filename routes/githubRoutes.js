@@ -1,13 +1,36 @@
 // server/routes/githubRoutes.js
 import express from 'express';
-import { uploadRoadmap, getPublishedRoadmaps } from '../controllers/githubController.js';
+import {
+  uploadRoadmap,
+  getPublishedRoadmaps,
+  refreshPublishedRoadmaps,
+  unpublishFile,
+  publishBatch,
+  getPublishHead
+} from '../controllers/githubController.js';
+import { protect, authorize } from '../middleware/auth.js';
 
 const router = express.Router();
 
+// Every GitHub route requires a logged in user (viewer or above)
+router.use(protect);
+
 // Upload roadmap to GitHub
-router.post('/upload', uploadRoadmap);
+router.post('/upload', authorize('editor'), uploadRoadmap);
+
+// Refresh the cached list of published roadmaps from GitHub
+router.post('/roadmaps/refresh', authorize('editor'), refreshPublishedRoadmaps);
+
+// Delete a published file (the path may contain folders)
+router.delete('/roadmaps/*', authorize('editor'), unpublishFile);
+
+// Publish several files in one commit
+router.post('/publish-batch', authorize('editor'), publishBatch);
+
+// Current head of the publishing branch
+router.get('/head', getPublishHead);
 
-// Get all published roadmaps
+// Get all published roadmaps (cached for GitHub)
 router.get('/roadmaps', getPublishedRoadmaps);
 
 export default router;
\ No newline at end of file
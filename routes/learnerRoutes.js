@@ -0,0 +1,48 @@
+// server/routes/learnerRoutes.js
+import express from 'express';
+import {
+  getAllLearners,
+  getLearnerById,
+  createLearner,
+  updateLearner,
+  deleteLearner
+} from '../controllers/learnerController.js';
+import {
+  updateItemProgress,
+  getLearnerProgress,
+  getStackProgress,
+  getRoadmapProgress
+} from '../controllers/progressController.js';
+import { protect, authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Every learner route requires a logged in user (viewer or above)
+router.use(protect);
+
+// Get all learners and create a new learner
+router
+  .route('/')
+  .get(getAllLearners)
+  .post(authorize('editor'), createLearner);
+
+// Get, update, and delete a learner by ID
+router
+  .route('/:id')
+  .get(getLearnerById)
+  .put(authorize('editor'), updateLearner)
+  .delete(authorize('admin'), deleteLearner);
+
+// Progress across every tech stack the learner has started
+router.route('/:id/progress').get(getLearnerProgress);
+
+// Progress on a single tech stack
+router.route('/:id/progress/tech-stacks/:techStackId').get(getStackProgress);
+
+// Update progress on a roadmap item (editors, or the learner themselves)
+router.route('/:id/progress/tech-stacks/:techStackId/items/:itemId').put(updateItemProgress);
+
+// Progress on a published roadmap
+router.route('/:id/progress/roadmaps/:roadmapId').get(getRoadmapProgress);
+
+export default router;
\ No newline at end of file
@@ -0,0 +1,19 @@
+// server/routes/pageRoutes.js
+import express from 'express';
+import { getRoadmapPage, getRoadmapPreviewPage } from '../controllers/pageController.js';
+
+const router = express.Router();
+
+// Roadmap pages are public; drafts are only reachable through a preview link
+
+// Preview a roadmap (drafts included) from a signed link. The underscore
+// keeps it apart from company pages: slugs are only letters, digits and dashes.
+router.get('/_preview/:token', getRoadmapPreviewPage);
+
+// A company's consolidated roadmap
+router.get('/:company', getRoadmapPage);
+
+// A company's roadmap for one role
+router.get('/:company/:role', getRoadmapPage);
+
+export default router;
@@ -8,23 +8,71 @@ import {
   deleteRoadmap,
   getRoadmapsByCompany,
   getRoadmapsByRole,
-  getConsolidatedRoadmaps
+  getConsolidatedRoadmaps,
+  previewRoadmap,
+  getRoadmapTemplates,
+  getRoadmapPublishers,
+  publishRoadmap,
+  unpublishRoadmap,
+  renameRoadmap,
+  createRoadmapPreviewLink,
+  getTrashedRoadmaps,
+  restoreRoadmap,
+  purgeRoadmap
 } from '../controllers/roadmapController.js';
+import { getRoadmapSchedule } from '../controllers/scheduleController.js';
+import { protect, authorize } from '../middleware/auth.js';
 
 const router = express.Router();
 
+// Every roadmap route requires a logged in user (viewer or above)
+router.use(protect);
+
 // Get all roadmaps and create a new roadmap
 router
   .route('/')
   .get(getAllRoadmaps)
-  .post(createRoadmap);
+  .post(authorize('editor'), createRoadmap);
+
+// Render a roadmap page on the server without saving it
+router.route('/preview').post(previewRoadmap);
+
+// Get the available page templates
+router.route('/templates').get(getRoadmapTemplates);
+
+// Get the available publishing targets
+router.route('/publishers').get(getRoadmapPublishers);
+
+// Roadmaps in the trash
+router.route('/trash').get(authorize('editor'), getTrashedRoadmaps);
+
+// Permanently delete a trashed roadmap
+router.route('/trash/:id').delete(authorize('admin'), purgeRoadmap);
 
-// Get, update, and delete a roadmap by ID
+// Get, update, and delete a roadmap by ID (?unpublish=true also deletes its page)
 router
   .route('/:id')
   .get(getRoadmapById)
-  .put(updateRoadmap)
-  .delete(deleteRoadmap);
+  .put(authorize('editor'), updateRoadmap)
+  .delete(authorize('admin'), deleteRoadmap);
+
+// Publish a draft (or republish) through its publisher or on this server only
+router.route('/:id/publish').post(authorize('editor'), publishRoadmap);
+
+// Take the page down and make the roadmap a draft again
+router.route('/:id/unpublish').post(authorize('editor'), unpublishRoadmap);
+
+// Move the page to a new file name, leaving a redirect at the old one
+router.route('/:id/rename').post(authorize('editor'), renameRoadmap);
+
+// Link for previewing the page (drafts included) without pushing it anywhere
+router.route('/:id/preview-link').post(authorize('editor'), createRoadmapPreviewLink);
+
+// Restore a roadmap from the trash
+router.route('/:id/restore').post(authorize('editor'), restoreRoadmap);
+
+// Week-by-week schedule from estimated hours (?format=json|ics)
+router.route('/:id/schedule').get(getRoadmapSchedule);
 
 // Get consolidated roadmaps
 router.route('/consolidated').get(getConsolidatedRoadmaps);
@@ -0,0 +1,34 @@
+// server/routes/roadmapTemplateRoutes.js
+import express from 'express';
+import {
+  getAllRoadmapTemplates,
+  getRoadmapTemplateById,
+  createRoadmapTemplate,
+  updateRoadmapTemplate,
+  deleteRoadmapTemplate,
+  instantiateRoadmapTemplate
+} from '../controllers/roadmapTemplateController.js';
+import { protect, authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Every roadmap template route requires a logged in user (viewer or above)
+router.use(protect);
+
+// Get all roadmap templates and create a new one
+router
+  .route('/')
+  .get(getAllRoadmapTemplates)
+  .post(authorize('editor'), createRoadmapTemplate);
+
+// Get, update, and delete a roadmap template by ID
+router
+  .route('/:id')
+  .get(getRoadmapTemplateById)
+  .put(authorize('editor'), updateRoadmapTemplate)
+  .delete(authorize('admin'), deleteRoadmapTemplate);
+
+// Create a company roadmap from a template
+router.route('/:id/instantiate').post(authorize('editor'), instantiateRoadmapTemplate);
+
+export default router;
@@ -10,37 +10,142 @@ import {
   deleteAllTechStacks,
   addRoadmapItem,
   updateRoadmapItem,
-  deleteRoadmapItem
+  deleteRoadmapItem,
+  moveRoadmapItem,
+  reorderRoadmapItems,
+  getTrashedTechStacks,
+  restoreTechStack,
+  purgeTechStack,
+  searchTechStacks,
+  getTechStackGraph
 } from '../controllers/techStackController.js';
+import {
+  getRevisions,
+  getRevision,
+  diffRevisions,
+  restoreRevision
+} from '../controllers/revisionController.js';
+import {
+  addSubTopic,
+  updateSubTopic,
+  deleteSubTopic,
+  reorderSubTopics,
+  addProject,
+  updateProject,
+  deleteProject,
+  reorderProjects
+} from '../controllers/roadmapEntryController.js';
+import { getDuplicateReport, mergeTechStacks } from '../controllers/duplicateController.js';
+import { importTechStacks } from '../controllers/importController.js';
+import { exportTechStack, exportTechStacks } from '../controllers/exportController.js';
+import { protect, authorize } from '../middleware/auth.js';
+import { uploadSingle } from '../middleware/upload.js';
 
 const router = express.Router();
 
+// Every tech stack route requires a logged in user (viewer or above)
+router.use(protect);
+
 // Get all tech stacks and create a new tech stack
 router
   .route('/')
   .get(getAllTechStacks)
-  .post(createTechStack);
+  .post(authorize('editor'), createTechStack);
 
 // Delete all tech stacks
-router.route('/all').delete(deleteAllTechStacks);
+router.route('/all').delete(authorize('admin'), deleteAllTechStacks);
+
+// Import tech stacks from an uploaded CSV, XLSX or JSON export (multipart field
+// "file"; ?dryRun=true to preview, ?matchNames=true to update stacks found by
+// normalized name or alias)
+router.route('/import').post(authorize('editor'), uploadSingle('file'), importTechStacks);
+
+// Export all tech stacks (?format=xlsx|json&ids=)
+router.route('/export').get(exportTechStacks);
+
+// Search topics, subtopics and projects across tech stacks (?q=)
+router.route('/search').get(searchTechStacks);
+
+// Prerequisite graph between tech stacks (?ids= limits it to those stacks and their prerequisites)
+router.route('/graph').get(getTechStackGraph);
+
+// Likely duplicate tech stacks (?minOverlap=0..1)
+router.route('/duplicates').get(authorize('editor'), getDuplicateReport);
+
+// Tech stacks in the trash
+router.route('/trash').get(authorize('editor'), getTrashedTechStacks);
+
+// Permanently delete a trashed tech stack
+router.route('/trash/:id').delete(authorize('admin'), purgeTechStack);
 
 // Get, update, and delete a tech stack by ID
 router
   .route('/:id')
   .get(getTechStackById)
-  .put(updateTechStack)
-  .delete(deleteTechStack);
+  .put(authorize('editor'), updateTechStack)
+  .delete(authorize('admin'), deleteTechStack);
+
+// Export a single tech stack (?format=csv|xlsx|json)
+router.route('/:id/export').get(exportTechStack);
+
+// Merge another tech stack into this one ({ source }, ?dryRun=true to preview)
+router.route('/:id/merge').post(authorize('editor'), mergeTechStacks);
+
+// Restore a tech stack from the trash
+router.route('/:id/restore').post(authorize('editor'), restoreTechStack);
 
 // Get a tech stack by name
 router.route('/name/:name').get(getTechStackByName);
 
-// Add a roadmap item to a tech stack
-router.route('/:id/roadmap-item').post(addRoadmapItem);
+// Add a roadmap item to a tech stack (optionally at `position`)
+router.route('/:id/roadmap-item').post(authorize('editor'), addRoadmapItem);
+
+// Reorder all roadmap items ({ order: [itemIds] })
+router.route('/:id/roadmap-item/reorder').put(authorize('editor'), reorderRoadmapItems);
 
 // Update and delete a roadmap item
 router
   .route('/:id/roadmap-item/:itemId')
-  .put(updateRoadmapItem)
-  .delete(deleteRoadmapItem);
+  .put(authorize('editor'), updateRoadmapItem)
+  .delete(authorize('editor'), deleteRoadmapItem);
+
+// Move a roadmap item to a position or one step up/down
+router.route('/:id/roadmap-item/:itemId/move').put(authorize('editor'), moveRoadmapItem);
+
+// Add a subtopic to a roadmap item (optionally at `position`)
+router.route('/:id/roadmap-item/:itemId/sub-topics').post(authorize('editor'), addSubTopic);
+
+// Reorder the subtopics of a roadmap item ({ order: [ids] })
+router.route('/:id/roadmap-item/:itemId/sub-topics/reorder').put(authorize('editor'), reorderSubTopics);
+
+// Rename and remove a subtopic
+router
+  .route('/:id/roadmap-item/:itemId/sub-topics/:entryId')
+  .put(authorize('editor'), updateSubTopic)
+  .delete(authorize('editor'), deleteSubTopic);
+
+// Add a project to a roadmap item (optionally at `position`)
+router.route('/:id/roadmap-item/:itemId/projects').post(authorize('editor'), addProject);
+
+// Reorder the projects of a roadmap item ({ order: [ids] })
+router.route('/:id/roadmap-item/:itemId/projects/reorder').put(authorize('editor'), reorderProjects);
+
+// Rename and remove a project
+router
+  .route('/:id/roadmap-item/:itemId/projects/:entryId')
+  .put(authorize('editor'), updateProject)
+  .delete(authorize('editor'), deleteProject);
+
+// Revision history of a tech stack
+router.route('/:id/revisions').get(getRevisions);
+
+// Diff two revisions (?from=&to=)
+router.route('/:id/revisions/diff').get(diffRevisions);
+
+// Get a single revision
+router.route('/:id/revisions/:revision').get(getRevision);
+
+// Restore a tech stack to an older revision
+router.route('/:id/revisions/:revision/restore').post(authorize('editor'), restoreRevision);
 
 export default router;
\ No newline at end of file
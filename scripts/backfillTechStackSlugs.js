@@ -0,0 +1,88 @@
+// server/scripts/backfillTechStackSlugs.js
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { normalizeStackName } from '../utils/stackNameHelpers.js';
+
+// Load environment variables
+dotenv.config();
+
+// Connect to MongoDB
+mongoose.connect(process.env.MONGO_URI)
+.then(() => console.log('✅ MongoDB Connected'))
+.catch((err) => {
+  console.log('❌ MongoDB Connection Error:', err);
+  process.exit(1);
+});
+
+/**
+ * Set slug and aliasSlugs on tech stacks saved before they existed. Works on
+ * the raw collection so updatedAt and the revision history are left alone.
+ * @param {Object} options
+ * @param {boolean} options.dryRun - Only report what would change
+ */
+const backfillSlugs = async ({ dryRun }) => {
+  const collection = mongoose.connection.db.collection('techstacks');
+  const techStacks = await collection
+    .find({}, { projection: { name: 1, slug: 1, aliases: 1, aliasSlugs: 1 } })
+    .toArray();
+  console.log(`📊 Checking ${techStacks.length} tech stacks...`);
+  
+  const stacksBySlug = new Map();
+  let updated = 0;
+  
+  for (const techStack of techStacks) {
+    const slug = normalizeStackName(techStack.name);
+    const aliases = techStack.aliases || [];
+    const aliasSlugs = aliases.map(normalizeStackName);
+    stacksBySlug.set(slug, [...(stacksBySlug.get(slug) || []), techStack.name]);
+    
+    const upToDate = techStack.slug === slug &&
+      JSON.stringify(techStack.aliasSlugs || []) === JSON.stringify(aliasSlugs);
+    if (upToDate) continue;
+    
+    if (!dryRun) {
+      await collection.updateOne({ _id: techStack._id }, { $set: { slug, aliases, aliasSlugs } });
+    }
+    console.log(`${dryRun ? '🔍 Would set' : '✅ Set'} "${techStack.name}" -> ${slug}`);
+    updated++;
+  }
+  
+  // Shared slugs make lookups by normalized name ambiguous; these are worth merging
+  [...stacksBySlug.entries()]
+    .filter(([, names]) => names.length > 1)
+    .forEach(([slug, names]) => console.log(`⚠️ "${slug}" is shared by ${names.map(name => `"${name}"`).join(', ')}`));
+  
+  console.log(`✅ ${dryRun ? 'Dry run' : 'Backfill'} complete. ${updated} tech stacks ${dryRun ? 'to update' : 'updated'}.`);
+};
+
+/**
+ * Main function to run the script
+ */
+const main = async () => {
+  const args = process.argv.slice(2);
+  
+  if (args.includes('--help')) {
+    console.log(`
+Usage:
+  node backfillTechStackSlugs.js [--dry-run]
+
+Options:
+  --dry-run  Report what would change without writing anything
+`);
+    process.exit(0);
+  }
+  
+  try {
+    await mongoose.connection.asPromise();
+    await backfillSlugs({ dryRun: args.includes('--dry-run') });
+    mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error during backfill:', error);
+    mongoose.connection.close();
+    process.exit(1);
+  }
+};
+
+// Run the main function
+main();
@@ -4,8 +4,14 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import mongoose from 'mongoose';
 import dotenv from 'dotenv';
-import Papa from 'papaparse';
-import TechStack from '../models/TechStack.js';
+import {
+  parseCSVText,
+  upsertTechStack,
+  previewTechStackImport,
+  formatImportPreview,
+  formatNameHint,
+  formatNameMatchSkip
+} from '../utils/techStackImport.js';
 
 // Load environment variables
 dotenv.config();
@@ -30,163 +36,49 @@ mongoose.connect(process.env.MONGO_URI, {
  * @param {string} filePath - Path to the CSV file
  * @param {string} techStackName - Name for the tech stack
  * @param {string} description - Description for the tech stack
+ * @param {Object} options
+ * @param {boolean} options.dryRun - Print the changes instead of saving them
+ * @param {boolean} options.matchNames - Update a stack found by normalized name or alias
  */
-const processCSVFile = async (filePath, techStackName, description = '') => {
+const processCSVFile = async (filePath, techStackName, description = '', { dryRun = false, matchNames = false } = {}) => {
   try {
-    // Read the CSV file
+    // Read and parse the CSV file
     const csvText = fs.readFileSync(filePath, 'utf8');
+    const { headers, headerMapping, roadmapItems, rowCount, warnings } = parseCSVText(csvText);
     
-    // Parse the CSV
-    const { data } = Papa.parse(csvText, {
-      header: true,
-      skipEmptyLines: true,
-      dynamicTyping: false, // Keep as string to preserve newlines
-      transformHeader: header => header.trim() // Trim whitespace from headers
-    });
-    
-    console.log(`📊 Processing ${data.length} rows from CSV file...`);
-    
-    // Get the header names
-    const headers = Object.keys(data[0] || {});
-    
-    // Find the relevant columns
-    const columnMappings = {
-      topic: ['topics', 'topic', 'technology'],
-      subtopic: ['sub-topics', 'subtopics', 'sub-topic', 'subtopic'],
-      project: ['project/app to build', 'projects', 'projects/apps built'],
-      status: ['status of completion', 'status', 'completion status']
-    };
-    
-    // Map raw headers to our expected names and store original header names
-    const headerMapping = {};
-    // Store the original header names for display
-    const customHeaders = {
-      topic: "Topic",
-      subTopics: "Sub-Topics",
-      projects: "Projects",
-      status: "Status"
-    };
-    
-    for (const [key, alternatives] of Object.entries(columnMappings)) {
-      const matchedHeader = headers.find(h => 
-        alternatives.some(alt => 
-          h.toLowerCase().includes(alt.toLowerCase())
-        )
-      );
-      
-      if (matchedHeader) {
-        headerMapping[key] = matchedHeader;
-        // Store the original header name for display
-        if (key === 'topic') customHeaders.topic = matchedHeader;
-        else if (key === 'subtopic') customHeaders.subTopics = matchedHeader;
-        else if (key === 'project') customHeaders.projects = matchedHeader;
-        else if (key === 'status') customHeaders.status = matchedHeader;
-      }
-    }
-    
-    // Check if we have the required topic column
-    if (!headerMapping.topic) {
-      throw new Error('CSV must have a column for Topics');
-    }
-    
-    // Initialize storage for aggregated data
-    const topicsMap = new Map();
-    
-    // Process each row
-    data.forEach(row => {
-      const topic = row[headerMapping.topic];
-      if (!topic) return; // Skip rows without a topic
-      
-      let subTopics = [];
-      if (headerMapping.subtopic && row[headerMapping.subtopic]) {
-        // Split subtopics by newlines and filter out empty lines
-        subTopics = row[headerMapping.subtopic]
-          .split(/\r?\n/)
-          .map(s => s.trim())
-          .filter(s => s)
-          .map(name => ({ name }));
-      }
-      
-      let projects = [];
-      if (headerMapping.project && row[headerMapping.project]) {
-        // If project contains newlines, split it, otherwise use as is
-        if (row[headerMapping.project].includes('\n')) {
-          projects = row[headerMapping.project]
-            .split(/\r?\n/)
-            .map(s => s.trim())
-            .filter(s => s)
-            .map(name => ({ name }));
-        } else {
-          projects = [{ name: row[headerMapping.project].trim() }];
-        }
-      }
-      
-      let status = 'Yet to Start';
-      if (headerMapping.status && row[headerMapping.status]) {
-        status = normalizeStatus(row[headerMapping.status]);
-      }
-      
-      // Add or update topic in the map
-      if (!topicsMap.has(topic)) {
-        topicsMap.set(topic, {
-          topic,
-          subTopics,
-          projects,
-          completionStatus: status
-        });
-      } else {
-        // For duplicate topics, merge the data
-        const existingItem = topicsMap.get(topic);
-        
-        // Merge subtopics
-        subTopics.forEach(subtopic => {
-          if (!existingItem.subTopics.some(s => s.name === subtopic.name)) {
-            existingItem.subTopics.push(subtopic);
-          }
-        });
-        
-        // Merge projects
-        projects.forEach(project => {
-          if (!existingItem.projects.some(p => p.name === project.name)) {
-            existingItem.projects.push(project);
-          }
-        });
-        
-        // Update status with highest priority (Completed > In Progress > Yet to Start)
-        if (status === 'Completed' || 
-            (status === 'In Progress' && existingItem.completionStatus !== 'Completed')) {
-          existingItem.completionStatus = status;
-        }
-      }
-    });
-    
-    // Convert map to array
-    const roadmapItems = Array.from(topicsMap.values());
-    
+    console.log(`📊 Processed ${rowCount} rows from CSV file...`);
     console.log(`✅ Processed ${roadmapItems.length} unique topics from CSV.`);
+    warnings.forEach(warning => console.warn(`⚠️ ${warning}`));
     
     // Create tech stack object with custom headers
     const techStackData = {
       name: techStackName,
       description,
-      headers: customHeaders, // Add the custom headers
+      headers,
       roadmapItems
     };
     
-    // Check if tech stack already exists
-    const existingTechStack = await TechStack.findOne({ name: techStackName });
+    if (dryRun) {
+      const preview = await previewTechStackImport(techStackData, { matchNames });
+      formatImportPreview(techStackName, preview, headerMapping).forEach(line => console.log(line));
+      return techStackData;
+    }
+    
+    const { action, hint } = await upsertTechStack(techStackData, {
+      source: 'bulkUpload',
+      message: `Imported from ${path.basename(filePath)}`
+    }, { matchNames });
     
-    if (existingTechStack) {
-      console.log(`⚠️ Tech stack "${techStackName}" already exists. Updating its roadmap items...`);
-      existingTechStack.description = description;
-      existingTechStack.roadmapItems = roadmapItems;
-      existingTechStack.headers = customHeaders; // Update headers
-      await existingTechStack.save();
-      console.log(`✅ Tech stack "${techStackName}" updated with ${roadmapItems.length} roadmap items.`);
+    if (action === 'name-match') {
+      console.log(formatNameMatchSkip(hint));
+      return techStackData;
+    }
+    if (hint) console.log(formatNameHint(hint));
+    if (action === 'updated') {
+      console.log(`✅ Tech stack "${techStackName}" already existed and was updated with ${roadmapItems.length} roadmap items.`);
+    } else if (action === 'restored') {
+      console.log(`✅ Tech stack "${techStackName}" was restored from the trash and updated with ${roadmapItems.length} roadmap items.`);
     } else {
-      // Create new tech stack
-      const newTechStack = new TechStack(techStackData);
-      await newTechStack.save();
       console.log(`✅ Tech stack "${techStackName}" created with ${roadmapItems.length} roadmap items.`);
     }
     
@@ -197,48 +89,15 @@ const processCSVFile = async (filePath, techStackName, description = '') => {
   }
 };
 
-/**
- * Find a column by possible names (case-insensitive)
- * @param {Array} headers - Array of header names
- * @param {Array} possibleNames - Array of possible column names
- * @returns {string|null} - Matching header name or null
- */
-const findColumn = (headers, possibleNames) => {
-  for (const header of headers) {
-    const headerLower = header.toLowerCase();
-    if (possibleNames.some(name => headerLower.includes(name.toLowerCase()))) {
-      return header;
-    }
-  }
-  return null;
-};
-
-/**
- * Normalize status values to standard format
- * @param {string} status - Input status
- * @returns {string} - Normalized status
- */
-const normalizeStatus = (status) => {
-  if (!status) return 'Yet to Start';
-  
-  const statusStr = status.toString().toLowerCase();
-  if (statusStr.includes('complete') || statusStr.includes('done') || statusStr.includes('finish')) {
-    return 'Completed';
-  } else if (statusStr.includes('progress') || statusStr.includes('ongoing') || statusStr.includes('partial')) {
-    return 'In Progress';
-  } else {
-    return 'Yet to Start';
-  }
-};
-
 // Rest of the file remains unchanged
 // ... (processDirectory, main, etc.)
 
 /**
  * Processes all CSV files in a directory and creates tech stacks
  * @param {string} directoryPath - Path to the directory containing CSV files
+ * @param {Object} options - Passed on to processCSVFile
  */
-const processDirectory = async (directoryPath) => {
+const processDirectory = async (directoryPath, options = {}) => {
   try {
     // Read all files in the directory
     const files = fs.readdirSync(directoryPath);
@@ -258,7 +117,7 @@ const processDirectory = async (directoryPath) => {
       console.log(`🔄 Processing "${techStackName}" from ${csvFile}...`);
       
       try {
-        await processCSVFile(filePath, techStackName);
+        await processCSVFile(filePath, techStackName, '', options);
       } catch (error) {
         console.error(`❌ Error processing ${csvFile}:`, error);
       }
@@ -285,11 +144,20 @@ Usage:
   2. Process all CSV files in a directory:
      node bulkUpload.js --dir path/to/directory
      
+  Add --dry-run to either form to print which topics would be added, removed or
+  changed (and the detected header mappings) without writing anything.
+  
+  A name that only matches an existing stack by normalized name or alias
+  ("React JS" and "React") is not imported; add --match-names to update that
+  stack instead.
+     
   Note: When using --dir, each CSV filename (without extension) will be used as the tech stack name.
 `);
     process.exit(0);
   }
   
+  const options = { dryRun: args.includes('--dry-run'), matchNames: args.includes('--match-names') };
+  
   try {
     if (args.includes('--file')) {
       const fileIndex = args.indexOf('--file');
@@ -305,7 +173,7 @@ Usage:
       const techStackName = args[nameIndex + 1];
       const description = descIndex !== -1 && descIndex + 1 < args.length ? args[descIndex + 1] : '';
       
-      await processCSVFile(filePath, techStackName, description);
+      await processCSVFile(filePath, techStackName, description, options);
     } else if (args.includes('--dir')) {
       const dirIndex = args.indexOf('--dir');
       
@@ -315,7 +183,7 @@ Usage:
       }
       
       const directoryPath = args[dirIndex + 1];
-      await processDirectory(directoryPath);
+      await processDirectory(directoryPath, options);
     } else {
       console.error('❌ Invalid parameters. Use --file or --dir.');
       process.exit(1);
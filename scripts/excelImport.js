@@ -5,7 +5,15 @@ import { fileURLToPath } from 'url';
 import mongoose from 'mongoose';
 import dotenv from 'dotenv';
 import XLSX from 'xlsx';
-import TechStack from '../models/TechStack.js';
+import {
+  parseWorkbook,
+  upsertTechStack,
+  previewTechStackImport,
+  formatImportPreview,
+  formatNameHint,
+  formatNameMatchSkip,
+  WORKBOOK_READ_OPTIONS
+} from '../utils/techStackImport.js';
 
 // Get directory name in ES module
 const __filename = fileURLToPath(import.meta.url);
@@ -32,18 +40,16 @@ mongoose.connect(process.env.MONGO_URI)
 /**
  * Process Excel file directly to the database with proper formatting
  * @param {string} filePath - Path to the Excel file
+ * @param {Object} options
+ * @param {boolean} options.dryRun - Print the changes instead of saving them
+ * @param {boolean} options.matchNames - Update stacks found by normalized name or alias
  */
-const processExcelFile = async (filePath) => {
+const processExcelFile = async (filePath, { dryRun = false, matchNames = false } = {}) => {
   try {
     console.log(`📊 Reading spreadsheet: ${filePath}`);
     
     // Read the workbook
-    const workbook = XLSX.readFile(filePath, {
-      cellStyles: true,
-      cellDates: true,
-      cellNF: true,
-      raw: true // Get raw values to preserve newlines
-    });
+    const workbook = XLSX.readFile(filePath, WORKBOOK_READ_OPTIONS);
     
     console.log(`📑 Found ${workbook.SheetNames.length} sheets in workbook`);
     
@@ -51,175 +57,47 @@ const processExcelFile = async (filePath) => {
     let processedCount = 0;
     
     // Process each sheet as a separate tech stack
-    for (const sheetName of workbook.SheetNames) {
-      // Skip certain sheets if needed
-      if (sheetName.toLowerCase() === 'readme' || sheetName.toLowerCase() === 'instructions') {
-        console.log(`⏭️ Skipping sheet: ${sheetName}`);
+    for (const sheet of parseWorkbook(workbook)) {
+      if (sheet.skipped) {
+        console.log(`⏭️ Skipping sheet ${sheet.sheet}: ${sheet.reason}`);
         continue;
       }
       
-      console.log(`🔄 Processing sheet: ${sheetName}`);
-      
-      // Get the worksheet
-      const worksheet = workbook.Sheets[sheetName];
-      
-      // Convert to JSON, keeping headers as the first row
-      const jsonData = XLSX.utils.sheet_to_json(worksheet, { 
-        header: 1,
-        raw: true,
-        defval: ''
-      });
-      
-      // Skip if no data or just headers
-      if (jsonData.length <= 1) {
-        console.log(`⚠️ Sheet ${sheetName} has no data. Skipping.`);
-        continue;
-      }
-      
-      // Get the header row (first row)
-      const headers = jsonData[0].map(h => h ? h.toString().trim() : '');
-      
-      // Identify column indices
-      const topicIndex = headers.findIndex(h => h.toLowerCase().includes('topic') && !h.toLowerCase().includes('sub'));
-      const subTopicsIndex = headers.findIndex(h => h.toLowerCase().includes('sub-topic') || h.toLowerCase().includes('subtopic'));
-      const projectIndex = headers.findIndex(h => 
-        h.toLowerCase().includes('project') || 
-        h.toLowerCase().includes('task') || 
-        h.toLowerCase().includes('app')
-      );
-      const statusIndex = headers.findIndex(h => h.toLowerCase().includes('status'));
-      
-      // Check required columns
-      if (topicIndex === -1) {
-        console.log(`⚠️ Sheet ${sheetName} is missing a Topic column. Skipping.`);
-        continue;
-      }
-      
-      // Store custom headers
-      const customHeaders = {
-        topic: headers[topicIndex] || "Topic",
-        subTopics: headers[subTopicsIndex] || "Sub-Topics",
-        projects: headers[projectIndex] || "Project / Task",
-        status: headers[statusIndex] || "Status"
-      };
-      
-      console.log(`Found headers: Topic="${customHeaders.topic}", Subtopic="${customHeaders.subTopics}", Project="${customHeaders.projects}", Status="${customHeaders.status}"`);
-      
-      // Group by topic to maintain the hierarchical structure
-      const topicMap = new Map();
-      let currentTopic = null;
-      
-      // Process data rows (skip header row)
-      for (let i = 1; i < jsonData.length; i++) {
-        const row = jsonData[i];
-        
-        // If this row has a topic value, it's a new topic
-        if (row[topicIndex] && row[topicIndex].toString().trim() !== '') {
-          currentTopic = row[topicIndex].toString().trim();
-          
-          // Initialize topic if it doesn't exist
-          if (!topicMap.has(currentTopic)) {
-            topicMap.set(currentTopic, {
-              topic: currentTopic,
-              subTopics: [],
-              projects: [],
-              completionStatus: row[statusIndex] ? normalizeStatus(row[statusIndex]) : 'Yet to Start'
-            });
-          }
-        }
-        
-        // Skip if we haven't found a valid topic yet
-        if (!currentTopic) continue;
-        
-        // Get the current topic object
-        const topicObj = topicMap.get(currentTopic);
-        
-        // Process subtopics - important part to maintain line-by-line format
-        if (subTopicsIndex !== -1 && row[subTopicsIndex] && row[subTopicsIndex].toString().trim() !== '') {
-          // Split by line breaks to preserve multiline format
-          const subtopicsText = row[subTopicsIndex].toString();
-          
-          // Handle subtopics that contain line breaks in the cell
-          if (subtopicsText.includes('\n') || subtopicsText.includes('\r')) {
-            // Split by line breaks
-            const splitSubtopics = subtopicsText.split(/\r?\n/)
-                                    .map(s => s.trim())
-                                    .filter(s => s !== '');
-            
-            // Add each subtopic
-            splitSubtopics.forEach(subtopic => {
-              if (!topicObj.subTopics.some(s => s.name === subtopic)) {
-                topicObj.subTopics.push({ name: subtopic });
-              }
-            });
-          } else {
-            // Single subtopic without line breaks
-            const subtopic = subtopicsText.trim();
-            if (!topicObj.subTopics.some(s => s.name === subtopic)) {
-              topicObj.subTopics.push({ name: subtopic });
-            }
-          }
-        }
-        
-        // Process projects
-        if (projectIndex !== -1 && row[projectIndex] && row[projectIndex].toString().trim() !== '') {
-          const project = row[projectIndex].toString().trim();
-          if (!topicObj.projects.some(p => p.name === project)) {
-            topicObj.projects.push({ name: project });
-          }
-        }
-        
-        // Update status if provided
-        if (statusIndex !== -1 && row[statusIndex] && row[statusIndex].toString().trim() !== '') {
-          const status = normalizeStatus(row[statusIndex]);
-          // Update status with highest priority (Completed > In Progress > Yet to Start)
-          if (status === 'Completed' || 
-              (status === 'In Progress' && topicObj.completionStatus !== 'Completed')) {
-            topicObj.completionStatus = status;
-          }
-        }
-      }
-      
-      // Convert map to array of roadmap items
-      const roadmapItems = Array.from(topicMap.values());
-      
-      console.log(`📝 Processed ${roadmapItems.length} unique topics from ${sheetName}`);
-      
-      // Skip if no valid roadmap items found
-      if (roadmapItems.length === 0) {
-        console.log(`⚠️ No valid roadmap items found in sheet ${sheetName}. Skipping.`);
-        continue;
-      }
+      const { headers, roadmapItems } = sheet;
+      console.log(`Found headers: Topic="${headers.topic}", Subtopic="${headers.subTopics}", Project="${headers.projects}", Status="${headers.status}"`);
+      console.log(`📝 Processed ${roadmapItems.length} unique topics from ${sheet.sheet}`);
+      sheet.warnings.forEach(warning => console.warn(`⚠️ ${warning}`));
       
       // Create tech stack data
       const techStackData = {
-        name: sheetName,
-        description: `Imported from ${path.basename(filePath)}, sheet: ${sheetName}`,
-        headers: customHeaders,
+        name: sheet.sheet,
+        description: `Imported from ${path.basename(filePath)}, sheet: ${sheet.sheet}`,
+        headers,
         roadmapItems
       };
       
       try {
-        // Check if tech stack already exists
-        const existingTechStack = await TechStack.findOne({ name: sheetName });
+        if (dryRun) {
+          const preview = await previewTechStackImport(techStackData, { matchNames });
+          formatImportPreview(sheet.sheet, preview, sheet.headerMapping).forEach(line => console.log(line));
+          processedCount++;
+          continue;
+        }
         
-        if (existingTechStack) {
-          console.log(`⚠️ Tech stack "${sheetName}" already exists. Updating...`);
-          existingTechStack.description = techStackData.description;
-          existingTechStack.roadmapItems = roadmapItems;
-          existingTechStack.headers = customHeaders;
-          await existingTechStack.save();
-          console.log(`✅ Tech stack "${sheetName}" updated with ${roadmapItems.length} roadmap items.`);
-        } else {
-          // Create new tech stack
-          const newTechStack = new TechStack(techStackData);
-          await newTechStack.save();
-          console.log(`✅ Tech stack "${sheetName}" created with ${roadmapItems.length} roadmap items.`);
+        const { action, hint } = await upsertTechStack(techStackData, {
+          source: 'excelImport',
+          message: `Imported from ${path.basename(filePath)}`
+        }, { matchNames });
+        if (action === 'name-match') {
+          console.log(formatNameMatchSkip(hint));
+          continue;
         }
+        if (hint) console.log(formatNameHint(hint));
+        console.log(`✅ Tech stack "${sheet.sheet}" ${action} with ${roadmapItems.length} roadmap items.`);
         
         processedCount++;
       } catch (err) {
-        console.error(`❌ Error saving tech stack "${sheetName}":`, err);
+        console.error(`❌ Error saving tech stack "${sheet.sheet}":`, err);
       }
     }
     
@@ -231,24 +109,6 @@ const processExcelFile = async (filePath) => {
   }
 };
 
-/**
- * Normalize status values to standard format
- * @param {string} status - Input status
- * @returns {string} - Normalized status
- */
-const normalizeStatus = (status) => {
-  if (!status) return 'Yet to Start';
-  
-  const statusStr = status.toString().toLowerCase();
-  if (statusStr.includes('complete') || statusStr.includes('done') || statusStr.includes('finish')) {
-    return 'Completed';
-  } else if (statusStr.includes('progress') || statusStr.includes('ongoing') || statusStr.includes('partial')) {
-    return 'In Progress';
-  } else {
-    return 'Yet to Start';
-  }
-};
-
 // Parse command line arguments
 const main = async () => {
   const args = process.argv.slice(2);
@@ -256,7 +116,14 @@ const main = async () => {
   if (args.length === 0 || args[0] === '--help') {
     console.log(`
 Usage:
-  node excelImport.js --file path/to/file.xlsx
+  node excelImport.js --file path/to/file.xlsx [--dry-run] [--match-names]
+
+Options:
+  --dry-run      Print which topics would be added, removed or changed (and the
+                 detected header mappings) without writing anything
+  --match-names  Update stacks whose name only matches a sheet by normalized
+                 name or alias ("React JS" for a sheet "ReactJS"); without it
+                 those sheets are not imported
     
 Example:
   node excelImport.js --file ../techstacks.xlsx
@@ -284,7 +151,7 @@ Example:
   }
   
   try {
-    await processExcelFile(filePath);
+    await processExcelFile(filePath, { dryRun: args.includes('--dry-run'), matchNames: args.includes('--match-names') });
     console.log('✅ Excel import completed successfully.');
     mongoose.connection.close();
     process.exit(0);
@@ -0,0 +1,142 @@
+// server/scripts/migrateRoadmapTechStacks.js
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config();
+
+// Connect to MongoDB
+mongoose.connect(process.env.MONGO_URI)
+.then(() => console.log('✅ MongoDB Connected'))
+.catch((err) => {
+  console.log('❌ MongoDB Connection Error:', err);
+  process.exit(1);
+});
+
+/**
+ * Convert a list of tech stack references (names or ids) to ObjectIds.
+ * Entries that are neither (null, numbers, objects) are left out.
+ * @param {Array} refs - Stored references
+ * @param {Map<string, ObjectId>} idsByName - Tech stack ids keyed by name
+ * @returns {{ids: Array, missing: Array<string>, invalid: Array}}
+ */
+const convertRefs = (refs = [], idsByName) => {
+  const ids = [];
+  const missing = [];
+  const invalid = [];
+  
+  refs.forEach(ref => {
+    if (ref instanceof mongoose.Types.ObjectId) {
+      ids.push(ref);
+    } else if (typeof ref !== 'string') {
+      invalid.push(ref);
+    } else if (idsByName.has(ref.trim())) {
+      ids.push(idsByName.get(ref.trim()));
+    } else {
+      missing.push(ref);
+    }
+  });
+  
+  return { ids, missing, invalid };
+};
+
+/**
+ * Rewrite Roadmap.techStacks and roles[].techStacks from tech stack names to
+ * TechStack ids. Works on the raw collection because the stored strings no
+ * longer match the ObjectId schema.
+ * @param {Object} options
+ * @param {boolean} options.dryRun - Only report what would change
+ * @param {boolean} options.dropMissing - Drop names that match no tech stack instead of skipping the roadmap
+ */
+const migrateRoadmaps = async ({ dryRun, dropMissing }) => {
+  const db = mongoose.connection.db;
+  const techStacks = await db.collection('techstacks').find({}, { projection: { name: 1 } }).toArray();
+  const idsByName = new Map(techStacks.map(techStack => [techStack.name, techStack._id]));
+  
+  const roadmaps = await db.collection('roadmaps').find({}).toArray();
+  console.log(`📊 Checking ${roadmaps.length} roadmaps against ${techStacks.length} tech stacks...`);
+  
+  let migrated = 0;
+  let skipped = 0;
+  
+  for (const roadmap of roadmaps) {
+    const direct = convertRefs(roadmap.techStacks, idsByName);
+    const roles = (roadmap.roles || []).map(role => ({
+      role,
+      ...convertRefs(role.techStacks, idsByName)
+    }));
+    const missing = [...direct.missing, ...roles.flatMap(r => r.missing)];
+    const invalid = [...direct.invalid, ...roles.flatMap(r => r.invalid)];
+    const label = `${roadmap.companyName} - ${roadmap.role}`;
+    
+    const hasStrings = (roadmap.techStacks || []).some(ref => typeof ref === 'string') ||
+      (roadmap.roles || []).some(role => (role.techStacks || []).some(ref => typeof ref === 'string'));
+    if (!hasStrings && invalid.length === 0) continue;
+    
+    if (missing.length > 0 && !dropMissing) {
+      console.log(`⚠️ Skipping "${label}": unknown tech stacks ${missing.join(', ')}`);
+      skipped++;
+      continue;
+    }
+    
+    if (missing.length > 0) {
+      console.log(`⚠️ "${label}": dropping unknown tech stacks ${missing.join(', ')}`);
+    }
+    if (invalid.length > 0) {
+      console.log(`⚠️ "${label}": dropping ${invalid.length} entries that are not tech stack names or ids: ${invalid.map(ref => JSON.stringify(ref)).join(', ')}`);
+    }
+    
+    if (!dryRun) {
+      await db.collection('roadmaps').updateOne(
+        { _id: roadmap._id },
+        {
+          $set: {
+            techStacks: direct.ids,
+            roles: roles.map(r => ({ ...r.role, techStacks: r.ids }))
+          }
+        }
+      );
+    }
+    
+    console.log(`${dryRun ? '🔍 Would migrate' : '✅ Migrated'} "${label}"`);
+    migrated++;
+  }
+  
+  console.log(`✅ ${dryRun ? 'Dry run' : 'Migration'} complete. ${migrated} migrated, ${skipped} skipped.`);
+};
+
+/**
+ * Main function to run the script
+ */
+const main = async () => {
+  const args = process.argv.slice(2);
+  
+  if (args.includes('--help')) {
+    console.log(`
+Usage:
+  node migrateRoadmapTechStacks.js [--dry-run] [--drop-missing]
+
+Options:
+  --dry-run       Report what would change without writing anything
+  --drop-missing  Remove names that match no tech stack (default: skip those roadmaps)
+`);
+    process.exit(0);
+  }
+  
+  try {
+    await mongoose.connection.asPromise();
+    await migrateRoadmaps({
+      dryRun: args.includes('--dry-run'),
+      dropMissing: args.includes('--drop-missing')
+    });
+    mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error during migration:', error);
+    mongoose.connection.close();
+    process.exit(1);
+  }
+};
+
+// Run the main function
+main();
\ No newline at end of file
@@ -7,10 +7,28 @@ import morgan from 'morgan';
 import techStackRoutes from './routes/techStackRoutes.js';
 import roadmapRoutes from './routes/roadmapRoutes.js';
 import githubRoutes from './routes/githubRoutes.js';
+import authRoutes from './routes/authRoutes.js';
+import learnerRoutes from './routes/learnerRoutes.js';
+import cohortRoutes from './routes/cohortRoutes.js';
+import roadmapTemplateRoutes from './routes/roadmapTemplateRoutes.js';
+import pageRoutes from './routes/pageRoutes.js';
+import { scheduleTrashPurge } from './utils/trashPurge.js';
+import { LOCAL_PUBLISH_PATH, getLocalPublishDir } from './publishers/localPublisher.js';
+import { PAGE_BASE_PATH } from './utils/roadmapPages.js';
+import config from './config/config.js';
 
 // Load environment variables
 dotenv.config();
 
+// Tokens can't be signed or verified safely without a secret
+if (!config.jwtSecret) {
+  console.error('❌ JWT_SECRET is not set. Set it in the environment before starting the server.');
+  process.exit(1);
+}
+if (!process.env.JWT_SECRET) {
+  console.warn('⚠️  JWT_SECRET is not set; using a random development secret. Tokens will not survive a restart.');
+}
+
 // Initialize app
 const app = express();
 
@@ -24,13 +42,26 @@ mongoose.connect(process.env.MONGO_URI, {
   useNewUrlParser: true,
   useUnifiedTopology: true
 })
-.then(() => console.log('✅ MongoDB Connected'))
+.then(() => {
+  console.log('✅ MongoDB Connected');
+  scheduleTrashPurge();
+})
 .catch((err) => console.log('❌ MongoDB Connection Error:', err));
 
+// Pages published with the "local" publisher
+app.use(LOCAL_PUBLISH_PATH, express.static(getLocalPublishDir()));
+
+// Roadmap pages rendered by this server
+app.use(PAGE_BASE_PATH, pageRoutes);
+
 // Routes
+app.use('/api/auth', authRoutes);
 app.use('/api/tech-stacks', techStackRoutes);
 app.use('/api/roadmaps', roadmapRoutes);
 app.use('/api/github', githubRoutes);
+app.use('/api/learners', learnerRoutes);
+app.use('/api/cohorts', cohortRoutes);
+app.use('/api/roadmap-templates', roadmapTemplateRoutes);
 
 // Root Route
 app.get('/', (req, res) => {
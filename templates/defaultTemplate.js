@@ -0,0 +1,134 @@
+// server/templates/defaultTemplate.js
+import { escapeHtml, slugify } from '../utils/helpers.js';
+
+const styles = `
+    * { box-sizing: border-box; }
+    body { margin: 0; font-family: 'Segoe UI', Roboto, Helvetica, Arial, sans-serif; background: #f4f6fb; color: #1f2937; }
+    header { background: linear-gradient(135deg, #1e3a8a, #2563eb); color: #fff; padding: 32px 24px; }
+    header h1 { margin: 0 0 8px; font-size: 28px; }
+    header p { margin: 0; opacity: 0.85; }
+    nav { display: flex; flex-wrap: wrap; gap: 8px; padding: 16px 24px; background: #fff; border-bottom: 1px solid #e5e7eb; }
+    nav a { padding: 6px 14px; border-radius: 999px; background: #eef2ff; color: #1e3a8a; text-decoration: none; font-size: 14px; }
+    main { max-width: 1200px; margin: 0 auto; padding: 24px; }
+    .role { margin-bottom: 40px; }
+    .role > h2 { font-size: 22px; border-left: 4px solid #2563eb; padding-left: 12px; }
+    .stack { background: #fff; border-radius: 10px; box-shadow: 0 1px 3px rgba(0, 0, 0, 0.08); margin-bottom: 24px; overflow: hidden; }
+    .stack h3 { margin: 0; padding: 16px 20px; background: #f9fafb; border-bottom: 1px solid #e5e7eb; }
+    .stack .description { padding: 12px 20px 0; color: #4b5563; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { text-align: left; vertical-align: top; padding: 12px 20px; border-bottom: 1px solid #f1f5f9; font-size: 14px; }
+    th { background: #f8fafc; color: #475569; font-weight: 600; }
+    ul { margin: 0; padding-left: 18px; }
+    .status { display: inline-block; padding: 2px 10px; border-radius: 999px; font-size: 12px; white-space: nowrap; }
+    .status-yet-to-start { background: #f1f5f9; color: #475569; }
+    .status-in-progress { background: #fef3c7; color: #92400e; }
+    .status-completed { background: #dcfce7; color: #166534; }
+    .meta { margin-top: 6px; color: #6b7280; font-size: 12px; }
+    .difficulty { display: inline-block; padding: 1px 8px; border-radius: 999px; background: #e0e7ff; color: #3730a3; }
+    .resources { margin-top: 6px; }
+    .resources a { color: #2563eb; }
+    .resource-type { color: #9ca3af; font-size: 11px; text-transform: uppercase; }
+    footer { text-align: center; color: #9ca3af; font-size: 12px; padding: 24px; }
+`;
+
+const renderList = (entries) => {
+  if (!entries || entries.length === 0) return '';
+  return `<ul>${entries.map(entry => `<li>${escapeHtml(entry.name)}</li>`).join('')}</ul>`;
+};
+
+// Difficulty, hours and prerequisites shown under the topic name
+const renderMeta = (item, topicsById) => {
+  const parts = [
+    item.difficulty && `<span class="difficulty">${escapeHtml(item.difficulty)}</span>`,
+    item.estimatedHours !== undefined && item.estimatedHours !== null && `~${escapeHtml(item.estimatedHours)}h`
+  ].filter(Boolean);
+  const prerequisites = (item.prerequisites || [])
+    .map(id => topicsById.get(id.toString()))
+    .filter(Boolean);
+
+  if (prerequisites.length > 0) {
+    parts.push(`After: ${prerequisites.map(escapeHtml).join(', ')}`);
+  }
+
+  return parts.length > 0 ? `<div class="meta">${parts.join(' · ')}</div>` : '';
+};
+
+const renderResources = (resources) => {
+  if (!resources || resources.length === 0) return '';
+  return `<ul class="resources">${resources.map(resource => `<li><span class="resource-type">${escapeHtml(resource.type)}</span> <a href="${escapeHtml(resource.url)}" target="_blank" rel="noopener">${escapeHtml(resource.title || resource.url)}</a></li>`).join('')}</ul>`;
+};
+
+const renderTechStack = (techStack) => {
+  const headers = techStack.headers || {};
+  const topicsById = new Map((techStack.roadmapItems || []).map(item => [item._id?.toString(), item.topic]));
+
+  const rows = (techStack.roadmapItems || []).map(item => `
+          <tr>
+            <td>${escapeHtml(item.topic)}${renderMeta(item, topicsById)}${renderResources(item.resources)}</td>
+            <td>${renderList(item.subTopics)}</td>
+            <td>${renderList(item.projects)}</td>
+            <td><span class="status status-${slugify(item.completionStatus)}">${escapeHtml(item.completionStatus)}</span></td>
+          </tr>`).join('');
+
+  return `
+      <section class="stack">
+        <h3>${escapeHtml(techStack.name)}</h3>
+        ${techStack.description ? `<p class="description">${escapeHtml(techStack.description)}</p>` : ''}
+        <table>
+          <thead>
+            <tr>
+              <th>${escapeHtml(headers.topic || 'Topic')}</th>
+              <th>${escapeHtml(headers.subTopics || 'Sub-Topics')}</th>
+              <th>${escapeHtml(headers.projects || 'Projects')}</th>
+              <th>${escapeHtml(headers.status || 'Status')}</th>
+            </tr>
+          </thead>
+          <tbody>${rows}
+          </tbody>
+        </table>
+      </section>`;
+};
+
+/**
+ * Default roadmap page: one section per role, one table per tech stack
+ * @param {Object} context - Render context built by the roadmap renderer
+ * @returns {string} - Complete HTML document
+ */
+const defaultTemplate = (context) => {
+  const { companyName, roles, isConsolidated, generatedAt } = context;
+  const title = isConsolidated
+    ? `${companyName} Roadmap`
+    : `${companyName} - ${roles[0].title} Roadmap`;
+
+  const nav = isConsolidated
+    ? `
+    <nav>${roles.map(role => `<a href="#${slugify(role.title)}">${escapeHtml(role.title)}</a>`).join('')}</nav>`
+    : '';
+
+  const sections = roles.map(role => `
+    <div class="role" id="${slugify(role.title)}">
+      <h2>${escapeHtml(role.title)}</h2>${role.techStacks.map(renderTechStack).join('')}
+    </div>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(title)}</title>
+  <style>${styles}</style>
+</head>
+<body>
+  <header>
+    <h1>${escapeHtml(title)}</h1>
+    <p>${escapeHtml(roles.map(role => role.title).join(' · '))}</p>
+  </header>${nav}
+  <main>${sections}
+  </main>
+  <footer>Generated on ${escapeHtml(new Date(generatedAt).toDateString())}</footer>
+</body>
+</html>
+`;
+};
+
+export default defaultTemplate;
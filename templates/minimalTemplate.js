@@ -0,0 +1,38 @@
+// server/templates/minimalTemplate.js
+import { escapeHtml } from '../utils/helpers.js';
+
+/**
+ * Print friendly roadmap page without tables or colours
+ * @param {Object} context - Render context built by the roadmap renderer
+ * @returns {string} - Complete HTML document
+ */
+const minimalTemplate = (context) => {
+  const { companyName, roles } = context;
+
+  const sections = roles.map(role => `
+  <h2>${escapeHtml(role.title)}</h2>${role.techStacks.map(techStack => `
+  <h3>${escapeHtml(techStack.name)}</h3>
+  <ol>${(techStack.roadmapItems || []).map(item => `
+    <li>
+      <strong>${escapeHtml(item.topic)}</strong>${[item.difficulty, item.estimatedHours != null && `${item.estimatedHours}h`].filter(Boolean).map(text => ` <small>${escapeHtml(text)}</small>`).join('')}
+      ${item.subTopics && item.subTopics.length > 0 ? `<p>${item.subTopics.map(s => escapeHtml(s.name)).join(', ')}</p>` : ''}
+      ${item.projects && item.projects.length > 0 ? `<p><em>${escapeHtml(techStack.headers?.projects || 'Projects')}:</em> ${item.projects.map(p => escapeHtml(p.name)).join(', ')}</p>` : ''}
+      ${item.resources && item.resources.length > 0 ? `<p><em>Resources:</em> ${item.resources.map(r => `<a href="${escapeHtml(r.url)}">${escapeHtml(r.title || r.url)}</a> (${escapeHtml(r.type)})`).join(', ')}</p>` : ''}
+    </li>`).join('')}
+  </ol>`).join('')}`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>${escapeHtml(companyName)} Roadmap</title>
+  <style>body { font-family: Georgia, serif; max-width: 800px; margin: 40px auto; line-height: 1.5; }</style>
+</head>
+<body>
+  <h1>${escapeHtml(companyName)} Roadmap</h1>${sections}
+</body>
+</html>
+`;
+};
+
+export default minimalTemplate;
@@ -0,0 +1,28 @@
+// server/templates/redirectTemplate.js
+import { escapeHtml } from '../utils/helpers.js';
+
+/**
+ * Stub left at the old path of a renamed page, forwarding visitors (and
+ * search engines, through the canonical link) to the new URL
+ * @param {Object} context
+ * @param {string} context.url - New page URL
+ * @param {string} [context.title] - Page title
+ * @returns {string} - Complete HTML document
+ */
+const redirectTemplate = ({ url, title = 'This roadmap has moved' }) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>${escapeHtml(title)}</title>
+  <meta http-equiv="refresh" content="0; url=${escapeHtml(url)}">
+  <link rel="canonical" href="${escapeHtml(url)}">
+  <meta name="robots" content="noindex">
+  <script>location.replace(${JSON.stringify(url).replace(/</g, '\\u003c')});</script>
+</head>
+<body>
+  <p>${escapeHtml(title)}: <a href="${escapeHtml(url)}">${escapeHtml(url)}</a></p>
+</body>
+</html>
+`;
+
+export default redirectTemplate;
@@ -0,0 +1,61 @@
+// server/tests/duplicateHelpers.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { findDuplicateCandidates } from '../utils/duplicateHelpers.js';
+import { parseCSVText } from '../utils/techStackImport.js';
+
+const CSV_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', 'csv-output');
+
+// Tech stack as the CSV import would create it from csv-output/<file>
+const loadStack = (file) => ({
+  name: path.basename(file, '.csv'),
+  roadmapItems: parseCSVText(fs.readFileSync(path.join(CSV_DIR, file), 'utf8')).roadmapItems
+});
+
+const findPair = (candidates, first, second) => candidates.find(candidate => {
+  const names = candidate.techStacks.map(techStack => techStack.name);
+  return names.includes(first) && names.includes(second);
+});
+
+test('reports name matches without shared topics with low confidence', () => {
+  const candidates = findDuplicateCandidates(
+    ['Kubernetes .csv', 'Kubernetes.csv', 'Next JS.csv', 'NextJS.csv'].map(loadStack)
+  );
+
+  for (const [first, second] of [['Kubernetes ', 'Kubernetes'], ['Next JS', 'NextJS']]) {
+    const pair = findPair(candidates, first, second);
+    assert.ok(pair, `${first} / ${second} is reported`);
+    assert.deepEqual(pair.reasons, ['name']);
+    assert.equal(pair.confidence, 'low');
+    assert.equal(pair.sharedTopics, 0);
+  }
+});
+
+test('does not report stacks whose names only look alike', () => {
+  const candidates = findDuplicateCandidates(['C#.csv', 'C++.csv', 'Vue.js.csv'].map(loadStack));
+
+  assert.equal(findPair(candidates, 'C#', 'C++'), undefined);
+});
+
+test('ranks topic-only matches above name matches without shared topics', () => {
+  const candidates = findDuplicateCandidates(
+    ['Kubernetes .csv', 'Kubernetes.csv', 'PyTorch.csv', 'TensorFlow.csv'].map(loadStack)
+  );
+  const topicsOnly = findPair(candidates, 'PyTorch', 'TensorFlow');
+
+  assert.deepEqual(topicsOnly.reasons, ['topics']);
+  assert.equal(topicsOnly.confidence, 'medium');
+  assert.ok(candidates.indexOf(topicsOnly) < candidates.indexOf(findPair(candidates, 'Kubernetes ', 'Kubernetes')));
+});
+
+test('gives high confidence when both name and topics match', () => {
+  const react = loadStack('React.csv');
+  const candidates = findDuplicateCandidates([react, { ...react, name: 'React JS' }]);
+
+  assert.equal(candidates.length, 1);
+  assert.deepEqual(candidates[0].reasons, ['name', 'topics']);
+  assert.equal(candidates[0].confidence, 'high');
+});
@@ -0,0 +1,50 @@
+// server/tests/techStackExport.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import XLSX from 'xlsx';
+import { toWorkbookBuffer, toCSV } from '../utils/techStackExport.js';
+import { parseWorkbook, parseCSVText, WORKBOOK_READ_OPTIONS } from '../utils/techStackImport.js';
+
+const techStack = {
+  name: 'Node JS',
+  headers: { topic: 'Topic', subTopics: 'Sub-Topics', projects: 'Projects', status: 'Status' },
+  roadmapItems: [
+    {
+      topic: 'Express',
+      subTopics: [{ name: 'Routing' }, { name: 'Middleware' }],
+      projects: [{ name: 'p1' }, { name: 'p2' }],
+      completionStatus: 'In Progress',
+      estimatedHours: 6
+    },
+    {
+      topic: 'Streams',
+      subTopics: [{ name: 'Readable' }],
+      projects: [],
+      completionStatus: 'Yet to Start'
+    }
+  ]
+};
+
+// Topic, subtopic and project names plus status of parsed items
+const summarize = (roadmapItems) => roadmapItems.map(item => ({
+  topic: item.topic,
+  subTopics: item.subTopics.map(s => s.name),
+  projects: item.projects.map(p => p.name),
+  completionStatus: item.completionStatus
+}));
+
+test('XLSX export imports back with every project', () => {
+  const workbook = XLSX.read(toWorkbookBuffer([techStack]), { ...WORKBOOK_READ_OPTIONS, type: 'buffer' });
+  const [sheet] = parseWorkbook(workbook);
+
+  assert.equal(sheet.sheet, 'Node JS');
+  assert.equal(sheet.skipped, false);
+  assert.deepEqual(summarize(sheet.roadmapItems), summarize(techStack.roadmapItems));
+  assert.equal(sheet.roadmapItems[0].estimatedHours, 6);
+});
+
+test('CSV export imports back with every project', () => {
+  const { roadmapItems } = parseCSVText(toCSV(techStack));
+
+  assert.deepEqual(summarize(roadmapItems), summarize(techStack.roadmapItems));
+});
@@ -0,0 +1,301 @@
+// server/utils/cohortAnalytics.js
+import mongoose from 'mongoose';
+import TechStack from '../models/TechStack.js';
+import Learner from '../models/Learner.js';
+import LearnerProgress from '../models/LearnerProgress.js';
+
+// Percentage of `done` over `total` rounded to one decimal, as an aggregation expression
+const percentageExpr = (done, total) => ({
+  $cond: [
+    { $gt: [total, 0] },
+    { $round: [{ $multiply: [{ $divide: [done, total] }, 100] }, 1] },
+    0
+  ]
+});
+
+// Count of entries with a given status in a [{ _id: status, count }] array
+const statusCountExpr = (field, status) => ({
+  $sum: {
+    $map: {
+      input: { $filter: { input: field, cond: { $eq: ['$$this._id', status] } } },
+      in: '$$this.count'
+    }
+  }
+});
+
+const toObjectIds = (ids) => ids.map(id => new mongoose.Types.ObjectId(id.toString()));
+
+/**
+ * $addFields stage limiting each stack's roadmapItems to the topics its
+ * roadmap selects, like applyTopicSelections: stacks without a selection, or
+ * whose selected topics are all gone, keep every topic
+ * @param {Array<Object>} [topicSelections] - The roadmap's topic selections
+ * @returns {Array<Object>} - The stage, or no stage without selections
+ */
+const selectTopicsStages = (topicSelections = []) => {
+  const selections = topicSelections.filter(selection => selection.roadmapItems.length > 0);
+  if (selections.length === 0) return [];
+
+  return [{
+    $addFields: {
+      roadmapItems: {
+        $switch: {
+          branches: selections.map(selection => ({
+            case: { $eq: ['$_id', toObjectIds([selection.techStack])[0]] },
+            then: {
+              $let: {
+                vars: {
+                  selected: {
+                    $filter: {
+                      input: '$roadmapItems',
+                      cond: { $in: ['$$this._id', toObjectIds(selection.roadmapItems)] }
+                    }
+                  }
+                },
+                in: { $cond: [{ $gt: [{ $size: '$$selected' }, 0] }, '$$selected', '$roadmapItems'] }
+              }
+            }
+          })),
+          default: '$roadmapItems'
+        }
+      }
+    }
+  }];
+};
+
+/**
+ * $lookup stage joining the cohort's progress entries for the current
+ * tech stack (and optionally the current item), grouped by status
+ * @param {Array<ObjectId>} learnerIds - Cohort learners
+ * @param {boolean} perItem - Join on the unwound roadmap item instead of every item of the stack
+ * @returns {Object} - $lookup stage
+ */
+const progressLookup = (learnerIds, perItem) => ({
+  $lookup: {
+    from: LearnerProgress.collection.name,
+    let: perItem
+      ? { stackId: '$_id', itemIds: ['$roadmapItems._id'] }
+      : { stackId: '$_id', itemIds: '$roadmapItems._id' },
+    pipeline: [
+      {
+        $match: {
+          $expr: {
+            $and: [
+              { $eq: ['$techStack', '$$stackId'] },
+              { $in: ['$learner', learnerIds] },
+              { $in: ['$roadmapItem', '$$itemIds'] }
+            ]
+          }
+        }
+      },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ],
+    as: 'statusCounts'
+  }
+});
+
+/**
+ * Completion per tech stack across the cohort
+ * @param {Array} techStackIds - Tech stacks of the cohort's roadmap
+ * @param {Array} learnerIds - Cohort learners
+ * @param {Object} options
+ * @param {Array<Object>} [options.topicSelections] - The roadmap's topic selections
+ * @returns {Promise<Array<Object>>}
+ */
+export const getStackCompletion = (techStackIds, learnerIds, { topicSelections } = {}) => {
+  const learners = toObjectIds(learnerIds);
+
+  return TechStack.aggregate([
+    { $match: { _id: { $in: toObjectIds(techStackIds) } } },
+    ...selectTopicsStages(topicSelections),
+    progressLookup(learners, false),
+    {
+      $project: {
+        name: 1,
+        totalItems: { $size: '$roadmapItems' },
+        completed: statusCountExpr('$statusCounts', 'Completed'),
+        inProgress: statusCountExpr('$statusCounts', 'In Progress')
+      }
+    },
+    { $addFields: { possible: { $multiply: ['$totalItems', learners.length] } } },
+    {
+      $addFields: {
+        percentage: percentageExpr('$completed', '$possible'),
+        inProgressPercentage: percentageExpr('$inProgress', '$possible')
+      }
+    },
+    { $sort: { name: 1 } }
+  ]);
+};
+
+/**
+ * Completion per topic across the cohort
+ * @param {Array} techStackIds - Tech stacks to include
+ * @param {Array} learnerIds - Cohort learners
+ * @param {Object} options
+ * @param {Object} [options.sort] - Sort stage (defaults to stack name, then topic order)
+ * @param {number} [options.limit] - Maximum number of topics
+ * @param {Array<Object>} [options.topicSelections] - The roadmap's topic selections
+ * @returns {Promise<Array<Object>>}
+ */
+export const getTopicCompletion = (techStackIds, learnerIds, { sort, limit, topicSelections } = {}) => {
+  const learners = toObjectIds(learnerIds);
+
+  const pipeline = [
+    { $match: { _id: { $in: toObjectIds(techStackIds) } } },
+    ...selectTopicsStages(topicSelections),
+    { $unwind: { path: '$roadmapItems', includeArrayIndex: 'position' } },
+    progressLookup(learners, true),
+    {
+      $project: {
+        _id: 0,
+        techStack: { _id: '$_id', name: '$name' },
+        itemId: '$roadmapItems._id',
+        topic: '$roadmapItems.topic',
+        position: 1,
+        completed: statusCountExpr('$statusCounts', 'Completed'),
+        inProgress: statusCountExpr('$statusCounts', 'In Progress')
+      }
+    },
+    {
+      $addFields: {
+        notStarted: { $subtract: [learners.length, { $add: ['$completed', '$inProgress'] }] },
+        percentage: percentageExpr('$completed', learners.length)
+      }
+    },
+    { $sort: sort || { 'techStack.name': 1, position: 1 } }
+  ];
+
+  if (limit) pipeline.push({ $limit: limit });
+
+  return TechStack.aggregate(pipeline);
+};
+
+/**
+ * Topics the cohort is moving through most slowly: lowest completion first,
+ * then the fewest learners even started
+ * @param {Array} techStackIds - Tech stacks of the cohort's roadmap
+ * @param {Array} learnerIds - Cohort learners
+ * @param {number} limit - Number of topics to return
+ * @param {Object} options
+ * @param {Array<Object>} [options.topicSelections] - The roadmap's topic selections
+ * @returns {Promise<Array<Object>>}
+ */
+export const getSlowestTopics = (techStackIds, learnerIds, limit = 5, { topicSelections } = {}) =>
+  getTopicCompletion(techStackIds, learnerIds, {
+    sort: { percentage: 1, inProgress: 1, 'techStack.name': 1, position: 1 },
+    limit,
+    topicSelections
+  });
+
+/**
+ * Overall completion of every learner in the cohort, flagging those behind.
+ * A learner is behind when their completion is more than `tolerance` points
+ * below the expected pace (when the cohort has dates) or the cohort average.
+ * @param {Array} techStackIds - Tech stacks of the cohort's roadmap
+ * @param {Array} learnerIds - Cohort learners
+ * @param {Object} options
+ * @param {number|null} options.expectedPercentage - Expected completion today, if known
+ * @param {number} options.tolerance - Allowed gap in percentage points
+ * @param {Array<Object>} [options.topicSelections] - The roadmap's topic selections
+ * @returns {Promise<{average: number, expectedPercentage: number|null, learners: Array<Object>}>}
+ */
+export const getLearnerStandings = async (techStackIds, learnerIds, {
+  expectedPercentage = null,
+  tolerance = 15,
+  topicSelections
+} = {}) => {
+  const stackIds = toObjectIds(techStackIds);
+
+  // Item ids of the roadmap, so progress on since-removed (or unselected) topics doesn't count
+  const [{ itemIds = [] } = {}] = await TechStack.aggregate([
+    { $match: { _id: { $in: stackIds } } },
+    ...selectTopicsStages(topicSelections),
+    { $unwind: '$roadmapItems' },
+    { $group: { _id: null, itemIds: { $push: '$roadmapItems._id' } } }
+  ]);
+
+  const [result] = await Learner.aggregate([
+    { $match: { _id: { $in: toObjectIds(learnerIds) } } },
+    {
+      $lookup: {
+        from: LearnerProgress.collection.name,
+        let: { learnerId: '$_id' },
+        pipeline: [
+          {
+            $match: {
+              $expr: {
+                $and: [
+                  { $eq: ['$learner', '$$learnerId'] },
+                  { $in: ['$techStack', stackIds] },
+                  { $in: ['$roadmapItem', itemIds] }
+                ]
+              }
+            }
+          },
+          { $group: { _id: '$status', count: { $sum: 1 }, lastActivity: { $max: '$updatedAt' } } }
+        ],
+        as: 'statusCounts'
+      }
+    },
+    {
+      $project: {
+        name: 1,
+        email: 1,
+        completed: statusCountExpr('$statusCounts', 'Completed'),
+        inProgress: statusCountExpr('$statusCounts', 'In Progress'),
+        lastActivity: { $max: '$statusCounts.lastActivity' }
+      }
+    },
+    { $addFields: { percentage: percentageExpr('$completed', itemIds.length) } },
+    {
+      $group: {
+        _id: null,
+        average: { $avg: '$percentage' },
+        learners: { $push: '$$ROOT' }
+      }
+    },
+    {
+      $project: {
+        _id: 0,
+        average: { $round: ['$average', 1] },
+        learners: {
+          $map: {
+            input: '$learners',
+            as: 'learner',
+            in: {
+              $mergeObjects: [
+                '$$learner',
+                {
+                  behind: {
+                    $lt: [
+                      '$$learner.percentage',
+                      { $subtract: [expectedPercentage === null ? '$average' : expectedPercentage, tolerance] }
+                    ]
+                  }
+                }
+              ]
+            }
+          }
+        }
+      }
+    }
+  ]);
+
+  const standings = result || { average: 0, learners: [] };
+  standings.learners.sort((a, b) => a.percentage - b.percentage);
+
+  return { ...standings, totalItems: itemIds.length, expectedPercentage };
+};
+
+/**
+ * Share of the cohort's training window that has elapsed, as a percentage
+ * @param {Object} cohort - Cohort with optional startDate/endDate
+ * @returns {number|null} - Expected completion, or null without dates
+ */
+export const getExpectedPercentage = (cohort, now = new Date()) => {
+  if (!cohort.startDate || !cohort.endDate) return null;
+
+  const elapsed = (now - cohort.startDate) / (cohort.endDate - cohort.startDate);
+  return Math.round(Math.min(Math.max(elapsed, 0), 1) * 1000) / 10;
+};
@@ -0,0 +1,164 @@
+// server/utils/diffHelpers.js
+
+/**
+ * Compare two lists of entries by name (or another key)
+ * @param {Array} fromList - Original entries
+ * @param {Array} toList - New entries
+ * @param {string} key - Property identifying an entry
+ * @returns {{added: Array<string>, removed: Array<string>}}
+ */
+const diffNamedList = (fromList = [], toList = [], key = 'name') => {
+  const fromNames = new Set(fromList.map(entry => entry[key]));
+  const toNames = new Set(toList.map(entry => entry[key]));
+
+  return {
+    added: [...toNames].filter(name => !fromNames.has(name)),
+    removed: [...fromNames].filter(name => !toNames.has(name))
+  };
+};
+
+/**
+ * Topics kept in both versions whose order changed. The longest run of
+ * topics still in their original relative order stays put; everything else
+ * counts as moved, so a single move doesn't report its neighbours too.
+ * @param {Array<string>} fromTopics - Original topic order
+ * @param {Array<string>} toTopics - New topic order
+ * @returns {Array<{topic: string, from: number, to: number}>}
+ */
+const findMovedTopics = (fromTopics, toTopics) => {
+  const fromIndex = new Map(fromTopics.map((topic, index) => [topic, index]));
+  const common = toTopics.filter(topic => fromIndex.has(topic));
+
+  // Longest increasing subsequence of original positions (patience sorting)
+  const tails = [];
+  const previous = new Array(common.length);
+  common.forEach((topic, i) => {
+    const value = fromIndex.get(topic);
+    let low = 0;
+    let high = tails.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (fromIndex.get(common[tails[mid]]) < value) low = mid + 1;
+      else high = mid;
+    }
+    previous[i] = low > 0 ? tails[low - 1] : -1;
+    tails[low] = i;
+  });
+
+  const inPlace = new Set();
+  for (let i = tails.length ? tails[tails.length - 1] : -1; i !== -1; i = previous[i]) {
+    inPlace.add(common[i]);
+  }
+
+  return common
+    .filter(topic => !inPlace.has(topic))
+    .map(topic => ({ topic, from: fromIndex.get(topic), to: toTopics.indexOf(topic) }));
+};
+
+/**
+ * Diff two versions of a tech stack's roadmap items topic-by-topic.
+ * Topics are matched by name; subtopics and projects by their names,
+ * resources by URL and prerequisites by the topic they point at.
+ * @param {Array} fromItems - Original roadmap items
+ * @param {Array} toItems - New roadmap items
+ * @returns {{added: Array<string>, removed: Array<string>, changed: Array<Object>, moved: Array<Object>, unchanged: number}}
+ */
+export const diffRoadmapItems = (fromItems = [], toItems = []) => {
+  const fromByTopic = new Map(fromItems.map(item => [item.topic, item]));
+  const toByTopic = new Map(toItems.map(item => [item.topic, item]));
+
+  const added = toItems
+    .filter(item => !fromByTopic.has(item.topic))
+    .map(item => item.topic);
+  const removed = fromItems
+    .filter(item => !toByTopic.has(item.topic))
+    .map(item => item.topic);
+
+  const changed = [];
+  let unchanged = 0;
+
+  // Prerequisites are item ids; compare them by topic
+  const topicsOf = (items) => new Map(items.map(item => [item._id?.toString(), item.topic]));
+  const fromTopicsById = topicsOf(fromItems);
+  const toTopicsById = topicsOf(toItems);
+  const prerequisiteTopics = (item, topicsById) => (item.prerequisites || [])
+    .map(id => ({ name: topicsById.get(id.toString()) }))
+    .filter(entry => entry.name);
+
+  for (const toItem of toItems) {
+    const fromItem = fromByTopic.get(toItem.topic);
+    if (!fromItem) continue;
+
+    const subTopics = diffNamedList(fromItem.subTopics, toItem.subTopics);
+    const projects = diffNamedList(fromItem.projects, toItem.projects);
+    const resources = diffNamedList(fromItem.resources, toItem.resources, 'url');
+    const prerequisites = diffNamedList(
+      prerequisiteTopics(fromItem, fromTopicsById),
+      prerequisiteTopics(toItem, toTopicsById)
+    );
+    const statusChanged = fromItem.completionStatus !== toItem.completionStatus;
+
+    // Hours and difficulty are optional; treat missing and null alike
+    const fieldChanges = {};
+    for (const field of ['estimatedHours', 'difficulty']) {
+      if ((fromItem[field] ?? null) !== (toItem[field] ?? null)) {
+        fieldChanges[field] = { from: fromItem[field] ?? null, to: toItem[field] ?? null };
+      }
+    }
+
+    const listChanged = list => list.added.length > 0 || list.removed.length > 0;
+    const hasChanges = listChanged(subTopics) || listChanged(projects) || statusChanged ||
+      listChanged(resources) || listChanged(prerequisites) || Object.keys(fieldChanges).length > 0;
+
+    if (!hasChanges) {
+      unchanged++;
+      continue;
+    }
+
+    changed.push({
+      topic: toItem.topic,
+      subTopics,
+      projects,
+      ...(statusChanged && {
+        completionStatus: { from: fromItem.completionStatus, to: toItem.completionStatus }
+      }),
+      ...fieldChanges,
+      ...(listChanged(resources) && { resources }),
+      ...(listChanged(prerequisites) && { prerequisites })
+    });
+  }
+
+  const moved = findMovedTopics(fromItems.map(item => item.topic), toItems.map(item => item.topic));
+
+  return { added, removed, changed, moved, unchanged };
+};
+
+/**
+ * Diff two tech stack snapshots (name, description, headers and roadmap items)
+ * @param {Object} from - Original snapshot
+ * @param {Object} to - New snapshot
+ * @returns {Object} - Field changes and the topic-by-topic roadmap item diff
+ */
+export const diffTechStacks = (from = {}, to = {}) => {
+  const fields = {};
+
+  for (const field of ['name', 'description']) {
+    if ((from[field] || '') !== (to[field] || '')) {
+      fields[field] = { from: from[field], to: to[field] };
+    }
+  }
+
+  const headers = {};
+  const headerKeys = new Set([...Object.keys(from.headers || {}), ...Object.keys(to.headers || {})]);
+  for (const key of headerKeys) {
+    if (from.headers?.[key] !== to.headers?.[key]) {
+      headers[key] = { from: from.headers?.[key], to: to.headers?.[key] };
+    }
+  }
+
+  return {
+    fields,
+    headers,
+    roadmapItems: diffRoadmapItems(from.roadmapItems, to.roadmapItems)
+  };
+};
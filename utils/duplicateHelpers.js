@@ -0,0 +1,93 @@
+// server/utils/duplicateHelpers.js
+import { normalizeStackName } from './stackNameHelpers.js';
+
+// Topic overlap (Jaccard index) from which two stacks count as likely duplicates
+export const DEFAULT_TOPIC_OVERLAP = 0.6;
+
+// Lowercase topic without punctuation, so "React Hooks" and "react-hooks" match
+const normalizeTopic = (topic) => (topic || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+/**
+ * Share of topics two stacks have in common (Jaccard index)
+ * @param {Array<Object>} fromItems - Roadmap items of one stack
+ * @param {Array<Object>} toItems - Roadmap items of the other stack
+ * @returns {{overlap: number, sharedTopics: number}}
+ */
+export const topicOverlap = (fromItems = [], toItems = []) => {
+  const fromTopics = new Set(fromItems.map(item => normalizeTopic(item.topic)));
+  const toTopics = new Set(toItems.map(item => normalizeTopic(item.topic)));
+  const sharedTopics = [...fromTopics].filter(topic => toTopics.has(topic)).length;
+  const union = new Set([...fromTopics, ...toTopics]).size;
+
+  return {
+    overlap: union === 0 ? 0 : Math.round((sharedTopics / union) * 100) / 100,
+    sharedTopics
+  };
+};
+
+// Order of the confidence levels, most likely duplicates first
+const CONFIDENCE_ORDER = ['high', 'medium', 'low'];
+
+/**
+ * How likely a pair is the same stack: "high" when both the name and the
+ * topics match, "low" for equal names with no topic in common (e.g.
+ * "Kubernetes" and "Kubernetes " written by different teams), "medium" otherwise
+ * @param {Object} match
+ * @param {boolean} match.sameName - Normalized names are equal
+ * @param {boolean} match.sameTopics - Topic overlap reached the threshold
+ * @param {boolean} match.sharesTopics - At least one topic in common, or a stack without topics
+ * @returns {string}
+ */
+const pairConfidence = ({ sameName, sameTopics, sharesTopics }) => {
+  if (sameName && sameTopics) return 'high';
+  if (sameName && !sharesTopics) return 'low';
+  return 'medium';
+};
+
+/**
+ * Find pairs of tech stacks that are probably the same stack: equal
+ * normalized names, or topic overlap at or above the threshold. Every name
+ * match is reported; the ones without a topic in common get low confidence
+ * so they can be reviewed before merging.
+ * @param {Array<Object>} techStacks - Stacks with name and roadmapItems
+ * @param {Object} options
+ * @param {number} options.minTopicOverlap - Overlap threshold (0 to 1)
+ * @returns {Array<Object>} - Pairs with reasons and confidence, most likely duplicates first
+ */
+export const findDuplicateCandidates = (techStacks, { minTopicOverlap = DEFAULT_TOPIC_OVERLAP } = {}) => {
+  const normalizedNames = techStacks.map(techStack => normalizeStackName(techStack.name));
+  const candidates = [];
+
+  for (let i = 0; i < techStacks.length; i++) {
+    for (let j = i + 1; j < techStacks.length; j++) {
+      const { overlap, sharedTopics } = topicOverlap(techStacks[i].roadmapItems, techStacks[j].roadmapItems);
+      const hasTopics = [techStacks[i], techStacks[j]].every(techStack => (techStack.roadmapItems || []).length > 0);
+      const sameName = normalizedNames[i] !== '' && normalizedNames[i] === normalizedNames[j];
+      const sameTopics = overlap >= minTopicOverlap;
+
+      if (!sameName && !sameTopics) continue;
+
+      candidates.push({
+        techStacks: [techStacks[i], techStacks[j]].map(techStack => ({
+          _id: techStack._id,
+          name: techStack.name,
+          topicCount: (techStack.roadmapItems || []).length
+        })),
+        reasons: [
+          ...(sameName ? ['name'] : []),
+          ...(sameTopics ? ['topics'] : [])
+        ],
+        confidence: pairConfidence({ sameName, sameTopics, sharesTopics: sharedTopics > 0 || !hasTopics }),
+        normalizedName: sameName ? normalizedNames[i] : undefined,
+        topicOverlap: overlap,
+        sharedTopics
+      });
+    }
+  }
+
+  // Most confident first, then by overlap
+  return candidates.sort((a, b) =>
+    CONFIDENCE_ORDER.indexOf(a.confidence) - CONFIDENCE_ORDER.indexOf(b.confidence) ||
+    b.topicOverlap - a.topicOverlap
+  );
+};
@@ -0,0 +1,318 @@
+// server/utils/githubClient.js
+import fetch from 'node-fetch';
+import dotenv from 'dotenv';
+import { ApiError } from './helpers.js';
+
+dotenv.config();
+
+// GitHub API configuration
+export const GITHUB_API_URL = 'https://api.github.com';
+export const GITHUB_TOKEN = process.env.GITHUB_TOKEN; // Get from environment variables
+export const GITHUB_USERNAME = process.env.GITHUB_USERNAME || 'niat-web';
+export const GITHUB_REPO = process.env.GITHUB_REPO || 'Roadmaps';
+export const GITHUB_BRANCH = process.env.GITHUB_BRANCH || 'main';
+
+/**
+ * Headers for GitHub API requests, failing early when no token is configured
+ * @returns {Object} - Request headers
+ */
+export const getGitHubHeaders = () => {
+  if (!GITHUB_TOKEN) {
+    console.error('GitHub token is missing');
+    throw new ApiError('GitHub authentication token is missing. Please check your environment variables.', 500);
+  }
+
+  return {
+    'Authorization': `token ${GITHUB_TOKEN}`,
+    'Accept': 'application/vnd.github.v3+json',
+    'Content-Type': 'application/json'
+  };
+};
+
+/**
+ * GitHub Pages URL for a file in the roadmaps repository
+ * @param {string} filename - File path inside the repository
+ * @returns {string} - Public URL
+ */
+export const getPagesUrl = (filename) => `https://${GITHUB_USERNAME}.github.io/${GITHUB_REPO}/${filename}`;
+
+/**
+ * Create or update a single file through the Contents API
+ * @param {Object} options
+ * @param {string} options.filename - File path inside the repository
+ * @param {string} options.content - File content
+ * @param {string} [options.message] - Commit message
+ * @returns {Promise<{data: Object, publishedUrl: string}>} - GitHub response and Pages URL
+ */
+export const uploadFile = async ({ filename, content, message }) => {
+  const headers = getGitHubHeaders();
+  const fileUrl = `${GITHUB_API_URL}/repos/${GITHUB_USERNAME}/${GITHUB_REPO}/contents/${filename}`;
+
+  // Check if file already exists
+  let sha;
+  try {
+    console.log(`Checking if file exists at: ${fileUrl}`);
+
+    const response = await fetch(fileUrl, {
+      method: 'GET',
+      headers
+    });
+
+    if (response.status === 200) {
+      const data = await response.json();
+      sha = data.sha;
+      console.log(`File exists, got SHA: ${sha}`);
+    }
+  } catch (error) {
+    console.log('File does not exist yet, creating new file');
+  }
+
+  // Create the request body with base64 encoded content
+  const requestBody = {
+    message: message || `Upload roadmap: ${filename}`,
+    content: Buffer.from(content).toString('base64'),
+    branch: GITHUB_BRANCH
+  };
+
+  // If the file exists, include its SHA to update it
+  if (sha) {
+    requestBody.sha = sha;
+  }
+
+  console.log(`Uploading to: ${fileUrl}`);
+
+  // Upload or update the file
+  const uploadResponse = await fetch(fileUrl, {
+    method: 'PUT',
+    headers,
+    body: JSON.stringify(requestBody)
+  });
+
+  if (uploadResponse.status !== 201 && uploadResponse.status !== 200) {
+    const errorData = await uploadResponse.json();
+    console.error('GitHub API error details:', errorData);
+    throw new Error(`Failed to upload file: ${errorData.message}`);
+  }
+
+  const data = await uploadResponse.json();
+  console.log('Upload successful, got response:', data.content?.html_url);
+
+  return {
+    data,
+    publishedUrl: getPagesUrl(filename)
+  };
+};
+
+/**
+ * Delete a single file through the Contents API
+ * @param {Object} options
+ * @param {string} options.filename - File path inside the repository
+ * @param {string} [options.message] - Commit message
+ * @returns {Promise<{removed: boolean, data: Object|null}>} - removed is false
+ *   when the file did not exist
+ */
+export const deleteFile = async ({ filename, message }) => {
+  const headers = getGitHubHeaders();
+  const fileUrl = `${GITHUB_API_URL}/repos/${GITHUB_USERNAME}/${GITHUB_REPO}/contents/${filename}`;
+
+  // Deleting needs the SHA of the current file
+  const response = await fetch(`${fileUrl}?ref=${encodeURIComponent(GITHUB_BRANCH)}`, {
+    method: 'GET',
+    headers
+  });
+
+  if (response.status === 404) {
+    console.log(`File ${filename} is not published, nothing to delete`);
+    return { removed: false, data: null };
+  }
+  if (response.status !== 200) {
+    const errorData = await response.json();
+    console.error('GitHub API error details:', errorData);
+    throw new Error(`Failed to read file: ${errorData.message}`);
+  }
+  const { sha } = await response.json();
+
+  console.log(`Deleting: ${fileUrl}`);
+  const deleteResponse = await fetch(fileUrl, {
+    method: 'DELETE',
+    headers,
+    body: JSON.stringify({
+      message: message || `Unpublish roadmap: ${filename}`,
+      sha,
+      branch: GITHUB_BRANCH
+    })
+  });
+
+  if (deleteResponse.status === 409) {
+    throw new ApiError(`${filename} was changed by someone else. Try again.`, 409);
+  }
+  if (deleteResponse.status !== 200) {
+    const errorData = await deleteResponse.json();
+    console.error('GitHub API error details:', errorData);
+    throw new Error(`Failed to delete file: ${errorData.message}`);
+  }
+
+  return { removed: true, data: await deleteResponse.json() };
+};
+
+/**
+ * Date of the commit that first added a file to the publishing branch
+ * @param {string} filename - File path inside the repository
+ * @returns {Promise<Date|null>} - null when the file has no history
+ */
+export const getFileCreatedDate = async (filename) => {
+  const headers = getGitHubHeaders();
+  const query = `sha=${encodeURIComponent(GITHUB_BRANCH)}&path=${encodeURIComponent(filename)}&per_page=1`;
+  let response = await fetch(`${GITHUB_API_URL}/repos/${GITHUB_USERNAME}/${GITHUB_REPO}/commits?${query}`, {
+    method: 'GET',
+    headers
+  });
+
+  // Commits come newest first; with one per page the last page holds the oldest
+  const lastPage = /<([^>]+)>;\s*rel="last"/.exec(response.headers.get('link') || '');
+  if (response.status === 200 && lastPage) {
+    response = await fetch(lastPage[1], { method: 'GET', headers });
+  }
+
+  if (response.status !== 200) {
+    const errorData = await response.json();
+    console.error('GitHub API error details:', errorData);
+    throw new Error(`Failed to get the history of ${filename}: ${errorData.message}`);
+  }
+
+  const [commit] = await response.json();
+  return commit ? new Date(commit.commit.committer.date) : null;
+};
+
+/**
+ * List the files at the root of the roadmaps repository
+ * @returns {Promise<Array<Object>>} - Contents API entries
+ */
+export const listFiles = async () => {
+  const headers = getGitHubHeaders();
+  const repoUrl = `${GITHUB_API_URL}/repos/${GITHUB_USERNAME}/${GITHUB_REPO}/contents/`;
+  console.log(`Fetching repository contents from: ${repoUrl}`);
+
+  const response = await fetch(repoUrl, {
+    method: 'GET',
+    headers
+  });
+
+  if (response.status !== 200) {
+    const errorData = await response.json();
+    console.error('GitHub API error details:', errorData);
+    throw new Error(`Failed to get repository contents: ${errorData.message}`);
+  }
+
+  return response.json();
+};
+
+/**
+ * Call a Git Data API endpoint of the roadmaps repository
+ * @param {string} path - Path below /repos/:owner/:repo/git/
+ * @param {Object} [options]
+ * @param {string} [options.method] - HTTP method
+ * @param {Object} [options.body] - JSON body
+ * @returns {Promise<{status: number, data: Object}>}
+ */
+const gitDataRequest = async (path, { method = 'GET', body } = {}) => {
+  const response = await fetch(`${GITHUB_API_URL}/repos/${GITHUB_USERNAME}/${GITHUB_REPO}/git/${path}`, {
+    method,
+    headers: getGitHubHeaders(),
+    ...(body && { body: JSON.stringify(body) })
+  });
+
+  return { status: response.status, data: await response.json() };
+};
+
+// Throw for a failed Git Data API call
+const assertGitDataOk = ({ status, data }, action) => {
+  if (status < 200 || status >= 300) {
+    console.error('GitHub API error details:', data);
+    throw new ApiError(`Failed to ${action}: ${data.message}`, status === 404 ? 404 : 502);
+  }
+};
+
+/**
+ * Current commit SHA at the head of the publishing branch
+ * @returns {Promise<string>}
+ */
+export const getBranchHead = async () => {
+  const response = await gitDataRequest(`ref/heads/${GITHUB_BRANCH}`);
+  assertGitDataOk(response, `read branch ${GITHUB_BRANCH}`);
+  return response.data.object.sha;
+};
+
+/**
+ * Create or update several files in a single commit through the Git Data API
+ * (blobs, a tree on top of the branch head, a commit, then a fast-forward of
+ * the branch). Either every file is published or none is.
+ * @param {Object} options
+ * @param {Array<{filename: string, content: string}>} options.files - Files to write
+ * @param {string} [options.message] - Commit message
+ * @param {string} [options.expectedHeadSha] - Branch head the caller based the
+ *   batch on; publishing fails with 409 when the branch has moved since
+ * @returns {Promise<{commitSha: string, parentSha: string, files: Array<{filename: string, publishedUrl: string}>}>}
+ * @throws {ApiError} - 409 when the branch head is not the expected one or
+ *   someone else pushed while the commit was being built
+ */
+export const uploadFiles = async ({ files, message, expectedHeadSha }) => {
+  const parentSha = await getBranchHead();
+  const conflict = (headSha) => new ApiError(
+    `Branch ${GITHUB_BRANCH} was updated by someone else. Reload it and publish again.`,
+    409,
+    { branch: GITHUB_BRANCH, expectedHeadSha: expectedHeadSha || parentSha, headSha }
+  );
+
+  if (expectedHeadSha && expectedHeadSha !== parentSha) {
+    throw conflict(parentSha);
+  }
+
+  const parent = await gitDataRequest(`commits/${parentSha}`);
+  assertGitDataOk(parent, 'read the branch head commit');
+
+  // One blob per file, sent one at a time to stay clear of secondary rate limits
+  const tree = [];
+  for (const file of files) {
+    const blob = await gitDataRequest('blobs', {
+      method: 'POST',
+      body: { content: Buffer.from(file.content).toString('base64'), encoding: 'base64' }
+    });
+    assertGitDataOk(blob, `upload ${file.filename}`);
+    tree.push({ path: file.filename, mode: '100644', type: 'blob', sha: blob.data.sha });
+  }
+
+  const newTree = await gitDataRequest('trees', {
+    method: 'POST',
+    body: { base_tree: parent.data.tree.sha, tree }
+  });
+  assertGitDataOk(newTree, 'create the tree');
+
+  const commit = await gitDataRequest('commits', {
+    method: 'POST',
+    body: {
+      message: message || `Publish ${files.length} file(s)`,
+      tree: newTree.data.sha,
+      parents: [parentSha]
+    }
+  });
+  assertGitDataOk(commit, 'create the commit');
+
+  // Without force GitHub refuses (422) to move the branch unless this is a
+  // fast-forward, i.e. nobody pushed since parentSha was read
+  const update = await gitDataRequest(`refs/heads/${GITHUB_BRANCH}`, {
+    method: 'PATCH',
+    body: { sha: commit.data.sha, force: false }
+  });
+  if (update.status === 422) {
+    throw conflict(await getBranchHead().catch(() => undefined));
+  }
+  assertGitDataOk(update, `update branch ${GITHUB_BRANCH}`);
+  console.log(`Published ${files.length} file(s) in commit ${commit.data.sha}`);
+
+  return {
+    commitSha: commit.data.sha,
+    parentSha,
+    files: files.map(file => ({ filename: file.filename, publishedUrl: getPagesUrl(file.filename) }))
+  };
+};
@@ -0,0 +1,95 @@
+// server/utils/graphHelpers.js
+
+/**
+ * Find a dependency cycle in a directed graph
+ * @param {Array<string>} nodes - Node ids
+ * @param {Function} getDependencies - Returns the ids a node depends on
+ * @returns {Array<string>|null} - Ids forming the cycle (first id repeated at
+ *   the end), or null when the graph is acyclic
+ */
+export const findCycle = (nodes, getDependencies) => {
+  const VISITING = 1;
+  const DONE = 2;
+  const state = new Map();
+  const path = [];
+
+  const visit = (node) => {
+    state.set(node, VISITING);
+    path.push(node);
+
+    for (const dependency of getDependencies(node) || []) {
+      if (state.get(dependency) === VISITING) {
+        return [...path.slice(path.indexOf(dependency)), dependency];
+      }
+      if (!state.has(dependency)) {
+        const cycle = visit(dependency);
+        if (cycle) return cycle;
+      }
+    }
+
+    path.pop();
+    state.set(node, DONE);
+    return null;
+  };
+
+  for (const node of nodes) {
+    if (!state.has(node)) {
+      const cycle = visit(node);
+      if (cycle) return cycle;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Order nodes so every node comes after its dependencies, keeping the given
+ * order wherever the dependencies allow it
+ * @param {Array<string>} nodes - Node ids in their preferred order
+ * @param {Function} getDependencies - Returns the ids a node depends on
+ *   (ids outside `nodes` are ignored)
+ * @returns {Array<string>} - Sorted ids
+ * @throws {Error} - When the dependencies form a cycle (error.cycle lists it)
+ */
+export const topologicalSort = (nodes, getDependencies) => {
+  const cycle = findCycle(nodes, node => (getDependencies(node) || []).filter(dep => nodes.includes(dep)));
+  if (cycle) {
+    const error = new Error(`Dependency cycle: ${cycle.join(' -> ')}`);
+    error.cycle = cycle;
+    throw error;
+  }
+
+  const placed = new Set();
+  const remaining = [...nodes];
+  const sorted = [];
+
+  while (remaining.length > 0) {
+    const index = remaining.findIndex(node => (getDependencies(node) || [])
+      .every(dep => placed.has(dep) || !nodes.includes(dep)));
+    const [node] = remaining.splice(index, 1);
+    placed.add(node);
+    sorted.push(node);
+  }
+
+  return sorted;
+};
+
+/**
+ * Every node reachable from a node through its dependencies
+ * @param {string} node - Start node
+ * @param {Function} getDependencies - Returns the ids a node depends on
+ * @returns {Set<string>} - Transitive dependencies (without the node itself)
+ */
+export const collectDependencies = (node, getDependencies) => {
+  const seen = new Set();
+  const stack = [...(getDependencies(node) || [])];
+
+  while (stack.length > 0) {
+    const current = stack.pop();
+    if (seen.has(current) || current === node) continue;
+    seen.add(current);
+    stack.push(...(getDependencies(current) || []));
+  }
+
+  return seen;
+};
@@ -0,0 +1,108 @@
+// server/utils/helpers.js
+
+/**
+ * Error carrying an HTTP status code so controllers (and the error handler
+ * middleware) can turn it into the right response
+ */
+export class ApiError extends Error {
+  constructor(message, statusCode = 500, details) {
+    super(message);
+    this.name = 'ApiError';
+    this.statusCode = statusCode;
+    if (details !== undefined) {
+      this.details = details;
+    }
+  }
+}
+
+/**
+ * Send the standard error response for an error caught in a controller.
+ * ApiErrors keep their status and message, Mongoose validation errors become
+ * a 400 listing each message, anything else becomes a 500.
+ * @param {Object} res - Express response
+ * @param {Error} error - Caught error
+ * @param {string} fallbackMessage - Message used for unexpected errors
+ */
+export const sendError = (res, error, fallbackMessage = 'Server Error') => {
+  if (error instanceof ApiError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.message,
+      ...(error.details !== undefined && { details: error.details })
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      error: Object.values(error.errors).map(val => val.message)
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    error: fallbackMessage
+  });
+};
+
+/**
+ * Copy the given fields of a request body, leaving out the rest (such as
+ * trash, publish or slug fields that have endpoints or hooks of their own)
+ * @param {Object} body - Request body
+ * @param {Array<string>} fields - Fields that may be set
+ * @returns {Object} - Only the listed fields that are present
+ */
+export const pickFields = (body = {}, fields) => Object.fromEntries(
+  fields.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+/**
+ * Escape a value for safe inclusion in HTML text or attributes
+ * @param {*} value - Value to escape
+ * @returns {string} - Escaped string
+ */
+export const escapeHtml = (value) => {
+  if (value === null || value === undefined) return '';
+
+  return value
+    .toString()
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+/**
+ * Turn a name into a lowercase, dash separated slug
+ * @param {string} value - Input string
+ * @returns {string} - Slug
+ */
+export const slugify = (value) => {
+  if (!value) return '';
+
+  return value
+    .toString()
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+};
+
+/**
+ * Check that a published page name stays inside the publishing target: no
+ * absolute paths, no ".." segments and no backslashes
+ * @param {string} filename - Page file name, optionally with "/" separated folders
+ * @returns {string} - The file name
+ * @throws {ApiError} - 400 for names that are empty or escape the target
+ */
+export const assertSafeFilename = (filename) => {
+  const segments = String(filename || '').split('/');
+
+  if (!filename || filename.startsWith('/') || filename.includes('\\') ||
+      segments.some(segment => segment === '' || segment === '.' || segment === '..')) {
+    throw new ApiError(`Invalid file name "${filename}"`, 400);
+  }
+
+  return filename;
+};
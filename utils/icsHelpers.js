@@ -0,0 +1,78 @@
+// server/utils/icsHelpers.js
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Escape text for an iCalendar property value
+ * @param {*} value - Text
+ * @returns {string}
+ */
+const escapeText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Fold a content line to 75 octets as RFC 5545 requires
+ * @param {string} line - Unfolded line
+ * @returns {string} - Folded line (CRLF + space between parts)
+ */
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+// YYYYMMDD date value
+const toDateValue = (day) => day.replace(/-/g, '');
+
+// Day after a YYYY-MM-DD day, as a date value (DTEND of all-day events is exclusive)
+const nextDateValue = (day) => toDateValue(new Date(new Date(`${day}T00:00:00Z`).getTime() + DAY_MS).toISOString().slice(0, 10));
+
+/**
+ * Build an iCalendar file with one all-day event per scheduled item
+ * @param {Object} schedule - Result of buildSchedule
+ * @param {Object} options
+ * @param {string} options.name - Calendar name
+ * @param {string} options.uidPrefix - Prefix making event UIDs unique per roadmap
+ * @param {Date} [options.now] - Timestamp for DTSTAMP
+ * @returns {string} - .ics contents
+ */
+export const toICS = (schedule, { name, uidPrefix, now = new Date() }) => {
+  const stamp = now.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+  const events = schedule.items.map(item => [
+    'BEGIN:VEVENT',
+    `UID:${uidPrefix}-${item.itemId}@tech-stack-roadmaps`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART;VALUE=DATE:${toDateValue(item.start)}`,
+    `DTEND;VALUE=DATE:${nextDateValue(item.end)}`,
+    `SUMMARY:${escapeText(`${item.techStack.name}: ${item.topic}`)}`,
+    `DESCRIPTION:${escapeText(`${item.hours} hour${item.hours === 1 ? '' : 's'}${item.estimated ? '' : ' (default estimate)'}`)}`,
+    'END:VEVENT'
+  ]);
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Tech Stack Roadmaps//Schedule//EN',
+    'CALSCALE:GREGORIAN',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...events.flat(),
+    'END:VCALENDAR'
+  ];
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
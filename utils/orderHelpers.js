@@ -0,0 +1,119 @@
+// server/utils/orderHelpers.js
+import { ApiError } from './helpers.js';
+
+// Plain copy of a subdocument so it can be reassigned without losing its _id
+const toPlain = (entry) => (entry && entry.toObject ? entry.toObject() : entry);
+
+/**
+ * Validate a position for a list
+ * @param {*} position - Requested index
+ * @param {number} max - Highest allowed index
+ * @returns {number} - Position as an integer
+ */
+export const parsePosition = (position, max) => {
+  const index = Number(position);
+
+  if (!Number.isInteger(index) || index < 0 || index > max) {
+    throw new ApiError(`Position must be an integer between 0 and ${max}`, 400);
+  }
+
+  return index;
+};
+
+/**
+ * Index of an entry in a list by _id
+ * @param {Array} list - Entries with _id
+ * @param {string} id - Entry id
+ * @param {string} label - Name used in the 404 message
+ * @returns {number}
+ */
+export const findIndexById = (list, id, label = 'Item') => {
+  const index = list.findIndex(entry => entry._id.toString() === id.toString());
+
+  if (index === -1) {
+    throw new ApiError(`${label} not found`, 404);
+  }
+
+  return index;
+};
+
+/**
+ * Copy of a list with an entry inserted at a position (appended when the
+ * position is undefined)
+ * @param {Array} list - Current entries
+ * @param {Object} entry - Entry to insert
+ * @param {*} position - Index to insert at
+ * @returns {Array} - New list
+ */
+export const insertAt = (list, entry, position) => {
+  const entries = list.map(toPlain);
+  const index = position === undefined || position === null
+    ? entries.length
+    : parsePosition(position, entries.length);
+
+  entries.splice(index, 0, entry);
+  return entries;
+};
+
+/**
+ * Copy of a list with one entry moved. Give either a target `position` or
+ * a `direction` of "up"/"down" (moving past either end is a no-op).
+ * @param {Array} list - Current entries
+ * @param {string} id - Id of the entry to move
+ * @param {{position?: number, direction?: string}} target - Where to move it
+ * @param {string} label - Name used in error messages
+ * @returns {Array} - New list
+ */
+export const moveEntry = (list, id, { position, direction } = {}, label = 'Item') => {
+  const from = findIndexById(list, id, label);
+  let to;
+
+  if (position !== undefined && position !== null) {
+    to = parsePosition(position, list.length - 1);
+  } else if (direction === 'up' || direction === 'down') {
+    to = Math.min(Math.max(from + (direction === 'up' ? -1 : 1), 0), list.length - 1);
+  } else {
+    throw new ApiError('Provide a position or a direction of "up" or "down"', 400);
+  }
+
+  const entries = list.map(toPlain);
+  const [entry] = entries.splice(from, 1);
+  entries.splice(to, 0, entry);
+  return entries;
+};
+
+/**
+ * Copy of a list in the order of the given ids. The ids must list every
+ * entry exactly once.
+ * @param {Array} list - Current entries
+ * @param {Array<string>} ids - Entry ids in their new order
+ * @param {string} label - Name used in error messages
+ * @returns {Array} - New list
+ */
+export const reorderByIds = (list, ids, label = 'Item') => {
+  if (!Array.isArray(ids)) {
+    throw new ApiError('Order must be an array of ids', 400);
+  }
+
+  const byId = new Map(list.map(entry => [entry._id.toString(), entry]));
+  const seen = new Set();
+  const unknown = [];
+  const duplicates = [];
+
+  ids.map(String).forEach(id => {
+    if (!byId.has(id)) unknown.push(id);
+    else if (seen.has(id)) duplicates.push(id);
+    seen.add(id);
+  });
+  const missing = [...byId.keys()].filter(id => !seen.has(id));
+
+  if (unknown.length > 0 || duplicates.length > 0 || missing.length > 0) {
+    throw new ApiError(`Order must list every ${label.toLowerCase()} id exactly once`, 400, {
+      unknown,
+      duplicates,
+      missing
+    });
+  }
+
+  return ids.map(id => toPlain(byId.get(id.toString())));
+};
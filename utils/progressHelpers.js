@@ -0,0 +1,109 @@
+// server/utils/progressHelpers.js
+
+/**
+ * Percentage rounded to one decimal (0 when there is nothing to complete)
+ * @param {number} done - Completed count
+ * @param {number} total - Total count
+ * @returns {number}
+ */
+export const toPercentage = (done, total) => (total === 0 ? 0 : Math.round((done / total) * 1000) / 10);
+
+/**
+ * How many different ids of a list are among the given ids. Completions of
+ * subtopics/projects since removed from the item, and repeats, don't count.
+ * @param {Array<ObjectId|string>} completedIds - Ids marked as done
+ * @param {Set<string>} itemIds - Ids of the item's subtopics or projects
+ * @returns {number}
+ */
+const countCompleted = (completedIds = [], itemIds) =>
+  new Set(completedIds.map(String).filter(id => itemIds.has(id))).size;
+
+/**
+ * Work out a learner's progress on one tech stack
+ * @param {Object} techStack - Tech stack with roadmapItems
+ * @param {Array<Object>} progressEntries - The learner's LearnerProgress entries for this stack
+ * @returns {Object} - Item, subtopic and project completion for the stack
+ */
+export const computeStackProgress = (techStack, progressEntries = []) => {
+  const byItem = new Map(progressEntries.map(entry => [entry.roadmapItem.toString(), entry]));
+  const counts = {
+    'Completed': 0,
+    'In Progress': 0,
+    'Yet to Start': 0
+  };
+  const subTopics = { total: 0, completed: 0 };
+  const projects = { total: 0, completed: 0 };
+
+  const items = (techStack.roadmapItems || []).map(item => {
+    const entry = byItem.get(item._id.toString());
+    const status = entry ? entry.status : 'Yet to Start';
+    const itemSubTopicIds = new Set((item.subTopics || []).map(s => s._id.toString()));
+    const itemProjectIds = new Set((item.projects || []).map(p => p._id.toString()));
+
+    const completedSubTopics = entry ? countCompleted(entry.completedSubTopics, itemSubTopicIds) : 0;
+    const completedProjects = entry ? countCompleted(entry.completedProjects, itemProjectIds) : 0;
+
+    counts[status]++;
+    subTopics.total += itemSubTopicIds.size;
+    subTopics.completed += completedSubTopics;
+    projects.total += itemProjectIds.size;
+    projects.completed += completedProjects;
+
+    return {
+      itemId: item._id,
+      topic: item.topic,
+      status,
+      subTopics: { total: itemSubTopicIds.size, completed: completedSubTopics },
+      projects: { total: itemProjectIds.size, completed: completedProjects },
+      updatedAt: entry ? entry.updatedAt : null
+    };
+  });
+
+  return {
+    techStack: { _id: techStack._id, name: techStack.name },
+    totalItems: items.length,
+    completed: counts['Completed'],
+    inProgress: counts['In Progress'],
+    notStarted: counts['Yet to Start'],
+    percentage: toPercentage(counts['Completed'], items.length),
+    subTopics: { ...subTopics, percentage: toPercentage(subTopics.completed, subTopics.total) },
+    projects: { ...projects, percentage: toPercentage(projects.completed, projects.total) },
+    items
+  };
+};
+
+/**
+ * Combine per-stack progress into an overall figure
+ * @param {Array<Object>} stackProgress - Results of computeStackProgress
+ * @returns {Object} - Totals across all stacks
+ */
+export const summarizeProgress = (stackProgress) => {
+  const totalItems = stackProgress.reduce((sum, stack) => sum + stack.totalItems, 0);
+  const completed = stackProgress.reduce((sum, stack) => sum + stack.completed, 0);
+  const inProgress = stackProgress.reduce((sum, stack) => sum + stack.inProgress, 0);
+
+  return {
+    totalItems,
+    completed,
+    inProgress,
+    notStarted: totalItems - completed - inProgress,
+    percentage: toPercentage(completed, totalItems)
+  };
+};
+
+/**
+ * Status implied by which subtopics and projects of an item are done
+ * @param {Object} item - Roadmap item
+ * @param {Array<ObjectId|string>} completedSubTopics - Ids of completed subtopics
+ * @param {Array<ObjectId|string>} completedProjects - Ids of completed projects
+ * @returns {string} - Completion status
+ */
+export const deriveStatus = (item, completedSubTopics = [], completedProjects = []) => {
+  const subTopicIds = new Set((item.subTopics || []).map(s => s._id.toString()));
+  const projectIds = new Set((item.projects || []).map(p => p._id.toString()));
+  const total = subTopicIds.size + projectIds.size;
+  const done = countCompleted(completedSubTopics, subTopicIds) + countCompleted(completedProjects, projectIds);
+
+  if (done === 0) return 'Yet to Start';
+  return done >= total ? 'Completed' : 'In Progress';
+};
@@ -0,0 +1,189 @@
+// server/utils/publishedRoadmapsCache.js
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import config from '../config/config.js';
+import { listFiles, getFileCreatedDate, getPagesUrl } from './githubClient.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// { timestamp, data } as last fetched from GitHub
+const CACHE_FILE = path.resolve(__dirname, '..', 'cache', 'roadmaps-cache.json');
+
+// Wait after a failed refresh before trying GitHub again, doubling with
+// each failure in a row up to the maximum
+const RETRY_DELAY_MS = 30 * 1000;
+const MAX_RETRY_DELAY_MS = 15 * 60 * 1000;
+
+// Cache contents (loaded from CACHE_FILE on first use), whether pages were
+// published or removed since, and the refresh in progress
+let cache;
+let outdated = false;
+let refreshing = null;
+
+// Failed refreshes in a row, the error of the last one and when to retry
+let failures = 0;
+let lastError;
+let retryAt = 0;
+
+/**
+ * Format a date the way the cache stores it ("Apr 30, 2025")
+ * @param {Date} date
+ * @returns {string}
+ */
+const formatCreatedDate = (date) => date.toLocaleDateString('en-US', {
+  month: 'short',
+  day: 'numeric',
+  year: 'numeric',
+  timeZone: 'UTC'
+});
+
+// Read the cache file, or null when it is missing or unreadable
+const readCacheFile = async () => {
+  try {
+    const parsed = JSON.parse(await fs.readFile(CACHE_FILE, 'utf8'));
+    return Array.isArray(parsed.data) && parsed.timestamp ? parsed : null;
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.error('Error reading the published roadmaps cache:', error.message);
+    return null;
+  }
+};
+
+// Write the cache file through a temporary file so readers never see half of it
+const writeCacheFile = async (contents) => {
+  const tempFile = `${CACHE_FILE}.${process.pid}.tmp`;
+  await fs.mkdir(path.dirname(CACHE_FILE), { recursive: true });
+  await fs.writeFile(tempFile, JSON.stringify(contents, null, 2), 'utf8');
+  await fs.rename(tempFile, CACHE_FILE);
+};
+
+const loadCache = async () => {
+  if (cache === undefined) cache = await readCacheFile();
+  return cache;
+};
+
+/**
+ * List the published pages on GitHub with the date each was first committed.
+ * Dates already in the cache are reused, so only new pages cost extra requests.
+ * @param {Object|null} previous - Current cache contents
+ * @returns {Promise<Array<Object>>}
+ */
+const fetchPublishedRoadmaps = async (previous) => {
+  const knownDates = new Map((previous?.data || [])
+    .filter(entry => entry.createdDate)
+    .map(entry => [entry.name, entry.createdDate]));
+
+  const files = (await listFiles()).filter(file => file.type === 'file' && file.name.endsWith('.html'));
+  const entries = [];
+  for (const { name, size, sha, download_url, html_url } of files) {
+    let createdDate = knownDates.get(name);
+    if (!createdDate) {
+      const date = await getFileCreatedDate(name).catch(error => {
+        console.error(`Could not get the created date of ${name}:`, error.message);
+        return null;
+      });
+      createdDate = date ? formatCreatedDate(date) : undefined;
+    }
+    entries.push({
+      name,
+      url: getPagesUrl(name),
+      size,
+      sha,
+      download_url,
+      html_url,
+      ...(createdDate && { createdDate })
+    });
+  }
+  return entries;
+};
+
+/**
+ * Fetch the list from GitHub and store it, sharing one request between
+ * concurrent callers. A failure schedules the next try with backoff.
+ * @returns {Promise<Object>} - New cache contents
+ */
+const refreshCache = () => {
+  if (!refreshing) {
+    outdated = false;
+    refreshing = (async () => {
+      const data = await fetchPublishedRoadmaps(await loadCache());
+      cache = { timestamp: Date.now(), data };
+      failures = 0;
+      lastError = undefined;
+      await writeCacheFile(cache).catch(error => {
+        console.error('Error writing the published roadmaps cache:', error.message);
+      });
+      return cache;
+    })().catch(error => {
+      outdated = true;
+      failures++;
+      lastError = error.message;
+      retryAt = Date.now() + Math.min(RETRY_DELAY_MS * 2 ** (failures - 1), MAX_RETRY_DELAY_MS);
+      throw error;
+    }).finally(() => {
+      refreshing = null;
+    });
+  }
+  return refreshing;
+};
+
+// Response shape of a cache entry
+const describeCache = (contents, { stale = false, error } = {}) => ({
+  data: contents.data,
+  cachedAt: new Date(contents.timestamp),
+  stale,
+  ...(error && { error })
+});
+
+/**
+ * Published roadmaps on GitHub. Within the TTL the cached list is returned;
+ * after it the cached list is still returned (marked stale) while a refresh
+ * runs in the background. Listings after invalidatePublishedRoadmaps() wait
+ * for fresh data. Once a refresh has failed, the cached list is served and
+ * GitHub is retried in the background with backoff, so an outage or rate
+ * limit does not slow down every listing.
+ * @param {Object} [options]
+ * @param {boolean} [options.refresh=false] - Fetch from GitHub now
+ * @returns {Promise<{data: Array<Object>, cachedAt: Date, stale: boolean, error?: string}>}
+ * @throws {Error} - When GitHub fails and nothing is cached
+ */
+export const getPublishedRoadmapList = async ({ refresh = false } = {}) => {
+  const current = await loadCache();
+
+  if (current && !refresh) {
+    const age = Date.now() - current.timestamp;
+    if (!outdated && age < config.publishedCacheTtlSeconds * 1000) {
+      return describeCache(current);
+    }
+
+    // After a publish the list is refreshed right away rather than in the
+    // background, unless GitHub has been failing
+    if (!outdated || failures > 0) {
+      if (Date.now() >= retryAt) {
+        refreshCache().catch(error => {
+          console.error('Background refresh of published roadmaps failed:', error.message);
+        });
+      }
+      return describeCache(current, { stale: true, error: lastError });
+    }
+  }
+
+  try {
+    return describeCache(await refreshCache());
+  } catch (error) {
+    if (!current) throw error;
+    console.error('GitHub unavailable, serving cached published roadmaps:', error.message);
+    return describeCache(current, { stale: true, error: error.message });
+  }
+};
+
+/**
+ * Mark the cached list as outdated after pages were published or removed, so
+ * the next listing refreshes it
+ */
+export const invalidatePublishedRoadmaps = () => {
+  outdated = true;
+  // A publish just reached GitHub, so try it again without waiting out the backoff
+  failures = 0;
+  retryAt = 0;
+};
@@ -0,0 +1,73 @@
+// server/utils/queryHelpers.js
+import { ApiError } from './helpers.js';
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+/**
+ * Parse `page`, `limit`, `sort` and `fields` query parameters for a list endpoint
+ * @param {Object} query - req.query
+ * @param {Object} options
+ * @param {Array<string>} options.sortFields - Fields clients may sort by
+ * @param {Array<string>} options.selectFields - Fields clients may request with `fields=`
+ * @param {string} options.defaultSort - Sort used when none is given, e.g. "-createdDate"
+ * @param {string} [options.defaultFields] - Projection used when `fields` is not given
+ * @returns {{page: number, limit: number, skip: number, sort: Object, projection: string|undefined}}
+ */
+export const parseListQuery = (query, { sortFields, selectFields, defaultSort, defaultFields }) => {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+  // sort=-createdDate,companyName -> { createdDate: -1, companyName: 1 }
+  const sort = {};
+  for (const key of (query.sort || defaultSort).split(',').map(k => k.trim()).filter(Boolean)) {
+    const field = key.replace(/^[-+]/, '');
+    if (!sortFields.includes(field)) {
+      throw new ApiError(`Cannot sort by "${field}". Allowed: ${sortFields.join(', ')}`, 400);
+    }
+    sort[field] = key.startsWith('-') ? -1 : 1;
+  }
+  // Tie-break on _id so pages are stable
+  if (!sort._id) sort._id = sort[Object.keys(sort)[0]] || 1;
+
+  let projection = defaultFields;
+  if (query.fields) {
+    const fields = query.fields.split(',').map(f => f.trim()).filter(Boolean);
+    const unknown = fields.filter(field => !selectFields.includes(field));
+    if (unknown.length > 0) {
+      throw new ApiError(`Unknown fields: ${unknown.join(', ')}. Allowed: ${selectFields.join(', ')}`, 400);
+    }
+    projection = fields.join(' ');
+  }
+
+  return { page, limit, skip: (page - 1) * limit, sort, projection };
+};
+
+/**
+ * Apply parsed list options to a mongoose query
+ * @param {mongoose.Query} query - Query to modify
+ * @param {Object} listOptions - Result of parseListQuery
+ * @returns {mongoose.Query}
+ */
+export const applyListQuery = (query, { sort, skip, limit, projection }) => {
+  query.sort(sort).skip(skip).limit(limit);
+  if (projection) query.select(projection);
+  return query;
+};
+
+/**
+ * Pagination metadata for a list response
+ * @param {Object} listOptions - Result of parseListQuery
+ * @param {number} total - Total number of matching documents
+ * @returns {Object}
+ */
+export const buildPagination = ({ page, limit }, total) => {
+  const pages = Math.ceil(total / limit);
+  return {
+    page,
+    limit,
+    pages,
+    hasNextPage: page < pages,
+    hasPrevPage: page > 1
+  };
+};
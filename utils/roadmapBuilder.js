@@ -0,0 +1,255 @@
+// server/utils/roadmapBuilder.js
+import path from 'path';
+import Roadmap from '../models/Roadmap.js';
+import { renderRoadmap, renderRedirectPage } from './roadmapRenderer.js';
+import { getPublisher } from '../publishers/index.js';
+import { resolveTechStackRefs, orderTechStacksByPrerequisites } from './techStackRefs.js';
+import { resolveTopicSelections } from './topicSelections.js';
+import { getHostedRoadmapUrl } from './roadmapPages.js';
+import { ApiError, assertSafeFilename } from './helpers.js';
+
+// Add hints to a list, once per requested name
+const addHints = (hints, newHints) => {
+  newHints
+    .filter(hint => !hints.some(existing => existing.from === hint.from))
+    .forEach(hint => hints.push(hint));
+};
+
+/**
+ * Replace tech stack names/ids in roadmap data with validated ObjectIds
+ * @param {Object} roadmapData - Roadmap fields from the request body (modified in place)
+ * @returns {Promise<Array<Object>>} - Hints for names that resolved through a
+ *   normalized name or alias (e.g. "ReactJS" -> "React JS")
+ */
+export const resolveRoadmapRefs = async (roadmapData) => {
+  const hints = [];
+  const lists = [roadmapData, ...(Array.isArray(roadmapData.roles) ? roadmapData.roles : [])]
+    .filter(entry => Array.isArray(entry.techStacks));
+
+  for (const entry of lists) {
+    const resolved = await resolveTechStackRefs(entry.techStacks);
+    entry.techStacks = resolved.ids;
+    addHints(hints, resolved.hints);
+  }
+
+  if (Array.isArray(roadmapData.topicSelections)) {
+    const resolved = await resolveTopicSelections(roadmapData.topicSelections);
+    roadmapData.topicSelections = resolved.selections;
+    addHints(hints, resolved.hints);
+  }
+
+  return hints;
+};
+
+/**
+ * Sort the tech stacks of a roadmap (and of each role) so prerequisites come
+ * before the stacks that need them
+ * @param {Object} roadmapData - Roadmap fields with resolved tech stack ids
+ * @returns {Promise<Array<string>>} - Warnings about prerequisites left off the roadmap
+ */
+const orderRoadmapTechStacks = async (roadmapData) => {
+  const warnings = new Set();
+  const lists = [roadmapData, ...(roadmapData.roles || [])].filter(entry => Array.isArray(entry.techStacks));
+
+  for (const entry of lists) {
+    const { ids, warnings: listWarnings } = await orderTechStacksByPrerequisites(entry.techStacks);
+    entry.techStacks = ids;
+    listWarnings.forEach(warning => warnings.add(warning));
+  }
+
+  return [...warnings];
+};
+
+// File name of a roadmap page unless one is given
+const getDefaultFilename = ({ companyName, role, isConsolidated }) =>
+  (isConsolidated ? `${companyName}.html` : `${companyName} - ${role}.html`);
+
+// Render the HTML page of roadmap data. Its topic selections hold item ids,
+// which go stale when a stack is re-imported, so missing topics are skipped.
+const renderRoadmapPage = ({ companyName, role, techStacks, roles, isConsolidated, topicSelections }, template) =>
+  renderRoadmap({
+    companyName,
+    role,
+    techStacks,
+    roles: isConsolidated ? roles : undefined,
+    topicSelections,
+    template,
+    strictTopics: false
+  });
+
+/**
+ * Render a roadmap's HTML page on the server and publish it through the
+ * roadmap's publisher (GitHub Pages unless configured otherwise)
+ * @param {Object} roadmapData - Roadmap fields (companyName, role, techStacks, roles, publisher...)
+ * @param {string} [template] - Page template name
+ * @returns {Promise<{publishedUrl: string, filename: string, publisher: string}>}
+ */
+export const publishRoadmapPage = async (roadmapData, template) => {
+  const publisher = getPublisher(roadmapData.publisher);
+  const filename = roadmapData.filename || getDefaultFilename(roadmapData);
+  const content = await renderRoadmapPage(roadmapData, template);
+
+  const { publishedUrl } = await publisher.publish({
+    filename,
+    content,
+    message: `Publish roadmap: ${filename}`
+  });
+
+  return { publishedUrl, filename, publisher: publisher.name };
+};
+
+/**
+ * Validate, order and save a new roadmap, publishing its page first when asked.
+ * Without a publish request or a publishedUrl the roadmap is saved as a draft.
+ * @param {Object} roadmapData - Roadmap fields; tech stacks may be ids, names or aliases
+ * @param {Object} options
+ * @param {boolean} options.publish - Render the page and publish it through
+ *   `roadmapData.publisher` before saving
+ * @param {string} [options.template] - Page template name
+ * @returns {Promise<{roadmap: Object, warnings: Array<string>, redirects: Array<Object>}>}
+ */
+export const createRoadmapFromData = async (roadmapData, { publish = false, template } = {}) => {
+  // Every referenced tech stack has to exist
+  const redirects = await resolveRoadmapRefs(roadmapData);
+
+  // Put prerequisite stacks first (e.g. Javascript before React JS)
+  const warnings = await orderRoadmapTechStacks(roadmapData);
+
+  // Roadmaps published by the client arrive with their URL; others start as drafts
+  if (publish) {
+    roadmapData.status = 'published';
+  } else if (!roadmapData.status) {
+    roadmapData.status = roadmapData.publishedUrl ? 'published' : 'draft';
+  }
+  if (template) roadmapData.pageTemplate = template;
+
+  // Render the page on the server and publish it before saving the roadmap
+  if (publish) {
+    Object.assign(roadmapData, await publishRoadmapPage(roadmapData, template));
+  } else if (roadmapData.publisher) {
+    // Pages published by the client still have to name a known publisher
+    getPublisher(roadmapData.publisher);
+  }
+
+  // Published without a publisher: the page is only served by this server
+  if (roadmapData.status === 'published' && !roadmapData.publishedUrl) {
+    roadmapData.publishedUrl = getHostedRoadmapUrl(roadmapData);
+    roadmapData.filename = roadmapData.filename || getDefaultFilename(roadmapData);
+  }
+
+  const roadmap = await Roadmap.create(roadmapData);
+  return { roadmap, warnings, redirects };
+};
+
+/**
+ * Publish a saved roadmap (a draft, or a published one after changes): push
+ * its page through a publisher, or only serve it from this server
+ * @param {Object} roadmap - Roadmap document (saved by this function)
+ * @param {Object} options
+ * @param {string} [options.publisher] - Publisher name (defaults to the roadmap's)
+ * @param {string} [options.template] - Page template (defaults to the roadmap's)
+ * @param {boolean} [options.push=true] - false to skip the publisher and use the hosted page
+ * @returns {Promise<Object>} - The saved roadmap
+ */
+export const publishStoredRoadmap = async (roadmap, { publisher, template, push = true } = {}) => {
+  const pageTemplate = template || roadmap.pageTemplate;
+
+  if (push) {
+    roadmap.set(await publishRoadmapPage({
+      ...roadmap.toObject(),
+      publisher: publisher || roadmap.publisher
+    }, pageTemplate));
+  } else {
+    roadmap.publishedUrl = getHostedRoadmapUrl(roadmap);
+    roadmap.filename = roadmap.filename || getDefaultFilename(roadmap);
+  }
+
+  roadmap.status = 'published';
+  if (pageTemplate) roadmap.pageTemplate = pageTemplate;
+  await roadmap.save();
+  return roadmap;
+};
+
+// Whether a roadmap's page was pushed to its publisher, rather than being
+// a draft or only served by this server
+const isPushed = (roadmap) =>
+  roadmap.status !== 'draft' && Boolean(roadmap.filename) &&
+  roadmap.publishedUrl !== getHostedRoadmapUrl(roadmap);
+
+/**
+ * Take a roadmap's page down and turn the roadmap back into a draft
+ * @param {Object} roadmap - Roadmap document (saved by this function)
+ * @param {Object} [options]
+ * @param {string} [options.message] - Commit message for git based publishers
+ * @returns {Promise<{roadmap: Object, removed: boolean}>} - removed is false
+ *   when no published file had to be deleted
+ */
+export const unpublishStoredRoadmap = async (roadmap, { message } = {}) => {
+  let removed = false;
+  if (isPushed(roadmap)) {
+    ({ removed } = await getPublisher(roadmap.publisher).remove({ filename: roadmap.filename, message }));
+  }
+
+  roadmap.status = 'draft';
+  roadmap.publishedUrl = undefined;
+  await roadmap.save();
+  return { roadmap, removed };
+};
+
+/**
+ * Move a roadmap's page to a new file name. By default a stub at the old
+ * path redirects to the new one so shared links keep working; without it the
+ * old file is deleted. Publishers that support batches do this in one commit.
+ * @param {Object} roadmap - Roadmap document (saved by this function)
+ * @param {string} filename - New file name
+ * @param {Object} [options]
+ * @param {boolean} [options.redirect=true] - Leave a redirect stub at the old path
+ * @returns {Promise<{roadmap: Object, previousFilename: string, moved: boolean}>} -
+ *   moved is false for drafts and pages only served by this server, whose
+ *   file name is just updated
+ */
+export const renameStoredRoadmap = async (roadmap, filename, { redirect = true } = {}) => {
+  assertSafeFilename(filename);
+  const previousFilename = roadmap.filename;
+
+  if (filename === previousFilename) {
+    throw new ApiError('The roadmap is already published under this file name', 400);
+  }
+
+  if (!isPushed(roadmap)) {
+    roadmap.filename = filename;
+    await roadmap.save();
+    return { roadmap, previousFilename, moved: false };
+  }
+
+  const publisher = getPublisher(roadmap.publisher);
+  const message = `Move roadmap: ${previousFilename} -> ${filename}`;
+  const content = await renderRoadmapPage(roadmap.toObject(), roadmap.pageTemplate || undefined);
+  // Relative link, so the stub works whatever the publisher's base URL is
+  const stub = renderRedirectPage(
+    path.posix.relative(path.posix.dirname(previousFilename), filename)
+      .split('/').map(encodeURIComponent).join('/'),
+    `${roadmap.companyName} roadmap has moved`
+  );
+
+  let publishedUrl;
+  if (redirect && typeof publisher.publishBatch === 'function') {
+    const result = await publisher.publishBatch({
+      files: [{ filename, content }, { filename: previousFilename, content: stub }],
+      message
+    });
+    publishedUrl = result.files[0].publishedUrl;
+  } else {
+    ({ publishedUrl } = await publisher.publish({ filename, content, message }));
+    if (redirect) {
+      await publisher.publish({ filename: previousFilename, content: stub, message });
+    } else {
+      await publisher.remove({ filename: previousFilename, message });
+    }
+  }
+
+  roadmap.filename = filename;
+  roadmap.publishedUrl = publishedUrl;
+  await roadmap.save();
+  return { roadmap, previousFilename, moved: true };
+};
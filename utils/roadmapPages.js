@@ -0,0 +1,184 @@
+// server/utils/roadmapPages.js
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import config from '../config/config.js';
+import Roadmap from '../models/Roadmap.js';
+import TechStack from '../models/TechStack.js';
+import { ApiError, slugify } from './helpers.js';
+import { renderRoadmap } from './roadmapRenderer.js';
+
+// URL path of the pages served by this server
+export const PAGE_BASE_PATH = '/r';
+
+// Marks preview tokens so they can't be mistaken for login tokens (and back)
+const PREVIEW_TOKEN_PURPOSE = 'roadmap-preview';
+
+/**
+ * Path of a roadmap's page on this server: /r/<company> for consolidated
+ * roadmaps, /r/<company>/<role> otherwise
+ * @param {Object} roadmap - Roadmap fields (companyName, role, isConsolidated)
+ * @returns {string}
+ */
+export const getRoadmapPagePath = ({ companyName, role, isConsolidated }) =>
+  `${PAGE_BASE_PATH}/${slugify(companyName)}${isConsolidated ? '' : `/${slugify(role)}`}`;
+
+/**
+ * Full URL of a roadmap's page on this server
+ * @param {Object} roadmap - Roadmap fields (companyName, role, isConsolidated)
+ * @returns {string}
+ */
+export const getHostedRoadmapUrl = (roadmap) =>
+  `${config.publicBaseUrl.replace(/\/+$/, '')}${getRoadmapPagePath(roadmap)}`;
+
+// Case-insensitive regex matching the names a slug can come from
+const slugPattern = (slug) => new RegExp(
+  `^[^a-z0-9]*${slug.split('-').join('[^a-z0-9]+')}[^a-z0-9]*$`,
+  'i'
+);
+
+/**
+ * Find the published roadmap served at /r/:company/:role. Without a role the
+ * company's consolidated roadmap is used (or its only roadmap). A role that
+ * has no roadmap of its own can be served from the consolidated roadmap.
+ * @param {string} company - Company slug (or name)
+ * @param {string} [role] - Role slug (or title)
+ * @returns {Promise<{roadmap: Object, role: string|undefined}|null>} - role is
+ *   set when only that role of a consolidated roadmap is shown
+ */
+export const findHostedRoadmap = async (company, role) => {
+  const companySlug = slugify(company);
+  if (!companySlug) return null;
+
+  const roadmaps = (await Roadmap.find({
+    companyName: slugPattern(companySlug),
+    status: { $ne: 'draft' }
+  }).sort({ updatedAt: -1, createdDate: -1 }))
+    .filter(roadmap => slugify(roadmap.companyName) === companySlug);
+
+  if (!role) {
+    const consolidated = roadmaps.find(roadmap => roadmap.isConsolidated);
+    if (consolidated) return { roadmap: consolidated };
+    return roadmaps.length === 1 ? { roadmap: roadmaps[0] } : null;
+  }
+
+  const roleSlug = slugify(role);
+  const single = roadmaps.find(roadmap => !roadmap.isConsolidated && slugify(roadmap.role) === roleSlug);
+  if (single) return { roadmap: single };
+
+  for (const roadmap of roadmaps.filter(r => r.isConsolidated)) {
+    const match = roadmap.roles.find(r => slugify(r.title) === roleSlug);
+    if (match) return { roadmap, role: match.title };
+  }
+
+  return null;
+};
+
+/**
+ * Roles of a stored roadmap as passed to the renderer, optionally only one
+ * role of a consolidated roadmap
+ * @param {Object} roadmap - Roadmap document
+ * @param {string} [role] - Role title to limit a consolidated roadmap to
+ * @returns {{role: string, techStacks: Array, roles: Array|undefined}}
+ */
+const getRenderScope = (roadmap, role) => {
+  if (!roadmap.isConsolidated) {
+    return { role: roadmap.role, techStacks: roadmap.techStacks };
+  }
+
+  const roles = roadmap.roles
+    .filter(r => !role || r.title === role)
+    .map(r => ({ title: r.title, techStacks: r.techStacks }));
+
+  return role
+    ? { role, techStacks: roles[0].techStacks }
+    : { role: roadmap.role, roles };
+};
+
+/**
+ * ETag and Last-Modified for a roadmap page. Both change whenever the
+ * roadmap or one of its tech stacks is saved, so pages can be revalidated
+ * without rendering them.
+ * @param {Object} roadmap - Roadmap document
+ * @param {Object} options
+ * @param {string} [options.role] - Role title when only one role is shown
+ * @returns {Promise<{etag: string, lastModified: Date}>}
+ */
+export const getPageValidators = async (roadmap, { role } = {}) => {
+  const { techStacks = [], roles = [] } = getRenderScope(roadmap, role);
+  const ids = [...techStacks, ...roles.flatMap(r => r.techStacks)];
+  const stacks = await TechStack.find({ _id: { $in: ids } }).select('updatedAt').sort({ _id: 1 }).lean();
+
+  const dates = [roadmap.updatedAt, roadmap.createdDate, ...stacks.map(stack => stack.updatedAt)]
+    .filter(Boolean)
+    .map(date => new Date(date).getTime());
+  // HTTP dates have one second resolution
+  const lastModified = new Date(Math.floor(Math.max(...dates) / 1000) * 1000);
+
+  const hash = crypto.createHash('sha1')
+    .update(JSON.stringify([
+      roadmap._id,
+      roadmap.updatedAt,
+      role,
+      roadmap.pageTemplate,
+      stacks.map(stack => [stack._id, stack.updatedAt])
+    ]))
+    .digest('base64url');
+
+  return { etag: `W/"${hash}"`, lastModified };
+};
+
+/**
+ * Render the HTML page of a stored roadmap
+ * @param {Object} roadmap - Roadmap document
+ * @param {Object} options
+ * @param {string} [options.role] - Role title when only one role is shown
+ * @param {string} [options.template] - Page template (defaults to the roadmap's)
+ * @param {Date} [options.generatedAt] - Date printed on the page
+ * @returns {Promise<string>}
+ */
+export const renderStoredRoadmap = (roadmap, { role, template, generatedAt } = {}) => renderRoadmap({
+  companyName: roadmap.companyName,
+  ...getRenderScope(roadmap, role),
+  topicSelections: roadmap.toObject().topicSelections,
+  template: template || roadmap.pageTemplate || undefined,
+  generatedAt,
+  // Stored item ids go stale when a stack is re-imported, and stacks can be
+  // moved to the trash while roadmaps still list them; the page skips both
+  strictTopics: false,
+  strictTechStacks: false
+});
+
+/**
+ * Signed token for previewing a roadmap (drafts included) without logging in
+ * @param {Object} roadmap - Roadmap document
+ * @returns {{token: string, url: string, expiresAt: Date}}
+ */
+export const createPreviewToken = (roadmap) => {
+  const token = jwt.sign(
+    { roadmap: roadmap._id.toString(), purpose: PREVIEW_TOKEN_PURPOSE },
+    config.jwtSecret,
+    { expiresIn: config.previewTokenExpiresIn }
+  );
+
+  return {
+    token,
+    url: `${config.publicBaseUrl.replace(/\/+$/, '')}${PAGE_BASE_PATH}/_preview/${token}`,
+    expiresAt: new Date(jwt.decode(token).exp * 1000)
+  };
+};
+
+/**
+ * Roadmap id from a preview token
+ * @param {string} token - Token from createPreviewToken
+ * @returns {string} - Roadmap id
+ * @throws {ApiError} - 404 for invalid or expired tokens
+ */
+export const verifyPreviewToken = (token) => {
+  try {
+    const payload = jwt.verify(token, config.jwtSecret);
+    if (payload.purpose !== PREVIEW_TOKEN_PURPOSE) throw new Error('Not a preview token');
+    return payload.roadmap;
+  } catch (error) {
+    throw new ApiError('This preview link is invalid or has expired', 404);
+  }
+};
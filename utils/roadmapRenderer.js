@@ -0,0 +1,131 @@
+// server/utils/roadmapRenderer.js
+import TechStack from '../models/TechStack.js';
+import { ApiError } from './helpers.js';
+import { resolveTechStackIds } from './techStackRefs.js';
+import { resolveTopicSelections, applyTopicSelections } from './topicSelections.js';
+import defaultTemplate from '../templates/defaultTemplate.js';
+import minimalTemplate from '../templates/minimalTemplate.js';
+import redirectTemplate from '../templates/redirectTemplate.js';
+
+// Registered page templates, keyed by the name clients pass as `template`
+const templates = new Map([
+  ['default', defaultTemplate],
+  ['minimal', minimalTemplate]
+]);
+
+/**
+ * Register (or replace) a template
+ * @param {string} name - Template name
+ * @param {Function} template - Function receiving the render context and returning HTML
+ */
+export const registerTemplate = (name, template) => {
+  if (typeof template !== 'function') {
+    throw new Error(`Template "${name}" must be a function`);
+  }
+  templates.set(name, template);
+};
+
+/**
+ * List the names of all registered templates
+ * @returns {Array<string>} - Template names
+ */
+export const getTemplateNames = () => Array.from(templates.keys());
+
+/**
+ * Load tech stacks by id or name, keeping the requested order
+ * @param {Array<string>} refs - Tech stack ids or names
+ * @param {Object} options
+ * @param {boolean} options.skipMissing - Leave out stacks that don't exist or
+ *   are in the trash instead of failing
+ * @returns {Promise<Array>} - Tech stack documents as plain objects
+ */
+const loadTechStacks = async (refs, { skipMissing = false } = {}) => {
+  const ids = await resolveTechStackIds(refs, { skipMissing });
+  const techStacks = await TechStack.find({ _id: { $in: ids } }).lean();
+  const byId = new Map(techStacks.map(techStack => [techStack._id.toString(), techStack]));
+
+  return ids.map(id => byId.get(id.toString()));
+};
+
+/**
+ * Render a complete roadmap HTML page from tech stacks stored in the database
+ * @param {Object} options
+ * @param {string} options.companyName - Company the roadmap is for
+ * @param {string} [options.role] - Role title for a single-role roadmap
+ * @param {Array<string>} [options.techStacks] - Tech stack ids or names for a single-role roadmap
+ * @param {Array<{title: string, techStacks: Array<string>}>} [options.roles] - Roles for a consolidated roadmap
+ * @param {Array<Object>} [options.topicSelections] - Topic subsets per tech stack (see resolveTopicSelections)
+ * @param {string} [options.template] - Registered template name (defaults to "default")
+ * @param {Date} [options.generatedAt] - Date printed on the page (defaults to now)
+ * @param {boolean} [options.strictTopics=true] - Fail on selected topics that
+ *   don't exist; false skips them, for selections stored on roadmaps
+ * @param {boolean} [options.strictTechStacks=true] - Fail on tech stacks that
+ *   don't exist or are in the trash; false skips them, for stored roadmaps
+ *   served as pages
+ * @returns {Promise<string>} - Rendered HTML
+ */
+export const renderRoadmap = async ({
+  companyName,
+  role,
+  techStacks,
+  roles,
+  topicSelections,
+  template = 'default',
+  generatedAt = new Date(),
+  strictTopics = true,
+  strictTechStacks = true
+}) => {
+  if (!companyName) {
+    throw new ApiError('Company name is required to render a roadmap', 400);
+  }
+
+  const renderTemplate = templates.get(template);
+  if (!renderTemplate) {
+    throw new ApiError(`Unknown template "${template}". Available: ${getTemplateNames().join(', ')}`, 400);
+  }
+
+  const isConsolidated = Array.isArray(roles) && roles.length > 0;
+  const roleList = isConsolidated
+    ? roles
+    : [{ title: role, techStacks }];
+
+  if (roleList.some(r => !r.title || !Array.isArray(r.techStacks) || r.techStacks.length === 0)) {
+    throw new ApiError('Each role needs a title and at least one tech stack', 400);
+  }
+
+  const skipMissing = !strictTechStacks;
+  const { selections, unknown } = await resolveTopicSelections(topicSelections, {
+    dropUnknown: !strictTopics,
+    skipMissing
+  });
+  if (unknown.length > 0) {
+    console.warn(`Rendering ${companyName} without ${unknown.length} selected topic(s) that no longer exist`);
+  }
+
+  const resolvedRoles = [];
+  for (const r of roleList) {
+    const loaded = await loadTechStacks(r.techStacks, { skipMissing });
+    if (loaded.length < r.techStacks.length) {
+      console.warn(`Rendering ${companyName} without ${r.techStacks.length - loaded.length} tech stack(s) that no longer exist`);
+    }
+    resolvedRoles.push({
+      title: r.title,
+      techStacks: applyTopicSelections(loaded, selections)
+    });
+  }
+
+  return renderTemplate({
+    companyName,
+    roles: resolvedRoles,
+    isConsolidated,
+    generatedAt
+  });
+};
+
+/**
+ * Render the stub page that replaces a renamed roadmap page
+ * @param {string} url - URL of the page's new location
+ * @param {string} [title] - Page title
+ * @returns {string} - Rendered HTML
+ */
+export const renderRedirectPage = (url, title) => redirectTemplate({ url, title });
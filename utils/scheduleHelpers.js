@@ -0,0 +1,178 @@
+// server/utils/scheduleHelpers.js
+import { ApiError } from './helpers.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days learners study on (getUTCDay: Monday to Friday)
+const WORK_DAYS = [1, 2, 3, 4, 5];
+
+// Stop laying out a schedule that would run for more than five years
+const MAX_SCHEDULE_DAYS = 5 * 366;
+
+/**
+ * Parse a YYYY-MM-DD date as UTC midnight
+ * @param {string} value - Date string
+ * @param {string} label - Name used in the error message
+ * @returns {Date}
+ */
+export const parseDay = (value, label = 'Date') => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value).trim());
+  const date = match && new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+
+  if (!date || date.toISOString().slice(0, 10) !== String(value).trim()) {
+    throw new ApiError(`${label} must be a date in YYYY-MM-DD format`, 400);
+  }
+
+  return date;
+};
+
+// YYYY-MM-DD of a UTC date
+export const formatDay = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Items of each tech stack in topic order, moving an item after its
+ * prerequisites when they come later in the list
+ * @param {Array<Object>} roadmapItems - Items of one tech stack
+ * @returns {Array<Object>} - Items in study order
+ */
+export const orderByPrerequisites = (roadmapItems) => {
+  const itemIds = new Set(roadmapItems.map(item => item._id.toString()));
+  const placed = new Set();
+  const remaining = [...roadmapItems];
+  const ordered = [];
+
+  while (remaining.length > 0) {
+    // Earliest item whose prerequisites are all placed; fall back to the
+    // first remaining item so a (rejected on save) cycle can't loop forever
+    let index = remaining.findIndex(item => (item.prerequisites || [])
+      .map(String)
+      .every(id => placed.has(id) || !itemIds.has(id)));
+    if (index === -1) index = 0;
+
+    const [item] = remaining.splice(index, 1);
+    placed.add(item._id.toString());
+    ordered.push(item);
+  }
+
+  return ordered;
+};
+
+/**
+ * Lay out roadmap items into a week-by-week timeline. Weekly hours are spread
+ * evenly over Monday to Friday; holidays and weekends get no study time.
+ * Items follow the tech stack order, then topic order, with prerequisites first.
+ * @param {Array<Object>} techStacks - Tech stacks (with roadmapItems) in roadmap order
+ * @param {Object} options
+ * @param {Date} options.startDate - First day of the schedule (UTC midnight)
+ * @param {number} options.hoursPerWeek - Study hours available per week
+ * @param {Array<Date>} [options.holidays] - Days without study time
+ * @param {number} options.defaultHours - Hours for items without an estimate
+ * @returns {Object} - Items with start/end days and the weeks they fall in
+ */
+export const buildSchedule = (techStacks, { startDate, hoursPerWeek, holidays = [], defaultHours }) => {
+  const holidayDays = new Set(holidays.map(formatDay));
+  const hoursPerDay = hoursPerWeek / WORK_DAYS.length;
+
+  const queue = techStacks.flatMap(techStack => orderByPrerequisites(techStack.roadmapItems || [])
+    .map(item => {
+      const estimated = typeof item.estimatedHours === 'number';
+      return {
+        techStack: { _id: techStack._id, name: techStack.name },
+        itemId: item._id,
+        topic: item.topic,
+        hours: estimated ? item.estimatedHours : defaultHours,
+        estimated,
+        remaining: estimated ? item.estimatedHours : defaultHours
+      };
+    }));
+
+  const items = [];
+  const weeks = new Map();
+  let day = new Date(startDate);
+  let usedToday = 0;
+  let dayCount = 0;
+
+  const isStudyDay = date => WORK_DAYS.includes(date.getUTCDay()) && !holidayDays.has(formatDay(date));
+  const nextDay = () => {
+    if (++dayCount > MAX_SCHEDULE_DAYS) {
+      throw new ApiError('Schedule would run for more than five years; add more hours per week', 400);
+    }
+    day = new Date(day.getTime() + DAY_MS);
+    usedToday = 0;
+  };
+
+  const weekOf = (date) => {
+    const number = Math.floor((date - startDate) / DAY_MS / 7) + 1;
+    if (!weeks.has(number)) {
+      weeks.set(number, {
+        week: number,
+        start: formatDay(new Date(startDate.getTime() + (number - 1) * 7 * DAY_MS)),
+        end: formatDay(new Date(startDate.getTime() + (number * 7 - 1) * DAY_MS)),
+        hours: 0,
+        items: []
+      });
+    }
+    return weeks.get(number);
+  };
+
+  // Record study time for an item on the current day
+  const study = (entry, hours) => {
+    if (!entry.start) entry.start = formatDay(day);
+    entry.end = formatDay(day);
+
+    const week = weekOf(day);
+    week.hours += hours;
+    entry.weeks.add(week.week);
+
+    const weekItem = week.items.find(weekEntry => weekEntry.itemId === entry.itemId);
+    if (weekItem) weekItem.hours += hours;
+    else week.items.push({ itemId: entry.itemId, topic: entry.topic, techStack: entry.techStack.name, hours });
+  };
+
+  for (const entry of queue) {
+    entry.weeks = new Set();
+
+    // Items without hours still get a day so they show on the calendar
+    if (entry.remaining <= 0) {
+      while (!isStudyDay(day)) nextDay();
+      study(entry, 0);
+    }
+
+    // Ignore fractions of an hour left over by floating point division
+    while (entry.remaining > 1e-9) {
+      const available = isStudyDay(day) ? hoursPerDay - usedToday : 0;
+
+      if (available <= 1e-9) {
+        nextDay();
+        continue;
+      }
+
+      const hours = Math.min(available, entry.remaining);
+      entry.remaining -= hours;
+      usedToday += hours;
+      study(entry, hours);
+    }
+
+    const { remaining, weeks: itemWeeks, ...item } = entry;
+    items.push({ ...item, weeks: [...itemWeeks] });
+  }
+
+  const round = value => Math.round(value * 100) / 100;
+  const weekList = [...weeks.values()].map(week => ({
+    ...week,
+    hours: round(week.hours),
+    items: week.items.map(weekItem => ({ ...weekItem, hours: round(weekItem.hours) }))
+  }));
+  const totalHours = round(items.reduce((sum, item) => sum + item.hours, 0));
+
+  return {
+    startDate: formatDay(startDate),
+    endDate: items.length > 0 ? items[items.length - 1].end : formatDay(startDate),
+    hoursPerWeek,
+    totalHours,
+    totalWeeks: weekList.length > 0 ? weekList[weekList.length - 1].week : 0,
+    unestimatedItems: items.filter(item => !item.estimated).length,
+    items,
+    weeks: weekList
+  };
+};
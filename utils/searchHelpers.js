@@ -0,0 +1,79 @@
+// server/utils/searchHelpers.js
+
+// Relative weight of a match in each part of a roadmap item (mirrors the text index)
+const MATCH_WEIGHTS = {
+  topic: 5,
+  subTopics: 3,
+  projects: 2
+};
+
+/**
+ * Split a search string into lowercase terms
+ * @param {string} text - Search text
+ * @returns {Array<string>} - Unique terms
+ */
+export const tokenize = (text) => [...new Set(
+  text
+    .toLowerCase()
+    .split(/[^a-z0-9#+.]+/)
+    .map(term => term.replace(/^\.+|\.+$/g, ''))
+    .filter(Boolean)
+)];
+
+/**
+ * Score a piece of text against the search terms. The whole phrase
+ * appearing verbatim counts double.
+ * @param {string} text - Text to score
+ * @param {Array<string>} terms - Search terms
+ * @param {string} phrase - Full lowercase search phrase
+ * @returns {number} - Number of matching terms (0 when nothing matches)
+ */
+const scoreText = (text, terms, phrase) => {
+  const value = (text || '').toLowerCase();
+  const termMatches = terms.filter(term => value.includes(term)).length;
+  if (termMatches === 0) return 0;
+  return value.includes(phrase) && terms.length > 1 ? termMatches * 2 : termMatches;
+};
+
+/**
+ * Find the roadmap items of a tech stack that match a search, ranked by relevance
+ * @param {Array} roadmapItems - Roadmap items of one tech stack
+ * @param {string} search - Search text
+ * @returns {Array<Object>} - Matching items with the subtopics/projects that matched
+ */
+export const matchRoadmapItems = (roadmapItems = [], search) => {
+  const terms = tokenize(search);
+  const phrase = search.toLowerCase().trim();
+  if (terms.length === 0) return [];
+
+  const hits = [];
+
+  roadmapItems.forEach((item, position) => {
+    const topicScore = scoreText(item.topic, terms, phrase);
+    const subTopics = (item.subTopics || []).filter(s => scoreText(s.name, terms, phrase) > 0);
+    const projects = (item.projects || []).filter(p => scoreText(p.name, terms, phrase) > 0);
+
+    const score = topicScore * MATCH_WEIGHTS.topic +
+      subTopics.reduce((sum, s) => sum + scoreText(s.name, terms, phrase), 0) * MATCH_WEIGHTS.subTopics +
+      projects.reduce((sum, p) => sum + scoreText(p.name, terms, phrase), 0) * MATCH_WEIGHTS.projects;
+
+    if (score === 0) return;
+
+    const matchedIn = [];
+    if (topicScore > 0) matchedIn.push('topic');
+    if (subTopics.length > 0) matchedIn.push('subTopics');
+    if (projects.length > 0) matchedIn.push('projects');
+
+    hits.push({
+      itemId: item._id,
+      position,
+      topic: item.topic,
+      score,
+      matchedIn,
+      subTopics: subTopics.map(({ _id, name }) => ({ _id, name })),
+      projects: projects.map(({ _id, name }) => ({ _id, name }))
+    });
+  });
+
+  return hits.sort((a, b) => b.score - a.score || a.position - b.position);
+};
\ No newline at end of file
@@ -0,0 +1,29 @@
+// server/utils/stackNameHelpers.js
+
+/**
+ * Normalize a tech stack name for comparison: lowercase, letters and digits
+ * only, without a trailing "js" and with accidental repeats collapsed
+ * ("Next JS" and "NextJS" -> "next", "Encore.tsEncore.ts" -> "encorets").
+ * "#" and "+" are spelled out first so "C#" and "C++" stay apart ("csharp",
+ * "cplusplus"). Stored as the stack's slug and used to match names and
+ * aliases; re-run `npm run migrate:tech-stack-slugs` after changing it.
+ * @param {string} name - Tech stack name
+ * @returns {string}
+ */
+export const normalizeStackName = (name) => {
+  let normalized = (name || '')
+    .toLowerCase()
+    .replace(/#/g, 'sharp')
+    .replace(/\+/g, 'plus')
+    .replace(/[^a-z0-9]+/g, '');
+
+  // "abcabc" -> "abc"
+  const repeat = /^(.+?)\1+$/.exec(normalized);
+  if (repeat && repeat[1].length >= 3) normalized = repeat[1];
+
+  if (normalized.length > 4 && normalized.endsWith('js')) {
+    normalized = normalized.slice(0, -2);
+  }
+
+  return normalized;
+};
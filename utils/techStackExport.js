@@ -0,0 +1,187 @@
+// server/utils/techStackExport.js
+import XLSX from 'xlsx';
+
+// Identifies JSON dumps produced by this server so they can be re-imported
+export const JSON_EXPORT_FORMAT = 'tech-stack-export';
+// Version 2 added aliases and stack prerequisites (by name)
+export const JSON_EXPORT_VERSION = 2;
+
+// Columns added after Status when any topic has metadata; the importers
+// recognise these headers
+const METADATA_HEADERS = ['Estimated Hours', 'Difficulty', 'Resources', 'Prerequisites'];
+
+const hasMetadata = (item) => item.estimatedHours !== undefined && item.estimatedHours !== null ||
+  Boolean(item.difficulty) ||
+  (item.resources || []).length > 0 ||
+  (item.prerequisites || []).length > 0;
+
+/**
+ * Metadata cells of an item, in METADATA_HEADERS order. Resources are written
+ * as "[type] Title | URL" lines and prerequisites as topic names.
+ * @param {Object} item - Roadmap item
+ * @param {Map<string, string>} topicsById - Topic of every item of the stack
+ * @returns {Array<string>}
+ */
+const toMetadataCells = (item, topicsById) => [
+  item.estimatedHours ?? '',
+  item.difficulty || '',
+  (item.resources || [])
+    .map(r => `[${r.type || 'doc'}] ${r.title ? `${r.title} | ` : ''}${r.url}`)
+    .join('\n'),
+  (item.prerequisites || [])
+    .map(id => topicsById.get(id.toString()))
+    .filter(Boolean)
+    .join('\n')
+];
+
+/**
+ * Rows of a tech stack in the csv-output layout: one header row using the
+ * stack's custom headers, then one row per topic with subtopics and projects
+ * on separate lines of their cell. Metadata columns are appended only when
+ * some topic has hours, difficulty, resources or prerequisites.
+ * @param {Object} techStack - Tech stack document or plain object
+ * @param {Object} [options]
+ * @param {boolean} [options.projectRows=false] - Put each project after the
+ *   first on a row of its own with an empty topic, the layout the workbook
+ *   importer reads (it takes a project cell as one project)
+ * @returns {Array<Array<string>>} - Rows
+ */
+export const toRows = (techStack, { projectRows = false } = {}) => {
+  const headers = techStack.headers || {};
+  const items = techStack.roadmapItems || [];
+  const includeMetadata = items.some(hasMetadata);
+  const topicsById = new Map(items.map(item => [item._id?.toString(), item.topic]));
+
+  const headerRow = [
+    headers.topic || 'Topic',
+    headers.subTopics || 'Sub-Topics',
+    headers.projects || 'Projects',
+    headers.status || 'Status',
+    ...(includeMetadata ? METADATA_HEADERS : [])
+  ];
+
+  const rows = items.flatMap(item => {
+    const projects = (item.projects || []).map(p => p.name);
+    const row = [
+      item.topic,
+      (item.subTopics || []).map(s => s.name).join('\n'),
+      projectRows ? projects[0] || '' : projects.join('\n'),
+      item.completionStatus || 'Yet to Start',
+      ...(includeMetadata ? toMetadataCells(item, topicsById) : [])
+    ];
+    if (!projectRows) return [row];
+
+    // Rows without a topic add to the topic above them
+    const blank = row.map(() => '');
+    return [row, ...projects.slice(1).map(project => Object.assign([...blank], { 2: project }))];
+  });
+
+  return [headerRow, ...rows];
+};
+
+/**
+ * Convert rows to CSV text, quoting cells with commas, quotes or newlines
+ * @param {Array<Array>} rows - Rows of cells
+ * @returns {string} - CSV text
+ */
+const rowsToCSV = (rows) => rows.map(row =>
+  row.map(cell => {
+    if (cell === null || cell === undefined) return '';
+    const cellStr = cell.toString();
+    if (cellStr.includes(',') || cellStr.includes('"') || cellStr.includes('\n') || cellStr.includes('\r')) {
+      return `"${cellStr.replace(/"/g, '""')}"`;
+    }
+    return cellStr;
+  }).join(',')
+).join('\n');
+
+/**
+ * Export one tech stack as CSV
+ * @param {Object} techStack - Tech stack
+ * @returns {string} - CSV text
+ */
+export const toCSV = (techStack) => rowsToCSV(toRows(techStack));
+
+/**
+ * Excel sheet name for a stack: at most 31 characters, no []:*?/\ and
+ * unique within the workbook
+ * @param {string} name - Tech stack name
+ * @param {Set<string>} usedNames - Sheet names already taken (lowercase)
+ * @returns {string} - Sheet name
+ */
+const toSheetName = (name, usedNames) => {
+  const base = name.replace(/[[\]:*?/\\]/g, '_').slice(0, 31) || 'Sheet';
+  let sheetName = base;
+  let counter = 2;
+
+  while (usedNames.has(sheetName.toLowerCase())) {
+    const suffix = ` (${counter++})`;
+    sheetName = `${base.slice(0, 31 - suffix.length)}${suffix}`;
+  }
+
+  usedNames.add(sheetName.toLowerCase());
+  return sheetName;
+};
+
+/**
+ * Export tech stacks as an XLSX workbook with one sheet per stack and one
+ * row per project (the reverse of spreadsheetConverter.js)
+ * @param {Array<Object>} techStacks - Tech stacks
+ * @returns {Buffer} - XLSX file contents
+ */
+export const toWorkbookBuffer = (techStacks) => {
+  const workbook = XLSX.utils.book_new();
+  const usedNames = new Set();
+
+  techStacks.forEach(techStack => {
+    const worksheet = XLSX.utils.aoa_to_sheet(toRows(techStack, { projectRows: true }));
+    XLSX.utils.book_append_sheet(workbook, worksheet, toSheetName(techStack.name, usedNames));
+  });
+
+  return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+};
+
+/**
+ * Export tech stacks as a JSON dump that the import endpoint accepts back
+ * without losing anything (custom headers, statuses, item ids, aliases and
+ * prerequisites included). Stack prerequisites are written as names, so
+ * populate them first; they are resolved by name again on import.
+ * @param {Array<Object>} techStacks - Tech stacks
+ * @returns {Object} - JSON document
+ */
+export const toJSONDump = (techStacks) => ({
+  format: JSON_EXPORT_FORMAT,
+  version: JSON_EXPORT_VERSION,
+  exportedAt: new Date().toISOString(),
+  techStacks: techStacks.map(techStack => {
+    const { name, description, headers, roadmapItems, aliases = [], prerequisites = [] } =
+      techStack.toObject ? techStack.toObject() : techStack;
+    return {
+      name,
+      description,
+      aliases,
+      prerequisites: prerequisites.map(prerequisite => prerequisite.name || String(prerequisite)),
+      headers,
+      roadmapItems
+    };
+  })
+});
+
+/**
+ * Read a JSON dump produced by toJSONDump
+ * @param {string} text - JSON text
+ * @returns {Array<Object>} - Tech stacks (name, description, aliases,
+ *   prerequisites by name, headers, roadmapItems)
+ */
+export const parseJSONDump = (text) => {
+  const dump = JSON.parse(text);
+
+  if (dump.format !== JSON_EXPORT_FORMAT || !Array.isArray(dump.techStacks)) {
+    throw new Error('Not a tech stack export file');
+  }
+  if (dump.version > JSON_EXPORT_VERSION) {
+    throw new Error(`Unsupported export version ${dump.version}`);
+  }
+
+  return dump.techStacks;
+};
@@ -0,0 +1,795 @@
+// server/utils/techStackImport.js
+import mongoose from 'mongoose';
+import Papa from 'papaparse';
+import XLSX from 'xlsx';
+import TechStack, { DIFFICULTY_LEVELS, RESOURCE_TYPES } from '../models/TechStack.js';
+import { diffTechStacks } from './diffHelpers.js';
+import { findTechStackByName } from './techStackRefs.js';
+
+// Header alternatives recognised in CSV files (case-insensitive, partial match)
+const CSV_COLUMN_MAPPINGS = {
+  topic: ['topics', 'topic', 'technology'],
+  subtopic: ['sub-topics', 'subtopics', 'sub-topic', 'subtopic'],
+  project: ['project/app to build', 'projects', 'projects/apps built'],
+  status: ['status of completion', 'status', 'completion status']
+};
+
+// Optional metadata columns (CSV and XLSX, case-insensitive, partial match)
+const METADATA_COLUMN_MAPPINGS = {
+  estimatedHours: ['estimated hours', 'hours', 'duration', 'estimate'],
+  difficulty: ['difficulty', 'level'],
+  resources: ['resources', 'resource', 'links'],
+  prerequisites: ['prerequisites', 'prerequisite', 'depends on', 'requires']
+};
+
+// Difficulty words used in spreadsheets
+const DIFFICULTY_ALIASES = {
+  Beginner: ['beginner', 'basic', 'easy', 'intro'],
+  Intermediate: ['intermediate', 'medium', 'moderate'],
+  Advanced: ['advanced', 'hard', 'expert']
+};
+
+// Hosts whose links are videos or courses; anything else counts as a doc
+const RESOURCE_HOSTS = {
+  video: ['youtube.com', 'youtu.be', 'vimeo.com'],
+  course: ['udemy.com', 'coursera.org', 'edx.org', 'pluralsight.com', 'frontendmasters.com', 'codecademy.com']
+};
+
+// "[video] ..." or "video: ..." at the start of a resource line
+const RESOURCE_TYPE_PREFIX = new RegExp(
+  `^(?:\\[(${RESOURCE_TYPES.join('|')})\\]|(${RESOURCE_TYPES.join('|')})\\s*:)\\s*`,
+  'i'
+);
+
+// Sheets that never hold a tech stack
+const IGNORED_SHEETS = ['readme', 'instructions'];
+
+/**
+ * Normalize status values to standard format
+ * @param {string} status - Input status
+ * @returns {string} - Normalized status
+ */
+export const normalizeStatus = (status) => {
+  if (!status) return 'Yet to Start';
+
+  const statusStr = status.toString().toLowerCase();
+  if (statusStr.includes('complete') || statusStr.includes('done') || statusStr.includes('finish')) {
+    return 'Completed';
+  } else if (statusStr.includes('progress') || statusStr.includes('ongoing') || statusStr.includes('partial')) {
+    return 'In Progress';
+  } else {
+    return 'Yet to Start';
+  }
+};
+
+/**
+ * Split a multi-line cell into `{ name }` entries
+ * @param {string} text - Cell text
+ * @returns {Array<{name: string}>}
+ */
+const splitLines = (text) => text
+  .toString()
+  .split(/\r?\n/)
+  .map(s => s.trim())
+  .filter(s => s)
+  .map(name => ({ name }));
+
+/**
+ * Find the optional metadata columns among a file's headers
+ * @param {Array<string>} rawHeaders - Header row
+ * @param {Array<string>} usedHeaders - Headers already mapped to topic, subtopic, project or status
+ * @returns {Object} - Header per metadata key (estimatedHours, difficulty, resources, prerequisites)
+ */
+const findMetadataColumns = (rawHeaders, usedHeaders) => {
+  const columns = {};
+
+  for (const [key, alternatives] of Object.entries(METADATA_COLUMN_MAPPINGS)) {
+    const matchedHeader = rawHeaders.find(h =>
+      h && !usedHeaders.includes(h) && !Object.values(columns).includes(h) &&
+      alternatives.some(alt => h.toLowerCase().includes(alt))
+    );
+    if (matchedHeader) columns[key] = matchedHeader;
+  }
+
+  return columns;
+};
+
+/**
+ * Normalize a difficulty cell to one of DIFFICULTY_LEVELS
+ * @param {string} value - Cell value
+ * @returns {string|undefined} - Difficulty, or undefined when unrecognised
+ */
+export const normalizeDifficulty = (value) => {
+  const text = value.toString().trim().toLowerCase();
+  return DIFFICULTY_LEVELS.find(level =>
+    DIFFICULTY_ALIASES[level].some(alias => text.includes(alias))
+  );
+};
+
+/**
+ * Parse one resource line. Accepts a bare URL or "[type] Title | URL"
+ * (also "type: Title - URL"); without a type it is guessed from the host.
+ * @param {string} line - Resource line
+ * @returns {{title: string, url: string, type: string}|null} - null without a URL
+ */
+export const parseResourceLine = (line) => {
+  const urlMatch = line.match(/https?:\/\/\S+/i);
+  if (!urlMatch) return null;
+
+  const url = urlMatch[0];
+  let label = line.replace(url, '').trim();
+  let type;
+
+  const typeMatch = label.match(RESOURCE_TYPE_PREFIX);
+  if (typeMatch) {
+    type = (typeMatch[1] || typeMatch[2]).toLowerCase();
+    label = label.slice(typeMatch[0].length);
+  }
+
+  if (!type) {
+    const host = url.replace(/^https?:\/\//i, '').split('/')[0].toLowerCase();
+    type = Object.keys(RESOURCE_HOSTS).find(key =>
+      RESOURCE_HOSTS[key].some(domain => host === domain || host.endsWith(`.${domain}`))
+    ) || 'doc';
+  }
+
+  const title = label.replace(/^[\s|:–-]+|[\s|:–-]+$/g, '');
+  return { ...(title && { title }), url, type };
+};
+
+/**
+ * Read the metadata cells of a row. Prerequisites are kept as topic names
+ * (`prerequisiteTopics`) until linkPrerequisites turns them into item ids.
+ * @param {Object} cells - Raw cell values keyed like METADATA_COLUMN_MAPPINGS
+ * @param {string} rowLabel - Row reference used in warnings
+ * @returns {{metadata: Object, warnings: Array<string>}}
+ */
+export const parseItemMetadata = (cells, rowLabel) => {
+  const metadata = { resources: [], prerequisiteTopics: [] };
+  const warnings = [];
+  const isFilled = value => value !== undefined && value !== null && value.toString().trim() !== '';
+
+  if (isFilled(cells.estimatedHours)) {
+    const hours = parseFloat(cells.estimatedHours.toString().replace(',', '.'));
+    if (Number.isFinite(hours) && hours >= 0) {
+      metadata.estimatedHours = hours;
+    } else {
+      warnings.push(`${rowLabel}: ignored estimated hours "${cells.estimatedHours}"`);
+    }
+  }
+
+  if (isFilled(cells.difficulty)) {
+    const difficulty = normalizeDifficulty(cells.difficulty);
+    if (difficulty) {
+      metadata.difficulty = difficulty;
+    } else {
+      warnings.push(`${rowLabel}: ignored difficulty "${cells.difficulty}"`);
+    }
+  }
+
+  if (isFilled(cells.resources)) {
+    splitLines(cells.resources).forEach(({ name }) => {
+      const resource = parseResourceLine(name);
+      if (resource) {
+        metadata.resources.push(resource);
+      } else {
+        warnings.push(`${rowLabel}: ignored resource without a URL "${name}"`);
+      }
+    });
+  }
+
+  if (isFilled(cells.prerequisites)) {
+    metadata.prerequisiteTopics = cells.prerequisites
+      .toString()
+      .split(/\r?\n|;/)
+      .map(topic => topic.trim())
+      .filter(Boolean);
+  }
+
+  return { metadata, warnings };
+};
+
+/**
+ * Add a row's resources and prerequisites to an item, and its hours and
+ * difficulty unless the item already has them
+ * @param {Object} item - Roadmap item being built
+ * @param {Object} metadata - Result of parseItemMetadata
+ */
+const mergeItemMetadata = (item, metadata) => {
+  if (item.estimatedHours === undefined && metadata.estimatedHours !== undefined) {
+    item.estimatedHours = metadata.estimatedHours;
+  }
+  if (!item.difficulty && metadata.difficulty) {
+    item.difficulty = metadata.difficulty;
+  }
+
+  item.resources = item.resources || [];
+  (metadata.resources || []).forEach(resource => {
+    if (!item.resources.some(r => r.url === resource.url)) {
+      item.resources.push(resource);
+    }
+  });
+
+  item.prerequisiteTopics = item.prerequisiteTopics || [];
+  (metadata.prerequisiteTopics || []).forEach(topic => {
+    if (!item.prerequisiteTopics.includes(topic)) {
+      item.prerequisiteTopics.push(topic);
+    }
+  });
+};
+
+/**
+ * Give parsed items their ids and turn prerequisite topic names into the ids
+ * of those items (matched case-insensitively)
+ * @param {Array<Object>} roadmapItems - Parsed items, changed in place
+ * @returns {Array<string>} - Warnings for prerequisites that matched no other topic
+ */
+export const linkPrerequisites = (roadmapItems) => {
+  const warnings = [];
+
+  roadmapItems.forEach(item => {
+    if (!item._id) item._id = new mongoose.Types.ObjectId();
+  });
+  const idsByTopic = new Map(roadmapItems.map(item => [item.topic.toLowerCase(), item._id]));
+
+  roadmapItems.forEach(item => {
+    const { prerequisiteTopics = [] } = item;
+    delete item.prerequisiteTopics;
+    if (prerequisiteTopics.length === 0) return;
+
+    item.prerequisites = [];
+    prerequisiteTopics.forEach(topic => {
+      const id = idsByTopic.get(topic.toLowerCase());
+      if (!id || id === item._id) {
+        warnings.push(`"${item.topic}": unknown prerequisite "${topic}"`);
+      } else if (!item.prerequisites.includes(id)) {
+        item.prerequisites.push(id);
+      }
+    });
+  });
+
+  return warnings;
+};
+
+/**
+ * Merge a roadmap item into a map of items keyed by topic. Duplicate topics
+ * get their subtopics and projects combined, and keep the most advanced
+ * status (Completed > In Progress > Yet to Start). Hours and difficulty come
+ * from the first row that has them; resources and prerequisites are combined.
+ * @param {Map<string, Object>} topicsMap - Items keyed by topic
+ * @param {Object} item - Roadmap item to merge
+ */
+export const mergeRoadmapItem = (topicsMap, item) => {
+  if (!topicsMap.has(item.topic)) {
+    topicsMap.set(item.topic, {
+      ...item,
+      subTopics: [...(item.subTopics || [])],
+      projects: [...(item.projects || [])],
+      ...(item.resources && { resources: [...item.resources] }),
+      ...(item.prerequisiteTopics && { prerequisiteTopics: [...item.prerequisiteTopics] })
+    });
+    return;
+  }
+
+  const existingItem = topicsMap.get(item.topic);
+  mergeItemMetadata(existingItem, item);
+
+  // Merge subtopics
+  (item.subTopics || []).forEach(subtopic => {
+    if (!existingItem.subTopics.some(s => s.name === subtopic.name)) {
+      existingItem.subTopics.push(subtopic);
+    }
+  });
+
+  // Merge projects
+  (item.projects || []).forEach(project => {
+    if (!existingItem.projects.some(p => p.name === project.name)) {
+      existingItem.projects.push(project);
+    }
+  });
+
+  // Update status with highest priority (Completed > In Progress > Yet to Start)
+  const status = item.completionStatus;
+  if (status === 'Completed' ||
+      (status === 'In Progress' && existingItem.completionStatus !== 'Completed')) {
+    existingItem.completionStatus = status;
+  }
+};
+
+/**
+ * Parse CSV text into roadmap items. Each row is one topic; rows repeating
+ * a topic are merged into it.
+ * @param {string} csvText - CSV content
+ * @returns {{headers: Object, headerMapping: Object, roadmapItems: Array, rowCount: number, skippedRows: Array, warnings: Array<string>}}
+ */
+export const parseCSVText = (csvText) => {
+  const { data } = Papa.parse(csvText, {
+    header: true,
+    skipEmptyLines: true,
+    dynamicTyping: false, // Keep as string to preserve newlines
+    transformHeader: header => header.trim() // Trim whitespace from headers
+  });
+
+  // Get the header names
+  const rawHeaders = Object.keys(data[0] || {});
+
+  // Map raw headers to our expected names and store original header names
+  const headerMapping = {};
+  // Store the original header names for display
+  const headers = {
+    topic: "Topic",
+    subTopics: "Sub-Topics",
+    projects: "Projects",
+    status: "Status"
+  };
+  const displayKeys = { topic: 'topic', subtopic: 'subTopics', project: 'projects', status: 'status' };
+
+  for (const [key, alternatives] of Object.entries(CSV_COLUMN_MAPPINGS)) {
+    const matchedHeader = rawHeaders.find(h =>
+      alternatives.some(alt =>
+        h.toLowerCase().includes(alt.toLowerCase())
+      )
+    );
+
+    if (matchedHeader) {
+      headerMapping[key] = matchedHeader;
+      headers[displayKeys[key]] = matchedHeader;
+    }
+  }
+
+  // Check if we have the required topic column
+  if (!headerMapping.topic) {
+    throw new Error('CSV must have a column for Topics');
+  }
+
+  const metadataColumns = findMetadataColumns(rawHeaders, Object.values(headerMapping));
+  Object.assign(headerMapping, metadataColumns);
+
+  const topicsMap = new Map();
+  const skippedRows = [];
+  const warnings = [];
+
+  data.forEach((row, index) => {
+    const topic = row[headerMapping.topic];
+    if (!topic) {
+      skippedRows.push({ row: index + 1, reason: 'Missing topic' });
+      return;
+    }
+
+    // Split subtopics by newlines and filter out empty lines
+    const subTopics = headerMapping.subtopic && row[headerMapping.subtopic]
+      ? splitLines(row[headerMapping.subtopic])
+      : [];
+
+    let projects = [];
+    if (headerMapping.project && row[headerMapping.project]) {
+      // If project contains newlines, split it, otherwise use as is
+      projects = row[headerMapping.project].includes('\n')
+        ? splitLines(row[headerMapping.project])
+        : [{ name: row[headerMapping.project].trim() }];
+    }
+
+    const completionStatus = headerMapping.status && row[headerMapping.status]
+      ? normalizeStatus(row[headerMapping.status])
+      : 'Yet to Start';
+
+    const cells = Object.fromEntries(
+      Object.entries(metadataColumns).map(([key, header]) => [key, row[header]])
+    );
+    const { metadata, warnings: rowWarnings } = parseItemMetadata(cells, `Row ${index + 1}`);
+    warnings.push(...rowWarnings);
+
+    mergeRoadmapItem(topicsMap, { topic, subTopics, projects, completionStatus, ...metadata });
+  });
+
+  const roadmapItems = Array.from(topicsMap.values());
+  warnings.push(...linkPrerequisites(roadmapItems));
+
+  return {
+    headers,
+    headerMapping,
+    roadmapItems,
+    rowCount: data.length,
+    skippedRows,
+    warnings
+  };
+};
+
+/**
+ * Parse one worksheet into roadmap items. A row with a topic starts a new
+ * topic; rows without one add subtopics/projects to the previous topic.
+ * @param {Object} worksheet - XLSX worksheet
+ * @returns {{headers: Object, headerMapping: Object, roadmapItems: Array, rowCount: number, skippedRows: Array, warnings: Array<string>}|null}
+ *   - null when the sheet has no Topic column
+ */
+export const parseWorksheet = (worksheet) => {
+  // Convert to JSON, keeping headers as the first row
+  const jsonData = XLSX.utils.sheet_to_json(worksheet, {
+    header: 1,
+    raw: true,
+    defval: ''
+  });
+
+  // Get the header row (first row)
+  const rawHeaders = (jsonData[0] || []).map(h => h ? h.toString().trim() : '');
+
+  // Identify column indices
+  const topicIndex = rawHeaders.findIndex(h => h.toLowerCase().includes('topic') && !h.toLowerCase().includes('sub'));
+  const subTopicsIndex = rawHeaders.findIndex(h => h.toLowerCase().includes('sub-topic') || h.toLowerCase().includes('subtopic'));
+  const projectIndex = rawHeaders.findIndex(h =>
+    h.toLowerCase().includes('project') ||
+    h.toLowerCase().includes('task') ||
+    h.toLowerCase().includes('app')
+  );
+  const statusIndex = rawHeaders.findIndex(h => h.toLowerCase().includes('status'));
+
+  if (topicIndex === -1) return null;
+
+  // Store custom headers
+  const headers = {
+    topic: rawHeaders[topicIndex] || "Topic",
+    subTopics: rawHeaders[subTopicsIndex] || "Sub-Topics",
+    projects: rawHeaders[projectIndex] || "Project / Task",
+    status: rawHeaders[statusIndex] || "Status"
+  };
+
+  const headerMapping = {
+    topic: rawHeaders[topicIndex],
+    ...(subTopicsIndex !== -1 && { subtopic: rawHeaders[subTopicsIndex] }),
+    ...(projectIndex !== -1 && { project: rawHeaders[projectIndex] }),
+    ...(statusIndex !== -1 && { status: rawHeaders[statusIndex] })
+  };
+
+  const metadataColumns = findMetadataColumns(rawHeaders, Object.values(headerMapping));
+  Object.assign(headerMapping, metadataColumns);
+  const metadataIndexes = Object.entries(metadataColumns)
+    .map(([key, header]) => [key, rawHeaders.indexOf(header)]);
+
+  // Group by topic to maintain the hierarchical structure
+  const topicMap = new Map();
+  const skippedRows = [];
+  const warnings = [];
+  let currentTopic = null;
+
+  // Process data rows (skip header row)
+  for (let i = 1; i < jsonData.length; i++) {
+    const row = jsonData[i];
+
+    // If this row has a topic value, it's a new topic
+    if (row[topicIndex] && row[topicIndex].toString().trim() !== '') {
+      currentTopic = row[topicIndex].toString().trim();
+
+      // Initialize topic if it doesn't exist
+      if (!topicMap.has(currentTopic)) {
+        topicMap.set(currentTopic, {
+          topic: currentTopic,
+          subTopics: [],
+          projects: [],
+          completionStatus: row[statusIndex] ? normalizeStatus(row[statusIndex]) : 'Yet to Start'
+        });
+      }
+    }
+
+    // Skip if we haven't found a valid topic yet
+    if (!currentTopic) {
+      skippedRows.push({ row: i, reason: 'No topic before this row' });
+      continue;
+    }
+
+    // Get the current topic object
+    const topicObj = topicMap.get(currentTopic);
+
+    // Process subtopics, one per line of the cell
+    if (subTopicsIndex !== -1 && row[subTopicsIndex] && row[subTopicsIndex].toString().trim() !== '') {
+      splitLines(row[subTopicsIndex]).forEach(subtopic => {
+        if (!topicObj.subTopics.some(s => s.name === subtopic.name)) {
+          topicObj.subTopics.push(subtopic);
+        }
+      });
+    }
+
+    // Process projects
+    if (projectIndex !== -1 && row[projectIndex] && row[projectIndex].toString().trim() !== '') {
+      const project = row[projectIndex].toString().trim();
+      if (!topicObj.projects.some(p => p.name === project)) {
+        topicObj.projects.push({ name: project });
+      }
+    }
+
+    // Update status if provided
+    if (statusIndex !== -1 && row[statusIndex] && row[statusIndex].toString().trim() !== '') {
+      const status = normalizeStatus(row[statusIndex]);
+      // Update status with highest priority (Completed > In Progress > Yet to Start)
+      if (status === 'Completed' ||
+          (status === 'In Progress' && topicObj.completionStatus !== 'Completed')) {
+        topicObj.completionStatus = status;
+      }
+    }
+
+    // Hours, difficulty, resources and prerequisites from the optional columns
+    const cells = Object.fromEntries(metadataIndexes.map(([key, index]) => [key, row[index]]));
+    const { metadata, warnings: rowWarnings } = parseItemMetadata(cells, `Row ${i}`);
+    warnings.push(...rowWarnings);
+    mergeItemMetadata(topicObj, metadata);
+  }
+
+  const roadmapItems = Array.from(topicMap.values());
+  warnings.push(...linkPrerequisites(roadmapItems));
+
+  return {
+    headers,
+    headerMapping,
+    roadmapItems,
+    rowCount: Math.max(jsonData.length - 1, 0),
+    skippedRows,
+    warnings
+  };
+};
+
+/**
+ * Parse every sheet of a workbook. Each sheet becomes one tech stack named
+ * after the sheet; sheets that can't be imported are reported with a reason.
+ * @param {Object} workbook - XLSX workbook
+ * @returns {Array<Object>} - One result per sheet
+ */
+export const parseWorkbook = (workbook) => workbook.SheetNames.map(sheetName => {
+  if (IGNORED_SHEETS.includes(sheetName.toLowerCase())) {
+    return { sheet: sheetName, skipped: true, reason: 'Ignored sheet' };
+  }
+
+  const parsed = parseWorksheet(workbook.Sheets[sheetName]);
+
+  if (!parsed) {
+    return { sheet: sheetName, skipped: true, reason: 'Missing a Topic column' };
+  }
+  if (parsed.rowCount === 0) {
+    return { sheet: sheetName, skipped: true, reason: 'No data rows' };
+  }
+  if (parsed.roadmapItems.length === 0) {
+    return { sheet: sheetName, skipped: true, reason: 'No valid roadmap items', ...parsed };
+  }
+
+  return { sheet: sheetName, skipped: false, ...parsed };
+});
+
+// Options used when reading workbooks from disk or from an upload
+export const WORKBOOK_READ_OPTIONS = {
+  cellStyles: true,
+  cellDates: true,
+  cellNF: true,
+  raw: true // Get raw values to preserve newlines
+};
+
+// Give entries the ids of stored entries with the same name (case-insensitive),
+// each stored id once. Used for items by topic and their subtopics/projects.
+const keepIdsByName = (existingEntries = [], importedEntries = [], getName) => {
+  const idsByName = new Map(existingEntries.map(entry => [getName(entry).trim().toLowerCase(), entry._id]));
+  const idMap = new Map();
+
+  importedEntries.forEach(entry => {
+    const name = getName(entry).trim().toLowerCase();
+    const existingId = idsByName.get(name);
+    if (!existingId) return;
+    idsByName.delete(name);
+    if (entry._id) idMap.set(entry._id.toString(), existingId);
+    entry._id = existingId;
+  });
+
+  return idMap;
+};
+
+/**
+ * Give imported items the ids of the stored items with the same topic
+ * (case-insensitive), and their subtopics and projects the ids of the stored
+ * ones with the same name, so learner progress, topic selections and item
+ * prerequisites that point at them survive a re-import
+ * @param {Array<Object>} existingItems - Items of the stored stack
+ * @param {Array<Object>} importedItems - Parsed items with ids, changed in place
+ * @returns {Array<Object>} - The imported items
+ */
+const keepExistingItemIds = (existingItems = [], importedItems = []) => {
+  const idMap = keepIdsByName(existingItems, importedItems, item => item.topic);
+  const existingById = new Map(existingItems.map(item => [item._id.toString(), item]));
+
+  importedItems.forEach(item => {
+    const existing = existingById.get(item._id && item._id.toString());
+    if (!existing) return;
+    keepIdsByName(existing.subTopics, item.subTopics, entry => entry.name);
+    keepIdsByName(existing.projects, item.projects, entry => entry.name);
+  });
+
+  importedItems.forEach(item => {
+    if (item.prerequisites) {
+      item.prerequisites = item.prerequisites.map(id => idMap.get(id.toString()) || id);
+    }
+  });
+
+  return importedItems;
+};
+
+/**
+ * The stack an import writes to: a live stack found by name, normalized name
+ * or alias, else a trashed stack with the exact name. The unique name index
+ * still holds trashed stacks, so creating a new one would fail.
+ * @param {string} name - Imported stack name
+ * @returns {Promise<{techStack: Object, hint: Object|null, trashed: boolean}|null>}
+ */
+const findImportTarget = async (name) => {
+  const found = await findTechStackByName(name);
+  if (found) return { ...found, trashed: false };
+
+  const trashed = await TechStack.findOne({ name }).setOptions({ withDeleted: true });
+  return trashed ? { techStack: trashed, hint: null, trashed: true } : null;
+};
+
+/**
+ * Set a stack's prerequisites from names (as in a JSON export). Call it once
+ * every stack of the file is saved, so names listed later in the file resolve.
+ * @param {Object} techStack - Saved tech stack document (saved again here)
+ * @param {Array<string>} names - Prerequisite stack names, normalized names or aliases
+ * @returns {Promise<Array<string>>} - Warnings for names that match no single stack
+ */
+export const setPrerequisitesByName = async (techStack, names = []) => {
+  const warnings = [];
+  const ids = [];
+
+  for (const name of names) {
+    const found = await findTechStackByName(name).catch(error => {
+      warnings.push(`Prerequisite "${name}": ${error.message}`);
+      return undefined;
+    });
+    if (found === null) warnings.push(`Unknown prerequisite "${name}"`);
+    if (!found || found.techStack._id.equals(techStack._id)) continue;
+    if (!ids.some(id => id.equals(found.techStack._id))) ids.push(found.techStack._id);
+  }
+
+  techStack.prerequisites = ids;
+  await techStack.save();
+  return warnings;
+};
+
+/**
+ * Create a tech stack or replace the curriculum of the existing one. A stack
+ * with the exact name is updated; one in the trash is restored and
+ * overwritten. A stack that only matches by normalized name or alias (a
+ * sheet "ReactJS" and the stack "React JS") is left alone unless matchNames
+ * is set, since different stacks can normalize alike; the result then has
+ * action "name-match". With matchNames it is updated and keeps its name.
+ * Topics that are still there keep their item ids.
+ * @param {Object} techStackData - name, description, headers, roadmapItems and
+ *   optionally aliases
+ * @param {Object} revision - Revision metadata ({ source, message, changedBy })
+ * @param {Object} [options]
+ * @param {boolean} [options.matchNames=false] - Update stacks found by normalized name or alias
+ * @returns {Promise<{action: string, techStack: Object|null, hint: Object|null}>} - action is
+ *   "created", "updated", "restored" or "name-match" (nothing written);
+ *   hint is set when the name matched another stack name
+ */
+export const upsertTechStack = async (techStackData, revision, { matchNames = false } = {}) => {
+  const found = await findImportTarget(techStackData.name);
+
+  if (found && found.hint && !matchNames) {
+    return { action: 'name-match', techStack: null, hint: found.hint };
+  }
+
+  if (found) {
+    const { techStack: existingTechStack, hint, trashed } = found;
+    if (trashed) {
+      existingTechStack.deletedAt = null;
+      existingTechStack.deletedBy = undefined;
+    }
+    existingTechStack.description = techStackData.description;
+    existingTechStack.roadmapItems = keepExistingItemIds(existingTechStack.roadmapItems, techStackData.roadmapItems);
+    existingTechStack.headers = techStackData.headers;
+    // Only JSON exports carry aliases; spreadsheets leave them alone
+    if (techStackData.aliases !== undefined) existingTechStack.aliases = techStackData.aliases;
+    existingTechStack.$locals.revision = revision;
+    await existingTechStack.save();
+    return { action: trashed ? 'restored' : 'updated', techStack: existingTechStack, hint };
+  }
+
+  const newTechStack = new TechStack(techStackData);
+  newTechStack.$locals.revision = revision;
+  await newTechStack.save();
+  return { action: 'created', techStack: newTechStack, hint: null };
+};
+
+/**
+ * Work out what upsertTechStack would do without writing anything
+ * @param {Object} techStackData - name, description, headers and roadmapItems
+ * @param {Object} [options]
+ * @param {boolean} [options.matchNames=false] - See upsertTechStack
+ * @returns {Promise<{action: string, diff: Object, hint: Object|null}>} - action is
+ *   "create", "update", "restore" or "name-match"; diff compares the stored
+ *   stack with the imported data (for "name-match", the update matchNames would make)
+ */
+export const previewTechStackImport = async (techStackData, { matchNames = false } = {}) => {
+  const found = await findImportTarget(techStackData.name);
+  if (!found) {
+    return { action: 'create', diff: diffTechStacks({}, techStackData), hint: null };
+  }
+
+  // The stored name is kept, so it is not part of the diff
+  const existingTechStack = found.techStack.toObject();
+  let action = found.trashed ? 'restore' : 'update';
+  if (found.hint && !matchNames) action = 'name-match';
+
+  return {
+    action,
+    diff: diffTechStacks(existingTechStack, { ...techStackData, name: existingTechStack.name }),
+    hint: found.hint
+  };
+};
+
+/**
+ * Sentence saying which stack a name matched and how
+ * @param {Object} hint - Hint from upsertTechStack or previewTechStackImport
+ * @returns {string}
+ */
+export const describeNameMatch = ({ from, to, matchedBy }) =>
+  `"${from}" matches the existing tech stack "${to}" by ${matchedBy === 'alias' ? 'alias' : 'normalized name'}`;
+
+/**
+ * One-line note for the CLI scripts when a sheet name resolved to a stack
+ * with a different name
+ * @param {Object} hint - Hint from upsertTechStack or previewTechStackImport
+ * @returns {string}
+ */
+export const formatNameHint = (hint) => `↪ ${describeNameMatch(hint)}`;
+
+/**
+ * Note for the CLI scripts when a sheet was not imported because its name
+ * only matches another stack by normalized name or alias
+ * @param {Object} hint - Hint from upsertTechStack or previewTechStackImport
+ * @returns {string}
+ */
+export const formatNameMatchSkip = (hint) =>
+  `⚠️ ${describeNameMatch(hint)}; not imported. Rename it to "${hint.to}" or rerun with --match-names to update that stack.`;
+
+/**
+ * Human readable summary of an import preview, for the CLI scripts
+ * @param {string} name - Tech stack name
+ * @param {{action: string, diff: Object, hint: Object}} preview - Result of previewTechStackImport
+ * @param {Object} headerMapping - Detected header mapping
+ * @returns {Array<string>} - Lines to print
+ */
+export const formatImportPreview = (name, { action, diff, hint }, headerMapping) => {
+  const { added, removed, changed, moved, unchanged } = diff.roadmapItems;
+  const lines = action === 'name-match' ? [
+    `🔍 "${name}" would not be imported without --match-names`,
+    `   ${formatNameMatchSkip(hint)}`,
+    '   With --match-names:'
+  ] : [
+    `🔍 "${name}" would be ${{ create: 'created', restore: 'restored from the trash and updated' }[action] || 'updated'}`,
+    ...(hint ? [`   ${formatNameHint(hint)}`] : [])
+  ];
+  lines.push(
+    `   Headers: ${Object.entries(headerMapping).map(([key, header]) => `${key}="${header}"`).join(', ')}`
+  );
+
+  if (action !== 'create') {
+    Object.entries(diff.headers).forEach(([key, { from, to }]) => {
+      lines.push(`   ~ header ${key}: "${from}" -> "${to}"`);
+    });
+    lines.push(`   Topics: ${added.length} added, ${removed.length} removed, ${changed.length} changed, ${moved.length} moved, ${unchanged} unchanged`);
+    removed.forEach(topic => lines.push(`   - ${topic}`));
+    changed.forEach(item => {
+      const parts = [
+        item.subTopics.added.length && `+${item.subTopics.added.length} subtopics`,
+        item.subTopics.removed.length && `-${item.subTopics.removed.length} subtopics`,
+        item.projects.added.length && `+${item.projects.added.length} projects`,
+        item.projects.removed.length && `-${item.projects.removed.length} projects`,
+        item.completionStatus && `status ${item.completionStatus.from} -> ${item.completionStatus.to}`,
+        item.estimatedHours && `hours ${item.estimatedHours.from ?? '-'} -> ${item.estimatedHours.to ?? '-'}`,
+        item.difficulty && `difficulty ${item.difficulty.from ?? '-'} -> ${item.difficulty.to ?? '-'}`,
+        item.resources && `${item.resources.added.length} resources added, ${item.resources.removed.length} removed`,
+        item.prerequisites && 'prerequisites changed'
+      ].filter(Boolean);
+      lines.push(`   ~ ${item.topic} (${parts.join(', ')})`);
+    });
+    moved.forEach(({ topic, from, to }) => lines.push(`   ↕ ${topic} (position ${from + 1} -> ${to + 1})`));
+  }
+
+  added.forEach(topic => lines.push(`   + ${topic}`));
+  return lines;
+};
@@ -0,0 +1,262 @@
+// server/utils/techStackMerge.js
+import TechStack from '../models/TechStack.js';
+import LearnerProgress from '../models/LearnerProgress.js';
+import Roadmap from '../models/Roadmap.js';
+import RoadmapTemplate from '../models/RoadmapTemplate.js';
+import { mergeRoadmapItem } from './techStackImport.js';
+import { replaceTechStackRefs, getRoadmapTechStackIds } from './techStackRefs.js';
+
+// Plain copy of a document or subdocument
+const toPlain = (value) => (value && value.toObject ? value.toObject() : value);
+
+// Ids without duplicates, keeping the first occurrence
+const uniqueIds = (ids) => {
+  const seen = new Set();
+  return ids.filter(id => {
+    const key = id.toString();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+/**
+ * Combine the roadmap items of two stacks the way imports combine duplicate
+ * topic rows: target topics keep their place and id, source topics with the
+ * same name are folded into them, new topics are appended.
+ * @param {Array<Object>} targetItems - Items of the stack that is kept
+ * @param {Array<Object>} sourceItems - Items of the stack merged into it
+ * @returns {{roadmapItems: Array<Object>, itemIdMap: Map<string, Object>, mergedTopics: Array<string>, addedTopics: Array<string>}}
+ *   - itemIdMap maps each source item id to the id of the item it ended up in
+ */
+export const mergeRoadmapItems = (targetItems = [], sourceItems = []) => {
+  const topicsMap = new Map();
+  targetItems.map(toPlain).forEach(item => mergeRoadmapItem(topicsMap, item));
+
+  const itemIdMap = new Map();
+  const mergedTopics = [];
+  const addedTopics = [];
+  const plainSourceItems = sourceItems.map(toPlain);
+
+  plainSourceItems.forEach(item => {
+    const existing = topicsMap.get(item.topic);
+    (existing ? mergedTopics : addedTopics).push(item.topic);
+    mergeRoadmapItem(topicsMap, item);
+    itemIdMap.set(item._id.toString(), topicsMap.get(item.topic)._id);
+  });
+
+  // Item prerequisites of source topics point at source item ids; follow them
+  // to the merged items and combine them with the target's own
+  const mapId = id => itemIdMap.get(id.toString()) || id;
+  plainSourceItems.forEach(item => {
+    const mergedItem = topicsMap.get(item.topic);
+    const ownPrerequisites = addedTopics.includes(item.topic) ? [] : mergedItem.prerequisites || [];
+    mergedItem.prerequisites = uniqueIds([...ownPrerequisites, ...(item.prerequisites || []).map(mapId)])
+      .filter(id => id.toString() !== mergedItem._id.toString());
+  });
+
+  return { roadmapItems: [...topicsMap.values()], itemIdMap, mergedTopics, addedTopics };
+};
+
+/**
+ * Move learners' progress on the source stack to the merged items. Entries
+ * that can't be moved stay on the source (which goes to the trash) and are
+ * reported: their topic no longer exists, or the learner already has
+ * progress on the target item. Completed subtopics and projects are matched by name.
+ * @param {Object} source - Source tech stack
+ * @param {Object} target - Saved target tech stack
+ * @param {Map<string, Object>} itemIdMap - Source item id -> target item id
+ * @returns {Promise<{moved: number, dropped: Array<Object>}>} - Entries moved, and
+ *   the ones left behind with the reason
+ */
+const moveLearnerProgress = async (source, target, itemIdMap) => {
+  const entries = await LearnerProgress.find({ techStack: source._id });
+  const sourceItems = new Map(source.roadmapItems.map(item => [item._id.toString(), item]));
+  const dropped = [];
+  let moved = 0;
+
+  for (const entry of entries) {
+    const sourceItem = sourceItems.get(entry.roadmapItem.toString());
+    const targetItem = target.roadmapItems.id(itemIdMap.get(entry.roadmapItem.toString()));
+
+    const exists = targetItem && await LearnerProgress.exists({
+      learner: entry.learner,
+      techStack: target._id,
+      roadmapItem: targetItem._id
+    });
+    if (!sourceItem || !targetItem || exists) {
+      dropped.push({
+        _id: entry._id,
+        learner: entry.learner,
+        roadmapItem: entry.roadmapItem,
+        ...(sourceItem && { topic: sourceItem.topic }),
+        reason: exists ? 'Learner already has progress on the merged topic' : 'Topic no longer exists'
+      });
+      continue;
+    }
+
+    // Subtopic/project ids differ when the topic was folded into an existing one
+    const remap = (completedIds, field) => completedIds
+      .map(id => sourceItem[field].id(id))
+      .filter(Boolean)
+      .map(done => targetItem[field].find(candidate => candidate.name === done.name))
+      .filter(Boolean)
+      .map(match => match._id);
+
+    entry.techStack = target._id;
+    entry.roadmapItem = targetItem._id;
+    entry.completedSubTopics = remap(entry.completedSubTopics, 'subTopics');
+    entry.completedProjects = remap(entry.completedProjects, 'projects');
+    await entry.save();
+    moved++;
+  }
+
+  return { moved, dropped };
+};
+
+/**
+ * Topics of the target to select after a merge, for a roadmap or template
+ * that selects topics of the source. An empty entry (or none) means every topic.
+ * @param {Object} options
+ * @param {Object} [options.sourceEntry] - Selection of the source stack
+ * @param {Object} [options.targetEntry] - Selection of the target stack
+ * @param {boolean} options.targetListed - Whether the target was already used
+ * @param {Map<string, Object>} itemIdMap - Source item id -> target item id
+ * @returns {Array<Object>} - Target item ids (empty for every topic)
+ */
+const mergeTopicSelection = ({ sourceEntry, targetEntry, targetListed }, itemIdMap) => {
+  const selected = entry => (entry && entry.roadmapItems.length > 0 ? entry.roadmapItems : null);
+
+  // The target was used with all of its topics, which now include the source's
+  if (targetListed && !selected(targetEntry)) return [];
+
+  const sourceItems = selected(sourceEntry)
+    ? selected(sourceEntry).map(id => itemIdMap.get(id.toString())).filter(Boolean)
+    : null;
+  if (!targetListed) return sourceItems || [];
+
+  return uniqueIds([...selected(targetEntry), ...(sourceItems || itemIdMap.values())]);
+};
+
+/**
+ * Point roadmap templates and roadmaps' topic selections at the target,
+ * translating selected source topics to the merged items
+ * @param {Object} source - Source tech stack
+ * @param {Object} target - Saved target tech stack
+ * @param {Map<string, Object>} itemIdMap - Source item id -> target item id
+ * @returns {Promise<number>} - Templates updated
+ */
+const mergeTopicSelectionRefs = async (source, target, itemIdMap) => {
+  const findEntry = (entries, id) => entries.find(entry => entry.techStack.equals(id));
+
+  const templates = await RoadmapTemplate.find({ 'techStacks.techStack': source._id });
+  for (const template of templates) {
+    const sourceEntry = findEntry(template.techStacks, source._id);
+    const targetEntry = findEntry(template.techStacks, target._id);
+    const merged = {
+      techStack: target._id,
+      roadmapItems: mergeTopicSelection({ sourceEntry, targetEntry, targetListed: Boolean(targetEntry) }, itemIdMap)
+    };
+
+    // The merged stack keeps the place of whichever of the two came first
+    let placed = false;
+    template.techStacks = template.techStacks.flatMap(entry => {
+      if (entry !== sourceEntry && entry !== targetEntry) return [entry];
+      if (placed) return [];
+      placed = true;
+      return [merged];
+    });
+    await template.save();
+  }
+
+  const roadmaps = await Roadmap.find({
+    $or: [
+      { techStacks: source._id },
+      { 'roles.techStacks': source._id },
+      { 'topicSelections.techStack': source._id }
+    ]
+  }).setOptions({ withDeleted: true });
+  for (const roadmap of roadmaps) {
+    const sourceEntry = findEntry(roadmap.topicSelections, source._id);
+    const targetEntry = findEntry(roadmap.topicSelections, target._id);
+    if (!sourceEntry && !targetEntry) continue;
+
+    const roadmapItems = mergeTopicSelection({
+      sourceEntry,
+      targetEntry,
+      targetListed: getRoadmapTechStackIds(roadmap).includes(target._id.toString())
+    }, itemIdMap);
+    roadmap.topicSelections = [
+      ...roadmap.topicSelections.filter(entry => entry !== sourceEntry && entry !== targetEntry),
+      ...(roadmapItems.length > 0 ? [{ techStack: target._id, roadmapItems }] : [])
+    ];
+    await roadmap.save();
+  }
+
+  return templates.length;
+};
+
+/**
+ * Merge one tech stack into another: combine the curriculum and stack
+ * prerequisites, move learner progress, point roadmaps, templates and
+ * dependent stacks at the target, move the source to the trash and keep its
+ * name as an alias.
+ *
+ * The steps are separate writes, so each one is safe to repeat: a merge that
+ * fails partway can be run again with the same stacks (the source may then
+ * already be in the trash) and finishes the remaining steps.
+ * @param {Object} target - Tech stack document that is kept
+ * @param {Object} source - Tech stack document merged into it
+ * @param {Object} options
+ * @param {Object} options.userId - User doing the merge
+ * @returns {Promise<Object>} - Summary of the merge
+ */
+export const mergeTechStackInto = async (target, source, { userId } = {}) => {
+  // Source topics already folded in by an earlier attempt merge by name again
+  const { roadmapItems, itemIdMap, mergedTopics, addedTopics } = mergeRoadmapItems(
+    target.roadmapItems,
+    source.roadmapItems
+  );
+
+  target.roadmapItems = roadmapItems;
+  target.prerequisites = uniqueIds([...target.prerequisites, ...source.prerequisites])
+    .filter(id => !id.equals(target._id) && !id.equals(source._id));
+  target.$locals.revision = {
+    source: 'merge',
+    message: `Merged "${source.name}" into "${target.name}"`,
+    changedBy: userId
+  };
+  await target.save();
+
+  const { moved: progressMoved, dropped: progressDropped } = await moveLearnerProgress(source, target, itemIdMap);
+  const templatesUpdated = await mergeTopicSelectionRefs(source, target, itemIdMap);
+  const roadmapsUpdated = await replaceTechStackRefs(source._id, target._id);
+
+  // Stacks that required the source now require the target
+  await TechStack.updateMany(
+    { prerequisites: source._id, _id: { $ne: target._id } },
+    { $addToSet: { prerequisites: target._id } }
+  ).setOptions({ withDeleted: true });
+  await TechStack.updateMany(
+    { prerequisites: source._id },
+    { $pull: { prerequisites: source._id } }
+  ).setOptions({ withDeleted: true });
+
+  if (!source.deletedAt) await source.softDelete(userId);
+
+  // Lookups by the old name now find the target. Saved after the source is in
+  // the trash, since an alias may not name another live stack; names already
+  // there are dropped on validation.
+  target.aliases = [...target.aliases, source.name, ...source.aliases];
+  await target.save();
+
+  return {
+    source: { _id: source._id, name: source.name },
+    mergedTopics,
+    addedTopics,
+    progressMoved,
+    progressDropped,
+    roadmapsUpdated,
+    templatesUpdated
+  };
+};
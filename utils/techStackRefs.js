@@ -0,0 +1,278 @@
+// server/utils/techStackRefs.js
+import mongoose from 'mongoose';
+import TechStack from '../models/TechStack.js';
+import Roadmap from '../models/Roadmap.js';
+import { ApiError } from './helpers.js';
+import { topologicalSort, collectDependencies } from './graphHelpers.js';
+import { normalizeStackName } from './stackNameHelpers.js';
+
+/**
+ * Pick the stacks a name refers to: an exact name match wins, then stacks
+ * whose normalized name matches, then stacks with a matching alias
+ * @param {string} name - Requested name
+ * @param {Array<Object>} techStacks - Candidate stacks (name, slug, aliasSlugs)
+ * @returns {{matches: Array<Object>, matchedBy: string}|null}
+ */
+const matchStackName = (name, techStacks) => {
+  const exact = techStacks.filter(techStack => techStack.name === name);
+  if (exact.length > 0) return { matches: exact, matchedBy: 'name' };
+
+  const slug = normalizeStackName(name);
+  if (!slug) return null;
+
+  const bySlug = techStacks.filter(techStack => techStack.slug === slug);
+  if (bySlug.length > 0) return { matches: bySlug, matchedBy: 'slug' };
+
+  const byAlias = techStacks.filter(techStack => (techStack.aliasSlugs || []).includes(slug));
+  if (byAlias.length > 0) return { matches: byAlias, matchedBy: 'alias' };
+
+  return null;
+};
+
+/**
+ * Hint telling the caller which stack a name resolved to, given when the
+ * name was not the stack's exact name
+ * @param {string} from - Requested name
+ * @param {Object} techStack - Matched stack
+ * @param {string} matchedBy - "slug" or "alias"
+ * @returns {{from: string, to: string, techStack: ObjectId, matchedBy: string}}
+ */
+const nameHint = (from, techStack, matchedBy) => ({
+  from,
+  to: techStack.name,
+  techStack: techStack._id,
+  matchedBy
+});
+
+/**
+ * Find a tech stack by its name, normalized name (slug) or one of its aliases
+ * @param {string} name - Requested name ("react js", "ReactJS", ...)
+ * @param {Object} options
+ * @param {boolean} options.withDeleted - Include stacks in the trash
+ * @returns {Promise<{techStack: Object, hint: Object|null}|null>} - hint is set
+ *   when the name was not the stack's exact name
+ * @throws {ApiError} - 409 when the name matches more than one stack
+ */
+export const findTechStackByName = async (name, { withDeleted = false } = {}) => {
+  const slug = normalizeStackName(name);
+  const techStacks = await TechStack.find({
+    $or: [
+      { name },
+      ...(slug ? [{ slug }, { aliasSlugs: slug }] : [])
+    ]
+  }).setOptions({ withDeleted });
+
+  const result = matchStackName(name, techStacks);
+  if (!result) return null;
+
+  const { matches, matchedBy } = result;
+  if (matches.length > 1) {
+    throw new ApiError(
+      `"${name}" matches several tech stacks: ${matches.map(m => m.name).join(', ')}`,
+      409,
+      { candidates: matches.map(m => ({ _id: m._id, name: m.name })) }
+    );
+  }
+
+  return {
+    techStack: matches[0],
+    hint: matchedBy === 'name' ? null : nameHint(name, matches[0], matchedBy)
+  };
+};
+
+/**
+ * Resolve tech stack references given as ids, names, normalized names or
+ * aliases to ObjectIds, keeping the order. Fails with a 400 listing every
+ * reference that matches no tech stack or more than one.
+ * @param {Array<string|ObjectId|Object>} refs - Ids, names or populated documents
+ * @param {Object} options
+ * @param {boolean} options.skipMissing - Leave out references to stacks that
+ *   don't exist (or are in the trash) instead of failing
+ * @returns {Promise<{ids: Array<mongoose.Types.ObjectId>, hints: Array<Object>, missing: Array<string>}>} -
+ *   Tech stack ids, a hint for each name that was not an exact stack name,
+ *   and the skipped references
+ */
+export const resolveTechStackRefs = async (refs = [], { skipMissing = false } = {}) => {
+  const values = refs.map(ref => (ref && ref._id ? ref._id : ref)).map(String);
+  const ids = values.filter(value => mongoose.isObjectIdOrHexString(value));
+  const names = values.filter(value => !ids.includes(value));
+  const slugs = names.map(normalizeStackName).filter(Boolean);
+
+  const techStacks = await TechStack.find({
+    $or: [
+      { _id: { $in: ids } },
+      { name: { $in: names } },
+      { slug: { $in: slugs } },
+      { aliasSlugs: { $in: slugs } }
+    ]
+  }).select('_id name slug aliasSlugs');
+
+  const resolved = [];
+  const hints = [];
+  const missing = [];
+  const ambiguous = [];
+
+  values.forEach(value => {
+    const byId = ids.includes(value) && techStacks.find(techStack => techStack._id.toString() === value);
+    const result = byId ? { matches: [byId], matchedBy: 'id' } : matchStackName(value, techStacks);
+
+    if (!result) {
+      missing.push(value);
+    } else if (result.matches.length > 1) {
+      ambiguous.push({ ref: value, candidates: result.matches.map(m => m.name) });
+    } else {
+      const [techStack] = result.matches;
+      resolved.push(techStack._id);
+      if (['slug', 'alias'].includes(result.matchedBy)) {
+        hints.push(nameHint(value, techStack, result.matchedBy));
+      }
+    }
+  });
+
+  if ((missing.length > 0 && !skipMissing) || ambiguous.length > 0) {
+    const problems = [
+      missing.length > 0 && `Tech stacks not found: ${missing.join(', ')}`,
+      ambiguous.length > 0 && `Names matching several tech stacks: ${ambiguous.map(a => a.ref).join(', ')}`
+    ].filter(Boolean);
+    throw new ApiError(problems.join('. '), 400, { missing, ambiguous });
+  }
+
+  return { ids: resolved, hints, missing };
+};
+
+/**
+ * Resolve tech stack references to ObjectIds; see resolveTechStackRefs
+ * @param {Array<string|ObjectId|Object>} refs - Ids, names or populated documents
+ * @param {Object} [options] - See resolveTechStackRefs
+ * @returns {Promise<Array<mongoose.Types.ObjectId>>} - Tech stack ids
+ */
+export const resolveTechStackIds = async (refs = [], options) => (await resolveTechStackRefs(refs, options)).ids;
+
+/**
+ * Find roadmaps that reference any of the given tech stacks, either directly
+ * or through one of their roles. Roadmaps in the trash are included (with
+ * deletedAt set), since restoring one would bring its references back.
+ * @param {Array<string|ObjectId>} techStackIds - Tech stack ids
+ * @returns {Promise<Array>} - Roadmaps (summary fields only)
+ */
+export const findRoadmapsUsingTechStacks = (techStackIds) => Roadmap.find({
+  $or: [
+    { techStacks: { $in: techStackIds } },
+    { 'roles.techStacks': { $in: techStackIds } }
+  ]
+}).select('companyName role filename publishedUrl deletedAt').setOptions({ withDeleted: true });
+
+/**
+ * Point every roadmap (trashed ones included) that uses one tech stack at
+ * another, without listing the new stack twice
+ * @param {ObjectId} fromId - Tech stack being replaced
+ * @param {ObjectId} toId - Replacement tech stack
+ * @returns {Promise<number>} - Number of roadmaps updated
+ */
+export const replaceTechStackRefs = async (fromId, toId) => {
+  const roadmaps = await Roadmap.find({
+    $or: [
+      { techStacks: fromId },
+      { 'roles.techStacks': fromId }
+    ]
+  }).setOptions({ withDeleted: true });
+
+  const replace = (refs) => {
+    const seen = new Set();
+    return refs
+      .map(ref => (ref.equals(fromId) ? toId : ref))
+      .filter(ref => !seen.has(ref.toString()) && seen.add(ref.toString()));
+  };
+
+  for (const roadmap of roadmaps) {
+    roadmap.techStacks = replace(roadmap.techStacks);
+    roadmap.roles.forEach(role => {
+      role.techStacks = replace(role.techStacks);
+    });
+    await roadmap.save();
+  }
+
+  return roadmaps.length;
+};
+
+/**
+ * Drop purged tech stacks from every roadmap (trashed ones included), both
+ * the roadmap's own list and its roles', so no roadmap points at a stack
+ * that no longer exists
+ * @param {Array<ObjectId>} techStackIds - Ids of purged tech stacks
+ * @returns {Promise}
+ */
+export const removeTechStackRefs = (techStackIds) => Promise.all([
+  Roadmap.updateMany(
+    { techStacks: { $in: techStackIds } },
+    { $pull: { techStacks: { $in: techStackIds } } }
+  ).setOptions({ withDeleted: true }),
+  // Separate update: `roles.$[]` fails on roadmaps without a roles array
+  Roadmap.updateMany(
+    { 'roles.techStacks': { $in: techStackIds } },
+    { $pull: { 'roles.$[].techStacks': { $in: techStackIds } } }
+  ).setOptions({ withDeleted: true })
+]);
+
+/**
+ * Every tech stack id a roadmap uses, directly or through its roles, in order
+ * and without duplicates
+ * @param {Object} roadmap - Roadmap document (populated or not)
+ * @returns {Array<string>} - Tech stack ids as strings
+ */
+export const getRoadmapTechStackIds = (roadmap) => {
+  const refs = [
+    ...(roadmap.techStacks || []),
+    ...(roadmap.roles || []).flatMap(role => role.techStacks || [])
+  ];
+  return [...new Set(refs.map(ref => (ref && ref._id ? ref._id : ref).toString()))];
+};
+
+/**
+ * Load the stack prerequisite graph
+ * @returns {Promise<{stacksById: Map<string, Object>, getPrerequisites: Function}>}
+ */
+export const loadPrerequisiteGraph = async () => {
+  const techStacks = await TechStack.find().select('name prerequisites').sort({ name: 1 }).lean();
+  const stacksById = new Map(techStacks.map(techStack => [techStack._id.toString(), techStack]));
+  const getPrerequisites = id => (stacksById.get(id)?.prerequisites || [])
+    .map(String)
+    .filter(prerequisite => stacksById.has(prerequisite));
+
+  return { stacksById, getPrerequisites };
+};
+
+/**
+ * Order a roadmap's tech stacks so prerequisites come first, keeping the
+ * requested order otherwise. Prerequisites reached through stacks that are
+ * not on the roadmap still count.
+ * @param {Array<ObjectId>} techStackIds - Resolved tech stack ids
+ * @returns {Promise<{ids: Array<ObjectId>, warnings: Array<string>}>} - Sorted ids and
+ *   a warning for each prerequisite missing from the roadmap
+ */
+export const orderTechStacksByPrerequisites = async (techStackIds = []) => {
+  const { stacksById, getPrerequisites } = await loadPrerequisiteGraph();
+  const ids = [...new Set(techStackIds.map(String))];
+
+  const dependencies = new Map(ids.map(id => [
+    id,
+    [...collectDependencies(id, getPrerequisites)].filter(dependency => ids.includes(dependency))
+  ]));
+
+  let sorted;
+  try {
+    sorted = topologicalSort(ids, id => dependencies.get(id));
+  } catch (error) {
+    const names = error.cycle.map(id => stacksById.get(id)?.name || id);
+    throw new ApiError(`Tech stack prerequisites form a cycle: ${names.join(' -> ')}`, 400);
+  }
+
+  const warnings = ids.flatMap(id => getPrerequisites(id)
+    .filter(prerequisite => !ids.includes(prerequisite))
+    .map(prerequisite =>
+      `"${stacksById.get(id).name}" requires "${stacksById.get(prerequisite).name}", which is not on this roadmap`
+    ));
+
+  const idsByString = new Map(techStackIds.map(id => [id.toString(), id]));
+  return { ids: sorted.map(id => idsByString.get(id)), warnings };
+};
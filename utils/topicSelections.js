@@ -0,0 +1,127 @@
+// server/utils/topicSelections.js
+import mongoose from 'mongoose';
+import TechStack from '../models/TechStack.js';
+import Roadmap from '../models/Roadmap.js';
+import RoadmapTemplate from '../models/RoadmapTemplate.js';
+import { ApiError } from './helpers.js';
+import { resolveTechStackRefs } from './techStackRefs.js';
+
+/**
+ * Resolve per-stack topic subsets. Each entry is a tech stack reference (id,
+ * name or alias), optionally with the topics to keep given by item id or
+ * topic name (`{ techStack: 'Node.js', topics: ['Express', 'REST APIs'] }`).
+ * A stack without topics keeps all of them.
+ * @param {Array<string|Object>} entries - Stack references or `{ techStack, topics }`
+ *   (`roadmapItems` is accepted in place of `topics`)
+ * @param {Object} [options]
+ * @param {boolean} [options.dropUnknown=false] - Leave out topics that are not
+ *   part of their stack instead of failing. Stored selections need this: item
+ *   ids change when a stack is re-imported, replaced or restored.
+ * @param {boolean} [options.skipMissing=false] - Leave out entries of stacks that
+ *   don't exist or are in the trash instead of failing
+ * @returns {Promise<{selections: Array<{techStack: ObjectId, roadmapItems: Array<ObjectId>}>, hints: Array<Object>, unknown: Array<Object>}>}
+ *   - Selections in the given order, name hints from resolveTechStackRefs and
+ *   the topics left out
+ * @throws {ApiError} - 400 when a stack appears twice or a topic is not part of its stack
+ */
+export const resolveTopicSelections = async (entries, { dropUnknown = false, skipMissing = false } = {}) => {
+  if (!Array.isArray(entries) || entries.length === 0) return { selections: [], hints: [], unknown: [] };
+
+  const normalized = entries.map(entry => (
+    entry && typeof entry === 'object' && entry.techStack !== undefined
+      ? { ref: entry.techStack, topics: entry.topics || entry.roadmapItems || [] }
+      : { ref: entry, topics: [] }
+  ));
+
+  const { ids, hints, missing } = await resolveTechStackRefs(normalized.map(entry => entry.ref), { skipMissing });
+
+  const duplicates = ids.filter((id, index) => ids.findIndex(other => other.equals(id)) !== index);
+  if (duplicates.length > 0) {
+    throw new ApiError('Each tech stack can only be listed once', 400, { duplicates: duplicates.map(String) });
+  }
+
+  // Entries of skipped stacks are left out, so line the rest up with the ids
+  const kept = normalized.filter(entry => !missing.includes(String(entry.ref && entry.ref._id ? entry.ref._id : entry.ref)));
+
+  const techStacks = await TechStack.find({ _id: { $in: ids } }).select('name roadmapItems._id roadmapItems.topic').lean();
+  const stacksById = new Map(techStacks.map(techStack => [techStack._id.toString(), techStack]));
+
+  const unknown = [];
+  const selections = ids.map((id, index) => {
+    const techStack = stacksById.get(id.toString());
+    const roadmapItems = kept[index].topics.map(topic => {
+      const value = String(topic._id || topic);
+      const item = (techStack.roadmapItems || []).find(candidate =>
+        (mongoose.isObjectIdOrHexString(value) && candidate._id.toString() === value) ||
+        candidate.topic.toLowerCase() === value.trim().toLowerCase()
+      );
+      if (!item) unknown.push({ techStack: techStack.name, topic: value });
+      return item && item._id;
+    });
+
+    return { techStack: id, roadmapItems: roadmapItems.filter(Boolean) };
+  });
+
+  if (unknown.length > 0 && !dropUnknown) {
+    const list = unknown.map(({ techStack, topic }) => `"${topic}" (${techStack})`).join(', ');
+    throw new ApiError(`Topics not found in their tech stacks: ${list}`, 400, { unknown });
+  }
+
+  return { selections, hints, unknown };
+};
+
+/**
+ * Limit tech stacks to the selected topics. Stacks without a selection, or
+ * with an empty one, keep every topic. Selected ids that are no longer part
+ * of the stack are ignored, as resolveTopicSelections does with dropUnknown.
+ * @param {Array<Object>} techStacks - Tech stacks as plain objects
+ * @param {Array<{techStack: ObjectId, roadmapItems: Array<ObjectId>}>} selections - Topic subsets
+ * @returns {Array<Object>} - Copies of the stacks with filtered roadmap items
+ */
+export const applyTopicSelections = (techStacks, selections = []) => techStacks.map(techStack => {
+  const selection = selections.find(entry => String(entry.techStack) === techStack._id.toString());
+  if (!selection || selection.roadmapItems.length === 0) return techStack;
+
+  const selected = new Set(selection.roadmapItems.map(String));
+  const roadmapItems = (techStack.roadmapItems || []).filter(item => selected.has(item._id.toString()));
+  return roadmapItems.length > 0 ? { ...techStack, roadmapItems } : techStack;
+});
+
+/**
+ * Forget deleted topics in roadmap templates and roadmaps (trashed ones included)
+ * @param {Array<ObjectId|string>} itemIds - Ids of removed roadmap items
+ * @returns {Promise}
+ */
+export const removeTopicsFromSelections = (itemIds) => {
+  const ids = itemIds
+    .filter(id => mongoose.isObjectIdOrHexString(String(id)))
+    .map(id => new mongoose.Types.ObjectId(String(id)));
+
+  return Promise.all([
+    RoadmapTemplate.updateMany(
+      { 'techStacks.roadmapItems': { $in: ids } },
+      { $pull: { 'techStacks.$[].roadmapItems': { $in: ids } } }
+    ),
+    Roadmap.updateMany(
+      { 'topicSelections.roadmapItems': { $in: ids } },
+      { $pull: { 'topicSelections.$[].roadmapItems': { $in: ids } } }
+    ).setOptions({ withDeleted: true })
+  ]);
+};
+
+/**
+ * Remove purged tech stacks from roadmap templates and from roadmaps' topic
+ * selections (trashed roadmaps included)
+ * @param {Array<ObjectId>} techStackIds - Ids of purged tech stacks
+ * @returns {Promise}
+ */
+export const removeTechStacksFromSelections = (techStackIds) => Promise.all([
+  RoadmapTemplate.updateMany(
+    { 'techStacks.techStack': { $in: techStackIds } },
+    { $pull: { techStacks: { techStack: { $in: techStackIds } } } }
+  ),
+  Roadmap.updateMany(
+    { 'topicSelections.techStack': { $in: techStackIds } },
+    { $pull: { topicSelections: { techStack: { $in: techStackIds } } } }
+  ).setOptions({ withDeleted: true })
+]);
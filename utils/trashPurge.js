@@ -0,0 +1,50 @@
+// server/utils/trashPurge.js
+import config from '../config/config.js';
+import TechStack from '../models/TechStack.js';
+import TechStackRevision from '../models/TechStackRevision.js';
+import Roadmap from '../models/Roadmap.js';
+import { removeTechStacksFromSelections } from './topicSelections.js';
+import { removeTechStackRefs } from './techStackRefs.js';
+
+/**
+ * Permanently delete trashed tech stacks (with their revisions) and roadmaps
+ * that have been in the trash longer than the retention period
+ * @param {number} retentionDays - Days a document stays in the trash
+ * @returns {Promise<{techStacks: number, roadmaps: number}>} - Purged counts
+ */
+export const purgeTrash = async (retentionDays = config.trashRetentionDays) => {
+  const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+  const expired = { deletedAt: { $ne: null, $lt: cutoff } };
+
+  const expiredStacks = await TechStack.find(expired).select('_id');
+  const stackIds = expiredStacks.map(techStack => techStack._id);
+
+  await TechStackRevision.deleteMany({ techStack: { $in: stackIds } });
+  const { deletedCount: techStacks } = await TechStack.deleteMany({ _id: { $in: stackIds } });
+  await TechStack.updateMany(
+    { prerequisites: { $in: stackIds } },
+    { $pull: { prerequisites: { $in: stackIds } } }
+  ).setOptions({ withDeleted: true });
+  await removeTechStacksFromSelections(stackIds);
+  await removeTechStackRefs(stackIds);
+  const { deletedCount: roadmaps } = await Roadmap.deleteMany(expired);
+
+  if (techStacks > 0 || roadmaps > 0) {
+    console.log(`🗑️ Purged ${techStacks} tech stacks and ${roadmaps} roadmaps from the trash`);
+  }
+
+  return { techStacks, roadmaps };
+};
+
+/**
+ * Run the purge now and then on a fixed interval
+ * @returns {NodeJS.Timeout} - Interval handle
+ */
+export const scheduleTrashPurge = () => {
+  const run = () => purgeTrash().catch(err => console.error('❌ Trash purge failed:', err));
+
+  run();
+  const timer = setInterval(run, config.trashPurgeIntervalMinutes * 60 * 1000);
+  timer.unref();
+  return timer;
+};
\ No newline at end of file